@@ -12,6 +12,7 @@ import CKEditorError from './ckeditorerror';
 import uid from './uid';
 import isIterable from './isiterable';
 import mix from './mix';
+import diff from './diff';
 
 /**
  * Collections are ordered sets of objects. Items in the collection can be retrieved by their indexes
@@ -61,6 +62,11 @@ export default class Collection {
 	 * @param {Object} [options={}] The options object, when the first argument is an array of initial items.
 	 * @param {String} [options.idProperty='id'] The name of the property which is used to identify an item.
 	 * Items that do not have such a property will be assigned one when added to the collection.
+	 * @param {Boolean} [options.trackItemChanges=false] Whether the changes of the {@link module:utils/observablemixin~Observable
+	 * observable} items should be re-fired by the collection as the {@link #event:change:item `change:item`} events.
+	 * @param {Array.<String>} [options.indexes=[]] The names of the item properties the collection should keep
+	 * secondary indexes for. See {@link #getBy} and {@link #getAllBy}. The indexed properties of items which are not
+	 * {@link module:utils/observablemixin~Observable observable} must not change while the items are in the collection.
 	 */
 	constructor( initialItemsOrOptions = {}, options = {} ) {
 		const hasInitialItems = isIterable( initialItemsOrOptions );
@@ -93,6 +99,32 @@ export default class Collection {
 		 */
 		this._idProperty = options.idProperty || 'id';
 
+		/**
+		 * Whether the changes of the observable items are re-fired as the {@link #event:change:item `change:item`} events.
+		 *
+		 * @private
+		 * @member {Boolean}
+		 */
+		this._trackItemChanges = !!options.trackItemChanges;
+
+		/**
+		 * The secondary indexes of the collection. Maps the names of the indexed properties to maps of
+		 * the property values and sets of items having these values.
+		 *
+		 * @private
+		 * @member {Map.<String,Map.<*,Set.<Object>>>}
+		 */
+		this._indexes = new Map( ( options.indexes || [] ).map( propertyName => [ propertyName, new Map() ] ) );
+
+		/**
+		 * The values of the indexed properties under which the items are stored in the {@link #_indexes secondary indexes}.
+		 * They are used to remove the items from the indexes even if their properties were changed in place.
+		 *
+		 * @private
+		 * @member {WeakMap.<Object,Map.<String,*>>}
+		 */
+		this._indexedValues = new WeakMap();
+
 		/**
 		 * A helper mapping external items of a bound collection ({@link #bindTo})
 		 * and actual items of this collection. It provides information
@@ -130,16 +162,27 @@ export default class Collection {
 			for ( const item of initialItemsOrOptions ) {
 				this._items.push( item );
 				this._itemMap.set( this._getItemIdBeforeAdding( item ), item );
+				this._startTrackingItemChanges( item );
+				this._addToIndexes( item );
 			}
 		}
 
 		/**
 		 * A collection instance this collection is bound to as a result
-		 * of calling {@link #bindTo} method.
+		 * of calling {@link #bindTo} method. When the collection is bound to multiple collections,
+		 * it is the first of them.
 		 *
 		 * @protected
 		 * @member {module:utils/collection~Collection} #_bindToCollection
 		 */
+
+		/**
+		 * All collection instances this collection is bound to as a result
+		 * of calling {@link #bindTo} method, in the order their items are concatenated in.
+		 *
+		 * @protected
+		 * @member {Array.<module:utils/collection~Collection>} #_bindToCollections
+		 */
 	}
 
 	/**
@@ -179,11 +222,30 @@ export default class Collection {
 	 * @param {Number} [index] The position of the item in the collection. The item
 	 * is pushed to the collection when `index` not specified.
 	 * @fires add
+	 * @fires change
 	 */
 	add( item, index ) {
-		const itemId = this._getItemIdBeforeAdding( item );
+		return this.addMany( [ item ], index );
+	}
+
+	/**
+	 * Adds multiple items into the collection.
+	 *
+	 * Any item not containing an id will get an automatically generated one.
+	 *
+	 * The {@link #event:add `add`} event is fired for each item, but the {@link #event:change `change`} event
+	 * is fired only once, after all items were added.
+	 *
+	 * @chainable
+	 * @param {Iterable.<Object>} items
+	 * @param {Number} [index] The position of the first item in the collection. The items
+	 * are pushed to the collection when `index` is not specified.
+	 * @fires add
+	 * @fires change
+	 */
+	addMany( items, index ) {
+		items = Array.from( items );
 
-		// TODO: Use ES6 default function argument.
 		if ( index === undefined ) {
 			index = this._items.length;
 		} else if ( index > this._items.length || index < 0 ) {
@@ -195,11 +257,14 @@ export default class Collection {
 			throw new CKEditorError( 'collection-add-item-invalid-index', this );
 		}
 
-		this._items.splice( index, 0, item );
+		// Check the ids of all items first, so the collection is not left partially updated.
+		this._checkItemIdsBeforeAdding( items );
 
-		this._itemMap.set( itemId, item );
+		items.forEach( ( item, offset ) => this._insert( item, index + offset ) );
 
-		this.fire( 'add', item, index );
+		if ( items.length ) {
+			this.fire( 'change', { added: items, removed: [], index } );
+		}
 
 		return this;
 	}
@@ -229,6 +294,53 @@ export default class Collection {
 		return item || null;
 	}
 
+	/**
+	 * Gets the first item whose property has the given value, using a secondary index of the collection.
+	 *
+	 *		const collection = new Collection( { indexes: [ 'name' ] } );
+	 *
+	 *		collection.add( { name: 'bold' } );
+	 *		console.log( collection.getBy( 'name', 'bold' ) ); // -> { id: '...', name: 'bold' }
+	 *
+	 * The property must be declared in the `indexes` option of the {@link #constructor}.
+	 *
+	 * **Note**: The indexes follow the changes of the properties of the {@link module:utils/observablemixin~Observable observable}
+	 * items only. If a property of an item which is not observable is changed in place, the item is still found by the old
+	 * value of the property until it is removed from the collection.
+	 *
+	 * @param {String} propertyName The name of the indexed property.
+	 * @param {*} value The value of the property.
+	 * @returns {Object|null} The first item with the given value or `null` if there is no such item.
+	 */
+	getBy( propertyName, value ) {
+		const items = this._getIndex( propertyName ).get( value );
+
+		return items ? items.values().next().value : null;
+	}
+
+	/**
+	 * Gets all items whose property has the given value, using a secondary index of the collection.
+	 *
+	 *		const collection = new Collection( { indexes: [ 'group' ] } );
+	 *
+	 *		collection.addMany( [ { group: 'basic' }, { group: 'lists' }, { group: 'basic' } ] );
+	 *		console.log( collection.getAllBy( 'group', 'basic' ).length ); // -> 2
+	 *
+	 * The property must be declared in the `indexes` option of the {@link #constructor}. The items are returned
+	 * in the order they were indexed in, which may differ from their order in the collection.
+	 *
+	 * See the note about the items which are not observable in {@link #getBy}.
+	 *
+	 * @param {String} propertyName The name of the indexed property.
+	 * @param {*} value The value of the property.
+	 * @returns {Array.<Object>} The items with the given value.
+	 */
+	getAllBy( propertyName, value ) {
+		const items = this._getIndex( propertyName ).get( value );
+
+		return items ? Array.from( items ) : [];
+	}
+
 	/**
 	 * Returns a boolean indicating whether the collection contains an item.
 	 *
@@ -271,54 +383,229 @@ export default class Collection {
 	 * @param {Object|Number|String} subject The item to remove, its id or index in the collection.
 	 * @returns {Object} The removed item.
 	 * @fires remove
+	 * @fires change
 	 */
 	remove( subject ) {
-		let index, id, item;
-		let itemDoesNotExist = false;
-		const idProperty = this._idProperty;
+		const [ item, index ] = this._remove( subject );
 
-		if ( typeof subject == 'string' ) {
-			id = subject;
-			item = this._itemMap.get( id );
-			itemDoesNotExist = !item;
+		this.fire( 'change', { added: [], removed: [ item ], index } );
 
-			if ( item ) {
-				index = this._items.indexOf( item );
-			}
-		} else if ( typeof subject == 'number' ) {
-			index = subject;
-			item = this._items[ index ];
-			itemDoesNotExist = !item;
+		return item;
+	}
 
-			if ( item ) {
-				id = item[ idProperty ];
-			}
-		} else {
-			item = subject;
-			id = item[ idProperty ];
-			index = this._items.indexOf( item );
-			itemDoesNotExist = ( index == -1 || !this._itemMap.get( id ) );
+	/**
+	 * Removes multiple consecutive items from the collection. When called without arguments, it removes all items.
+	 *
+	 *		// Removes the items at indexes 1 and 2.
+	 *		collection.removeMany( 1, 2 );
+	 *
+	 * The {@link #event:remove `remove`} event is fired for each item, but the {@link #event:change `change`} event
+	 * is fired only once, after all items were removed.
+	 *
+	 * Unlike {@link #clear}, it does not break the binding created using {@link #bindTo}.
+	 *
+	 * @param {Number} [index=0] The index of the first item to remove.
+	 * @param {Number} [howMany] The number of items to remove. All items starting from `index` are removed
+	 * when not specified.
+	 * @returns {Array.<Object>} The removed items.
+	 * @fires remove
+	 * @fires change
+	 */
+	removeMany( index = 0, howMany = this._items.length - index ) {
+		if ( index < 0 || howMany < 0 || index + howMany > this._items.length ) {
+			/**
+			 * The range of items to remove is invalid.
+			 *
+			 * @error collection-remove-many-invalid-range
+			 */
+			throw new CKEditorError( 'collection-remove-many-invalid-range: The range of items to remove is invalid.', this );
 		}
 
-		if ( itemDoesNotExist ) {
+		const removed = [];
+
+		for ( let i = 0; i < howMany; i++ ) {
+			removed.push( this._remove( index )[ 0 ] );
+		}
+
+		if ( removed.length ) {
+			this.fire( 'change', { added: [], removed, index } );
+		}
+
+		return removed;
+	}
+
+	/**
+	 * Replaces all items of the collection with the given items.
+	 *
+	 * The {@link #event:remove `remove`} and {@link #event:add `add`} events are fired for each item, but
+	 * the {@link #event:change `change`} event is fired only once, describing both the removed and added items.
+	 *
+	 * Unlike {@link #clear}, it does not break the binding created using {@link #bindTo}.
+	 *
+	 * @chainable
+	 * @param {Iterable.<Object>} [items=[]] The new items.
+	 * @fires remove
+	 * @fires add
+	 * @fires change
+	 */
+	reset( items = [] ) {
+		items = Array.from( items );
+
+		const removed = [];
+
+		while ( this.length ) {
+			removed.push( this._remove( 0 )[ 0 ] );
+		}
+
+		items.forEach( ( item, index ) => this._insert( item, index ) );
+
+		if ( removed.length || items.length ) {
+			this.fire( 'change', { added: items, removed, index: 0 } );
+		}
+
+		return this;
+	}
+
+	/**
+	 * Moves an item to another position in the collection. Unlike removing the item and adding it again,
+	 * it keeps the items of the collections {@link #bindTo bound} to this collection (they are moved as well).
+	 *
+	 *		collection.move( 'foo', 0 ); // Makes the item with the `foo` id the first one.
+	 *
+	 * @chainable
+	 * @param {Object|String} itemOrId The item to move or its id.
+	 * @param {Number} toIndex The index of the item after the move.
+	 * @fires move
+	 */
+	move( itemOrId, toIndex ) {
+		const item = typeof itemOrId == 'string' ? this._itemMap.get( itemOrId ) : itemOrId;
+		const fromIndex = this._items.indexOf( item );
+
+		if ( fromIndex == -1 ) {
 			/**
 			 * Item not found.
 			 *
-			 * @error collection-remove-404
+			 * @error collection-move-404
 			 */
-			throw new CKEditorError( 'collection-remove-404: Item not found.', this );
+			throw new CKEditorError( 'collection-move-404: Item not found.', this );
 		}
 
-		this._items.splice( index, 1 );
-		this._itemMap.delete( id );
+		if ( typeof toIndex != 'number' || toIndex < 0 || toIndex >= this._items.length ) {
+			/**
+			 * The index to move the item to has invalid value.
+			 *
+			 * @error collection-move-invalid-index
+			 */
+			throw new CKEditorError( 'collection-move-invalid-index: The index to move the item to is invalid.', this );
+		}
 
-		const externalItem = this._bindToInternalToExternalMap.get( item );
-		this._bindToInternalToExternalMap.delete( item );
-		this._bindToExternalToInternalMap.delete( externalItem );
+		if ( fromIndex != toIndex ) {
+			this._items.splice( fromIndex, 1 );
+			this._items.splice( toIndex, 0, item );
 
-		this.fire( 'remove', item, index );
+			this.fire( 'move', item, fromIndex, toIndex );
+		}
 
-		return item;
+		return this;
+	}
+
+	/**
+	 * Sorts the items of the collection using the `compareFn` function (which works like in `Array#sort()`).
+	 * The items which are considered equal keep their order.
+	 *
+	 * The items are reordered using {@link #move}, so the {@link #event:move `move`} event is fired for each item
+	 * which changes its position.
+	 *
+	 * @chainable
+	 * @param {Function} compareFn
+	 * @param {Object} compareFn.itemA
+	 * @param {Object} compareFn.itemB
+	 * @fires move
+	 */
+	sort( compareFn ) {
+		const sortedItems = this._items
+			.map( ( item, index ) => ( { item, index } ) )
+			.sort( ( a, b ) => compareFn( a.item, b.item ) || a.index - b.index )
+			.map( ( { item } ) => item );
+
+		sortedItems.forEach( ( item, index ) => this.move( item, index ) );
+
+		return this;
+	}
+
+	/**
+	 * Updates the collection so it contains the given items, in the given order, using as few
+	 * {@link #remove removals}, {@link #move moves} and {@link #add additions} as possible:
+	 *
+	 *		const collection = new Collection( [ { id: 'bold' }, { id: 'italic' }, { id: 'link' } ] );
+	 *
+	 *		// Removes "bold", moves "link" and adds "underline".
+	 *		collection.reconcile( [ { id: 'link' }, { id: 'italic' }, { id: 'underline' } ] );
+	 *
+	 * The items are matched by their ids (see the `idProperty` option of the {@link #constructor}). The items of
+	 * the collection which match the new items are kept, so the state related to them (e.g. the items created out
+	 * of them by the {@link #bindTo bound collections}) is preserved. The new items without an id are always added.
+	 *
+	 * @chainable
+	 * @param {Iterable.<Object>} newItems The items the collection should contain.
+	 * @fires add
+	 * @fires remove
+	 * @fires move
+	 * @fires change
+	 */
+	reconcile( newItems ) {
+		const idProperty = this._idProperty;
+
+		newItems = Array.from( newItems );
+
+		// The new items are identified by their ids or, when they have no id, by themselves.
+		const newKeys = newItems.map( item => idProperty in item ? item[ idProperty ] : item );
+		const newKeysSet = new Set( newKeys );
+
+		const currentKeys = this._items.map( item => item[ idProperty ] );
+		const keptKeys = currentKeys.filter( key => newKeysSet.has( key ) );
+		const keptKeysInNewOrder = newKeys.filter( key => this._itemMap.has( key ) );
+
+		// Remove the items which are not among the new items. The items at consecutive indexes are removed at once,
+		// starting from the last ones, so the indexes of the remaining ones stay valid.
+		for ( const [ index, howMany ] of getRanges( currentKeys, key => !newKeysSet.has( key ) ).reverse() ) {
+			this.removeMany( index, howMany );
+		}
+
+		// Move the kept items which are out of order. The items which are equal in the diff keep their positions,
+		// the inserted ones are moved right after the item preceding them in the new order. Note that for longer
+		// lists the diff is not minimal (see `diff()`), but its equal items are always in the same order in both lists.
+		let newIndex = 0;
+
+		for ( const change of diff( keptKeys, keptKeysInNewOrder ) ) {
+			if ( change == 'delete' ) {
+				continue;
+			}
+
+			if ( change == 'insert' ) {
+				const item = this._itemMap.get( keptKeysInNewOrder[ newIndex ] );
+				let toIndex = 0;
+
+				if ( newIndex > 0 ) {
+					const currentIndex = this.getIndex( item );
+					const precedingIndex = this.getIndex( keptKeysInNewOrder[ newIndex - 1 ] );
+
+					toIndex = currentIndex < precedingIndex ? precedingIndex : precedingIndex + 1;
+				}
+
+				this.move( item, toIndex );
+			}
+
+			newIndex++;
+		}
+
+		// Add the items which are not in the collection yet. The kept items are in the new order at this point,
+		// so the new items can be added at their final indexes, starting from the first ones.
+		for ( const [ index, howMany ] of getRanges( newKeys, key => !this._itemMap.has( key ) ) ) {
+			this.addMany( newItems.slice( index, index + howMany ), index );
+		}
+
+		return this;
 	}
 
 	/**
@@ -360,19 +647,165 @@ export default class Collection {
 		return this._items.filter( callback, ctx );
 	}
 
+	/**
+	 * Creates a new collection containing the items of this collection for which the `callback` returns a true value.
+	 * Unlike {@link #filter}, the returned collection is live: it is updated when items are added to
+	 * or removed from this collection. The items keep the order they have in this collection.
+	 *
+	 *		const buttons = new Collection();
+	 *		const visibleButtons = buttons.filtered( button => button.isVisible );
+	 *
+	 *		buttons.add( { label: 'Bold', isVisible: true } );
+	 *		buttons.add( { label: 'Italic', isVisible: false } );
+	 *
+	 *		console.log( visibleButtons.length ); // 1
+	 *
+	 * **Note**: The `callback` is executed when an item is added. The changes of the items are reflected in the
+	 * derived collection only if this collection tracks them (see the {@link #event:change:item `change:item`} event).
+	 * The derived collection should not be modified directly. Use {@link #clear} to break the binding
+	 * with this collection.
+	 *
+	 * @param {Function} callback
+	 * @param {Object} callback.item
+	 * @param {Object} [ctx] Context in which the `callback` will be called.
+	 * @returns {module:utils/collection~Collection} The live filtered collection.
+	 */
+	filtered( callback, ctx ) {
+		const derivedCollection = new Collection( { idProperty: this._idProperty } );
+
+		const addItem = ( item, index ) => {
+			if ( !callback.call( ctx, item ) ) {
+				return;
+			}
+
+			// Find the position after all preceding items which are also in the derived collection.
+			let derivedIndex = 0;
+
+			for ( let i = 0; i < index; i++ ) {
+				if ( derivedCollection.has( this._items[ i ] ) ) {
+					derivedIndex++;
+				}
+			}
+
+			derivedCollection.add( item, derivedIndex );
+		};
+
+		this._setUpDerivedCollection( derivedCollection, addItem, ( item, index ) => {
+			if ( derivedCollection.has( item ) ) {
+				const getDerivedItem = sourceItem => derivedCollection.has( sourceItem ) ? sourceItem : null;
+
+				derivedCollection.move( item, getIndexAfterExternalMove( derivedCollection, item, this._items, index, getDerivedItem ) );
+			}
+		} );
+
+		// Check the changed item again (when this collection tracks item changes).
+		derivedCollection.listenTo( this, 'change:item', ( evt, item ) => {
+			if ( derivedCollection.has( item ) ) {
+				if ( !callback.call( ctx, item ) ) {
+					derivedCollection.remove( item );
+				}
+			} else {
+				addItem( item, this.getIndex( item ) );
+			}
+		} );
+
+		return derivedCollection;
+	}
+
+	/**
+	 * Creates a new collection containing the items of this collection sorted using the `compareFn` function
+	 * (which works like in `Array#sort()`). The returned collection is live: it is updated when items are added to
+	 * or removed from this collection. The items which are considered equal keep the order they have in this collection.
+	 *
+	 *		const items = new Collection();
+	 *		const sortedItems = items.sorted( ( a, b ) => a.label.localeCompare( b.label ) );
+	 *
+	 *		items.add( { label: 'b' } );
+	 *		items.add( { label: 'a' } );
+	 *
+	 *		console.log( sortedItems.get( 0 ).label ); // 'a'
+	 *
+	 * **Note**: The changes of the items are reflected in the derived collection only if this collection tracks them
+	 * (see the {@link #event:change:item `change:item`} event). The derived collection should not be modified directly.
+	 * Use {@link #clear} to break the binding with this collection.
+	 *
+	 * @param {Function} compareFn
+	 * @param {Object} compareFn.itemA
+	 * @param {Object} compareFn.itemB
+	 * @returns {module:utils/collection~Collection} The live sorted collection.
+	 */
+	sorted( compareFn ) {
+		const derivedCollection = new Collection( { idProperty: this._idProperty } );
+
+		// The items which are considered equal are ordered like in this collection.
+		const compare = ( itemA, itemB ) => compareFn( itemA, itemB ) || this.getIndex( itemA ) - this.getIndex( itemB );
+
+		// Returns the index at which the item should be placed among other items of the derived collection.
+		const getSortedIndex = item => {
+			const otherItems = derivedCollection._items.filter( derivedItem => derivedItem !== item );
+			const index = otherItems.findIndex( derivedItem => compare( item, derivedItem ) < 0 );
+
+			return index == -1 ? otherItems.length : index;
+		};
+
+		this._setUpDerivedCollection( derivedCollection, item => {
+			derivedCollection.add( item, getSortedIndex( item ) );
+		}, item => {
+			derivedCollection.move( item, getSortedIndex( item ) );
+		} );
+
+		// Move the changed item to its new position (when this collection tracks item changes).
+		derivedCollection.listenTo( this, 'change:item', ( evt, item ) => {
+			if ( derivedCollection.has( item ) ) {
+				derivedCollection.move( item, getSortedIndex( item ) );
+			}
+		} );
+
+		return derivedCollection;
+	}
+
+	/**
+	 * Creates a new collection containing the values returned by the `callback` for each item of this collection.
+	 * Unlike {@link #map}, the returned collection is live: it is updated when items are added to or removed from
+	 * this collection.
+	 *
+	 *		const commands = new Collection();
+	 *		const buttons = commands.mapped( command => new ButtonView( command ) );
+	 *
+	 * It is a shorthand for a {@link #bindTo binding} with a callback, so the items for which the `callback` returns
+	 * a falsy value are skipped.
+	 *
+	 * **Note**: The derived collection should not be modified directly. Use {@link #clear} to break the binding
+	 * with this collection.
+	 *
+	 * @param {Function} callback
+	 * @param {Object} callback.item
+	 * @param {Object} [ctx] Context in which the `callback` will be called.
+	 * @returns {module:utils/collection~Collection} The live mapped collection.
+	 */
+	mapped( callback, ctx ) {
+		const derivedCollection = new Collection();
+
+		derivedCollection.bindTo( this ).using( item => callback.call( ctx, item ) );
+
+		return derivedCollection;
+	}
+
 	/**
 	 * Removes all items from the collection and destroys the binding created using
 	 * {@link #bindTo}.
 	 */
 	clear() {
 		if ( this._bindToCollection ) {
-			this.stopListening( this._bindToCollection );
+			for ( const externalCollection of this._bindToCollections ) {
+				this.stopListening( externalCollection );
+			}
+
 			this._bindToCollection = null;
+			this._bindToCollections = null;
 		}
 
-		while ( this.length ) {
-			this.remove( 0 );
-		}
+		this.removeMany();
 	}
 
 	/**
@@ -466,13 +899,51 @@ export default class Collection {
 	 *		console.log( source.length ); // 2
 	 *		console.log( target.length ); // 1
 	 *
+	 * The binding follows the {@link #event:change `change`} events of the external collection, so the items added
+	 * (or removed) at once, e.g. using {@link #addMany} or {@link #reset}, are also added to (or removed from) this collection
+	 * at once, firing a single `change` event:
+	 *
+	 *		target.on( 'change', () => renderAll() );
+	 *
+	 *		source.addMany( [ { label: 'foo' }, { label: 'bar' } ] ); // `renderAll()` is called once.
+	 *
+	 * The collection can be bound to multiple collections at once. It then contains the items of all of them,
+	 * concatenated in the order the collections were passed in:
+	 *
+	 *		const builtInItems = new Collection();
+	 *		const customItems = new Collection();
+	 *		const toolbarItems = new Collection();
+	 *
+	 *		toolbarItems.bindTo( builtInItems, customItems ).using( item => new ButtonView( item ) );
+	 *
+	 *		builtInItems.add( { label: 'Bold' } );
+	 *		customItems.add( { label: 'Custom' } );
+	 *		builtInItems.add( { label: 'Italic' } );
+	 *
+	 *		console.log( toolbarItems.map( item => item.label ) ); // [ 'Bold', 'Italic', 'Custom' ]
+	 *
+	 * Two collections can also be bound to each other. In such a two–way binding the items added to (or removed from)
+	 * either of the collections are added to (or removed from) the other one, created by its factory. The items
+	 * created by the factories are never passed back to the collection they originate from, so there are no loops:
+	 *
+	 *		const models = new Collection();
+	 *		const views = new Collection();
+	 *
+	 *		views.bindTo( models ).using( model => new ItemView( model ) );
+	 *		models.bindTo( views ).using( view => view.model );
+	 *
+	 *		models.add( model ); // A new `ItemView` is added to `views`.
+	 *		views.add( new ItemView( anotherModel ) ); // `anotherModel` is added to `models`.
+	 *
+	 * **Note**: The two–way binding is supported only between two collections bound to a single collection each.
+	 *
 	 * **Note**: {@link #clear} can be used to break the binding.
 	 *
-	 * @param {module:utils/collection~Collection} externalCollection A collection to be bound.
+	 * @param {...module:utils/collection~Collection} externalCollections The collections to be bound.
 	 * @returns {Object}
 	 * @returns {module:utils/collection~CollectionBindToChain} The binding chain object.
 	 */
-	bindTo( externalCollection ) {
+	bindTo( ...externalCollections ) {
 		if ( this._bindToCollection ) {
 			/**
 			 * The collection cannot be bound more than once.
@@ -482,7 +953,8 @@ export default class Collection {
 			throw new CKEditorError( 'collection-bind-to-rebind: The collection cannot be bound more than once.', this );
 		}
 
-		this._bindToCollection = externalCollection;
+		this._bindToCollection = externalCollections[ 0 ];
+		this._bindToCollections = externalCollections;
 
 		return {
 			as: Class => {
@@ -506,23 +978,61 @@ export default class Collection {
 	 * @param {Function} factory A function which produces collection items.
 	 */
 	_setUpBindToBinding( factory ) {
-		const externalCollection = this._bindToCollection;
+		const externalCollections = this._bindToCollections;
 
-		// Adds the item to the collection once a change has been done to the external collection.
+		// The items of the external collections are concatenated, so the indexes in the external collections
+		// must be shifted by the number of items in the collections preceding them.
 		//
 		// @private
-		const addItem = ( evt, externalItem, index ) => {
-			const isExternalBoundToThis = externalCollection._bindToCollection == this;
-			const externalItemBound = externalCollection._bindToInternalToExternalMap.get( externalItem );
-
-			// If an external collection is bound to this collection, which makes it a 2–way binding,
-			// and the particular external collection item is already bound, don't add it here.
-			// The external item has been created **out of this collection's item** and (re)adding it will
-			// cause a loop.
-			if ( isExternalBoundToThis && externalItemBound ) {
-				this._bindToExternalToInternalMap.set( externalItem, externalItemBound );
-				this._bindToInternalToExternalMap.set( externalItemBound, externalItem );
-			} else {
+		const getExternalOffset = externalCollection => {
+			let offset = 0;
+
+			for ( const collection of externalCollections ) {
+				if ( collection == externalCollection ) {
+					return offset;
+				}
+
+				offset += collection.length;
+			}
+		};
+
+		// Adds the items to the collection once they have been added to the external collection.
+		// The items which land at consecutive indexes are added at once.
+		//
+		// @private
+		const addItems = ( externalCollection, externalItems, externalIndex ) => {
+			const isExternalBoundToThis = externalCollection._bindToCollection == this;
+			let itemsToAdd = [];
+			let itemsToAddIndex;
+
+			const flush = () => {
+				if ( itemsToAdd.length ) {
+					this.addMany( itemsToAdd, itemsToAddIndex );
+					itemsToAdd = [];
+				}
+			};
+
+			externalItems.forEach( ( externalItem, offset ) => {
+				const index = externalIndex + offset;
+				const externalItemBound = externalCollection._bindToInternalToExternalMap.get( externalItem );
+
+				// If an external collection is bound to this collection, which makes it a 2–way binding,
+				// and the particular external collection item is already bound, don't add it here.
+				// The external item has been created **out of this collection's item** and (re)adding it will
+				// cause a loop.
+				if ( isExternalBoundToThis && externalItemBound ) {
+					this._bindToExternalToInternalMap.set( externalItem, externalItemBound );
+					this._bindToInternalToExternalMap.set( externalItemBound, externalItem );
+
+					return;
+				}
+
+				// The item has been added before the items skipped at this index and further, so their indexes change.
+				// When the external collection is bound to this collection, these indexes are updated by this
+				// collection's binding when it adds its own items to the external collection (see below).
+				this._skippedIndexesFromExternal = this._skippedIndexesFromExternal
+					.map( skipped => skipped >= index ? skipped + 1 : skipped );
+
 				const item = factory( externalItem );
 
 				// When there is no item we need to remember skipped index first and then we can skip this item.
@@ -572,56 +1082,367 @@ export default class Collection {
 				//
 				// We need to include skipped items and place new item after them:
 				// internal -> [ 'A', 'B - skipped for external', 'C - skipped for external', 'D' ]
-				for ( const skipped of externalCollection._skippedIndexesFromExternal ) {
-					if ( finalIndex >= skipped ) {
-						finalIndex++;
+				if ( isExternalBoundToThis ) {
+					for ( const skipped of externalCollection._skippedIndexesFromExternal ) {
+						if ( finalIndex >= skipped ) {
+							finalIndex++;
+						}
 					}
 				}
 
 				this._bindToExternalToInternalMap.set( externalItem, item );
 				this._bindToInternalToExternalMap.set( item, externalItem );
-				this.add( item, finalIndex );
+
+				// The item does not follow the previously collected items, so they must be added first.
+				if ( itemsToAdd.length && finalIndex != itemsToAddIndex + itemsToAdd.length ) {
+					flush();
+				}
+
+				if ( !itemsToAdd.length ) {
+					itemsToAddIndex = finalIndex;
+				}
+
+				itemsToAdd.push( item );
 
 				// After adding new element to internal collection we need update indexes
 				// of skipped items in external collection.
-				for ( let i = 0; i < externalCollection._skippedIndexesFromExternal.length; i++ ) {
-					if ( finalIndex <= externalCollection._skippedIndexesFromExternal[ i ] ) {
-						externalCollection._skippedIndexesFromExternal[ i ]++;
+				if ( isExternalBoundToThis ) {
+					for ( let i = 0; i < externalCollection._skippedIndexesFromExternal.length; i++ ) {
+						if ( finalIndex <= externalCollection._skippedIndexesFromExternal[ i ] ) {
+							externalCollection._skippedIndexesFromExternal[ i ]++;
+						}
 					}
 				}
-			}
-		};
-
-		// Load the initial content of the collection.
-		for ( const externalItem of externalCollection ) {
-			addItem( null, externalItem, externalCollection.getIndex( externalItem ) );
-		}
+			} );
 
-		// Synchronize the with collection as new items are added.
-		this.listenTo( externalCollection, 'add', addItem );
+			flush();
+		};
 
-		// Synchronize the with collection as new items are removed.
-		this.listenTo( externalCollection, 'remove', ( evt, externalItem, index ) => {
-			const item = this._bindToExternalToInternalMap.get( externalItem );
+		// Removes the items from the collection once they have been removed from the external collection.
+		// The items which are at consecutive indexes are removed at once.
+		//
+		// @private
+		const removeItems = ( externalItems, externalIndex ) => {
+			const indexes = externalItems
+				.map( externalItem => this._bindToExternalToInternalMap.get( externalItem ) )
+				.filter( item => item )
+				.map( item => this.getIndex( item ) )
+				.filter( index => index != -1 )
+				.sort( ( a, b ) => a - b );
+
+			// Remove the ranges starting from the last one, so the indexes of the remaining ones stay valid.
+			while ( indexes.length ) {
+				let start = indexes.length - 1;
+
+				while ( start > 0 && indexes[ start - 1 ] == indexes[ start ] - 1 ) {
+					start--;
+				}
 
-			if ( item ) {
-				this.remove( item );
+				this.removeMany( indexes[ start ], indexes.length - start );
+				indexes.length = start;
 			}
 
-			// After removing element from external collection we need update/remove indexes
+			// After removing elements from external collection we need update/remove indexes
 			// of skipped items in internal collection.
+			const removedCount = externalItems.length;
+
 			this._skippedIndexesFromExternal = this._skippedIndexesFromExternal.reduce( ( result, skipped ) => {
-				if ( index < skipped ) {
-					result.push( skipped - 1 );
+				if ( skipped < externalIndex ) {
+					result.push( skipped );
 				}
 
-				if ( index > skipped ) {
-					result.push( skipped );
+				if ( skipped >= externalIndex + removedCount ) {
+					result.push( skipped - removedCount );
 				}
 
 				return result;
 			}, [] );
+		};
+
+		for ( const externalCollection of externalCollections ) {
+			// Load the initial content of the collection.
+			addItems( externalCollection, Array.from( externalCollection ), getExternalOffset( externalCollection ) );
+
+			// Synchronize the with collection as items are removed and added.
+			this.listenTo( externalCollection, 'change', ( evt, data ) => {
+				// Ignore the `change:item` events.
+				if ( evt.name != 'change' ) {
+					return;
+				}
+
+				const { added, removed } = data;
+				const index = data.index + getExternalOffset( externalCollection );
+
+				if ( removed.length ) {
+					removeItems( removed, index );
+				}
+
+				if ( added.length ) {
+					addItems( externalCollection, added, index );
+				}
+			} );
+
+			// Synchronize the with collection as items are moved. Moving the items (instead of removing
+			// and adding them again) keeps the items created by the factory.
+			this.listenTo( externalCollection, 'move', ( evt, externalItem, fromIndex, toIndex ) => {
+				const offset = getExternalOffset( externalCollection );
+
+				this._skippedIndexesFromExternal = this._skippedIndexesFromExternal
+					.map( skipped => getIndexAfterMove( skipped, fromIndex + offset, toIndex + offset ) );
+
+				const item = this._bindToExternalToInternalMap.get( externalItem );
+
+				if ( item ) {
+					const externalItems = [].concat( ...externalCollections.map( collection => collection._items ) );
+					const getInternalItem = externalItem => this._bindToExternalToInternalMap.get( externalItem );
+
+					this.move( item, getIndexAfterExternalMove( this, item, externalItems, toIndex + offset, getInternalItem ) );
+				}
+			} );
+		}
+	}
+
+	/**
+	 * Binds a collection derived from this collection (see {@link #filtered} and {@link #sorted}), so it contains
+	 * the same items as this collection. The items are added to the derived collection by the `addItem` callback,
+	 * which decides whether and where they should be added. The removed items are removed from the derived collection.
+	 *
+	 * Like in {@link #bindTo}, the derived collection is bound to this collection until it is {@link #clear cleared}.
+	 *
+	 * @protected
+	 * @param {module:utils/collection~Collection} derivedCollection
+	 * @param {Function} addItem A function called with the item and its index in this collection.
+	 * @param {Function} [moveItem] A function called with the moved item and its new index in this collection.
+	 */
+	_setUpDerivedCollection( derivedCollection, addItem, moveItem ) {
+		derivedCollection._bindToCollection = this;
+		derivedCollection._bindToCollections = [ this ];
+
+		this._items.forEach( ( item, index ) => addItem( item, index ) );
+
+		derivedCollection.listenTo( this, 'add', ( evt, item, index ) => addItem( item, index ) );
+
+		derivedCollection.listenTo( this, 'remove', ( evt, item ) => {
+			if ( derivedCollection.has( item ) ) {
+				derivedCollection.remove( item );
+			}
 		} );
+		if ( moveItem ) {
+			derivedCollection.listenTo( this, 'move', ( evt, item, fromIndex, toIndex ) => moveItem( item, toIndex ) );
+		}
+	}
+
+	/**
+	 * Inserts an item into the collection at the given (valid) index and fires the {@link #event:add `add`} event.
+	 *
+	 * @private
+	 * @param {Object} item
+	 * @param {Number} index
+	 * @fires add
+	 */
+	_insert( item, index ) {
+		const itemId = this._getItemIdBeforeAdding( item );
+
+		this._items.splice( index, 0, item );
+
+		this._itemMap.set( itemId, item );
+		this._startTrackingItemChanges( item );
+		this._addToIndexes( item );
+
+		this.fire( 'add', item, index );
+	}
+
+	/**
+	 * Removes an item from the collection and fires the {@link #event:remove `remove`} event.
+	 *
+	 * @private
+	 * @param {Object|Number|String} subject The item to remove, its id or index in the collection.
+	 * @returns {Array} The removed item and its index.
+	 * @fires remove
+	 */
+	_remove( subject ) {
+		let index, id, item;
+		let itemDoesNotExist = false;
+		const idProperty = this._idProperty;
+
+		if ( typeof subject == 'string' ) {
+			id = subject;
+			item = this._itemMap.get( id );
+			itemDoesNotExist = !item;
+
+			if ( item ) {
+				index = this._items.indexOf( item );
+			}
+		} else if ( typeof subject == 'number' ) {
+			index = subject;
+			item = this._items[ index ];
+			itemDoesNotExist = !item;
+
+			if ( item ) {
+				id = item[ idProperty ];
+			}
+		} else {
+			item = subject;
+			id = item[ idProperty ];
+			index = this._items.indexOf( item );
+			itemDoesNotExist = ( index == -1 || !this._itemMap.get( id ) );
+		}
+
+		if ( itemDoesNotExist ) {
+			/**
+			 * Item not found.
+			 *
+			 * @error collection-remove-404
+			 */
+			throw new CKEditorError( 'collection-remove-404: Item not found.', this );
+		}
+
+		this._items.splice( index, 1 );
+		this._itemMap.delete( id );
+
+		if ( this._trackItemChanges ) {
+			this.stopListening( item, 'change' );
+		}
+
+		this._removeFromIndexes( item );
+
+		const externalItem = this._bindToInternalToExternalMap.get( item );
+		this._bindToInternalToExternalMap.delete( item );
+		this._bindToExternalToInternalMap.delete( externalItem );
+
+		this.fire( 'remove', item, index );
+
+		return [ item, index ];
+	}
+
+	/**
+	 * Starts re-firing the changes of the observable item as the {@link #event:change:item `change:item`} events
+	 * (if the collection {@link #_trackItemChanges tracks item changes}).
+	 *
+	 * @private
+	 * @param {Object} item
+	 */
+	_startTrackingItemChanges( item ) {
+		if ( this._trackItemChanges && typeof item.fire == 'function' ) {
+			this.listenTo( item, 'change', ( evt, propertyName, value, oldValue ) => {
+				this.fire( 'change:item', item, propertyName, value, oldValue );
+			} );
+		}
+	}
+
+	/**
+	 * Returns the {@link #_indexes secondary index} of the given property.
+	 *
+	 * @private
+	 * @param {String} propertyName
+	 * @returns {Map.<*,Set.<Object>>}
+	 */
+	_getIndex( propertyName ) {
+		const index = this._indexes.get( propertyName );
+
+		if ( !index ) {
+			/**
+			 * The property is not indexed by the collection. Declare it in the `indexes` option
+			 * of the {@link module:utils/collection~Collection#constructor} to look items up by its value.
+			 *
+			 * @error collection-property-not-indexed
+			 * @param {String} propertyName The name of the property.
+			 */
+			throw new CKEditorError(
+				'collection-property-not-indexed: The property is not indexed by the collection.',
+				this,
+				{ propertyName }
+			);
+		}
+
+		return index;
+	}
+
+	/**
+	 * Adds the item to all {@link #_indexes secondary indexes} of the collection. If the item is
+	 * observable, its indexed properties are watched so the indexes stay up to date when they change.
+	 *
+	 * @private
+	 * @param {Object} item
+	 */
+	_addToIndexes( item ) {
+		if ( !this._indexes.size ) {
+			return;
+		}
+
+		const indexedValues = new Map();
+
+		this._indexedValues.set( item, indexedValues );
+
+		for ( const [ propertyName, index ] of this._indexes ) {
+			indexedValues.set( propertyName, item[ propertyName ] );
+			addToIndex( index, item[ propertyName ], item );
+
+			if ( typeof item.fire == 'function' ) {
+				this.listenTo( item, `change:${ propertyName }`, ( evt, propertyName, value ) => {
+					removeFromIndex( index, indexedValues.get( propertyName ), item );
+					indexedValues.set( propertyName, value );
+					addToIndex( index, value, item );
+				} );
+			}
+		}
+	}
+
+	/**
+	 * Removes the item from all {@link #_indexes secondary indexes} of the collection.
+	 *
+	 * @private
+	 * @param {Object} item
+	 */
+	_removeFromIndexes( item ) {
+		const indexedValues = this._indexedValues.get( item );
+
+		if ( !indexedValues ) {
+			return;
+		}
+
+		this._indexedValues.delete( item );
+
+		for ( const [ propertyName, index ] of this._indexes ) {
+			// The value the item was indexed by, which differs from the current one if the property was changed in place.
+			removeFromIndex( index, indexedValues.get( propertyName ), item );
+
+			if ( typeof item.fire == 'function' ) {
+				this.stopListening( item, `change:${ propertyName }` );
+			}
+		}
+	}
+
+	/**
+	 * Checks whether the items can be added to the collection, i.e. whether their ids (if they have any) are strings
+	 * which are not used by the items of the collection nor by the other items.
+	 *
+	 * @private
+	 * @param {Array.<Object>} items Items to be added.
+	 */
+	_checkItemIdsBeforeAdding( items ) {
+		const idProperty = this._idProperty;
+		const itemIds = new Set();
+
+		for ( const item of items ) {
+			if ( !( idProperty in item ) ) {
+				continue;
+			}
+
+			const itemId = item[ idProperty ];
+
+			if ( typeof itemId != 'string' ) {
+				// See the `collection-add-invalid-id` error in `_getItemIdBeforeAdding()`.
+				throw new CKEditorError( 'collection-add-invalid-id', this );
+			}
+
+			if ( itemIds.has( itemId ) || this.get( itemId ) ) {
+				// See the `collection-add-item-already-exists` error in `_getItemIdBeforeAdding()`.
+				throw new CKEditorError( 'collection-add-item-already-exists', this );
+			}
+
+			itemIds.add( itemId );
+		}
 	}
 
 	/**
@@ -678,6 +1499,7 @@ export default class Collection {
 	 *
 	 * @event add
 	 * @param {Object} item The added item.
+	 * @param {Number} index Index at which the item was added.
 	 */
 
 	/**
@@ -687,10 +1509,186 @@ export default class Collection {
 	 * @param {Object} item The removed item.
 	 * @param {Number} index Index from which item was removed.
 	 */
+
+	/**
+	 * Fired when a property of an {@link module:utils/observablemixin~Observable observable} item of the collection
+	 * has changed. It is fired only by the collections created with the `trackItemChanges` option:
+	 *
+	 *		const buttons = new Collection( { trackItemChanges: true } );
+	 *
+	 *		buttons.on( 'change:item', ( evt, button, propertyName, value, oldValue ) => {
+	 *			console.log( `${ button.label }: ${ propertyName } has changed from ${ oldValue } to ${ value }.` );
+	 *		} );
+	 *
+	 * The collection stops listening to the changes of the items once they are removed from the collection.
+	 *
+	 * @event change:item
+	 * @param {Object} item The changed item.
+	 * @param {String} propertyName The name of the changed property.
+	 * @param {*} value The new property value.
+	 * @param {*} oldValue The previous property value.
+	 */
+
+	/**
+	 * Fired when an item is moved to another position in the collection using {@link #move} or {@link #sort}.
+	 *
+	 * **Note**: The {@link #event:change `change`} event is not fired when an item is moved.
+	 *
+	 * @event move
+	 * @param {Object} item The moved item.
+	 * @param {Number} fromIndex The index of the item before the move.
+	 * @param {Number} toIndex The index of the item after the move.
+	 */
+
+	/**
+	 * Fired once per operation changing the collection ({@link #add}, {@link #addMany}, {@link #remove},
+	 * {@link #removeMany}, {@link #reset} or {@link #clear}), after the {@link #event:add `add`} and
+	 * {@link #event:remove `remove`} events of the individual items.
+	 *
+	 * It describes the change like `Array#splice()`: the `removed` items were removed starting at `index`
+	 * and then the `added` items were inserted at `index`. Listen to this event rather than to the `add` and `remove`
+	 * events to react to many items being added or removed at once, e.g. to render them only once.
+	 *
+	 *		collection.on( 'change', ( evt, { added, removed, index } ) => {
+	 *			console.log( `Removed ${ removed.length } and added ${ added.length } items at ${ index }.` );
+	 *		} );
+	 *
+	 * **Note**: Because of the {@link module:utils/emittermixin~Emitter#on event namespaces}, the listeners of this event are also
+	 * executed for the {@link #event:change:item `change:item`} events. Check the
+	 * {@link module:utils/eventinfo~EventInfo#name event name} if the collection tracks item changes.
+	 *
+	 * @event change
+	 * @param {Object} data
+	 * @param {Array.<Object>} data.added The added items.
+	 * @param {Array.<Object>} data.removed The removed items.
+	 * @param {Number} data.index The index at which the items were removed and added.
+	 */
 }
 
 mix( Collection, EmitterMixin );
 
+// Returns the index which a collection item has after another item was moved.
+//
+// @private
+// @param {Number} index The index of the item before the move.
+// @param {Number} fromIndex The index of the moved item before the move.
+// @param {Number} toIndex The index of the moved item after the move.
+// @returns {Number}
+function getIndexAfterMove( index, fromIndex, toIndex ) {
+	if ( index == fromIndex ) {
+		return toIndex;
+	}
+
+	if ( fromIndex < toIndex && index > fromIndex && index <= toIndex ) {
+		return index - 1;
+	}
+
+	if ( fromIndex > toIndex && index >= toIndex && index < fromIndex ) {
+		return index + 1;
+	}
+
+	return index;
+}
+
+// Returns the index to which an item of a collection should be moved to follow the move of the corresponding item
+// in the external collection. The item is placed after the closest preceding (or before the closest following) item
+// which is in both collections.
+//
+// @private
+// @param {module:utils/collection~Collection} collection The collection which item should be moved.
+// @param {Object} item The item to be moved.
+// @param {Array.<Object>} externalItems The items of the external collection (after the move).
+// @param {Number} externalIndex The index of the moved item in the external collection.
+// @param {Function} getItem Returns the collection item corresponding to the given external item (if any).
+// @returns {Number}
+function getIndexAfterExternalMove( collection, item, externalItems, externalIndex, getItem ) {
+	const currentIndex = collection.getIndex( item );
+
+	for ( let i = externalIndex - 1; i >= 0; i-- ) {
+		const precedingIndex = getCollectionIndex( collection, getItem( externalItems[ i ] ) );
+
+		if ( precedingIndex != -1 ) {
+			return currentIndex < precedingIndex ? precedingIndex : precedingIndex + 1;
+		}
+	}
+
+	for ( let i = externalIndex + 1; i < externalItems.length; i++ ) {
+		const followingIndex = getCollectionIndex( collection, getItem( externalItems[ i ] ) );
+
+		if ( followingIndex != -1 ) {
+			return currentIndex > followingIndex ? followingIndex : followingIndex - 1;
+		}
+	}
+
+	return currentIndex;
+}
+
+// Returns the ranges of consecutive array items matching the callback.
+//
+// @private
+// @param {Array} items
+// @param {Function} callback
+// @returns {Array.<Array.<Number>>} The start indexes and the lengths of the ranges.
+function getRanges( items, callback ) {
+	const ranges = [];
+
+	items.forEach( ( item, index ) => {
+		if ( !callback( item ) ) {
+			return;
+		}
+
+		const lastRange = ranges[ ranges.length - 1 ];
+
+		if ( lastRange && lastRange[ 0 ] + lastRange[ 1 ] == index ) {
+			lastRange[ 1 ]++;
+		} else {
+			ranges.push( [ index, 1 ] );
+		}
+	} );
+
+	return ranges;
+}
+
+// @private
+// @param {module:utils/collection~Collection} collection
+// @param {Object|undefined|null} item
+// @returns {Number} The index of the item in the collection or `-1`.
+function getCollectionIndex( collection, item ) {
+	return item ? collection.getIndex( item ) : -1;
+}
+
+// Adds the item to the set of items with the given value in the secondary index.
+//
+// @private
+// @param {Map.<*,Set.<Object>>} index
+// @param {*} value
+// @param {Object} item
+function addToIndex( index, value, item ) {
+	if ( !index.has( value ) ) {
+		index.set( value, new Set() );
+	}
+
+	index.get( value ).add( item );
+}
+
+// Removes the item from the set of items with the given value in the secondary index.
+//
+// @private
+// @param {Map.<*,Set.<Object>>} index
+// @param {*} value
+// @param {Object} item
+function removeFromIndex( index, value, item ) {
+	const items = index.get( value );
+
+	if ( items ) {
+		items.delete( item );
+
+		if ( !items.size ) {
+			index.delete( value );
+		}
+	}
+}
+
 /**
  * An object returned by the {@link module:utils/collection~Collection#bindTo `bindTo()`} method
  * providing functions that specify the type of the binding.
@@ -7,10 +7,18 @@
  * @module utils/config
  */
 
-import { isPlainObject, isElement, cloneDeepWith } from 'lodash-es';
+import EmitterMixin from './emittermixin';
+import CKEditorError from './ckeditorerror';
+import mix from './mix';
+import { isPlainObject, isElement, isEqual, cloneDeepWith } from 'lodash-es';
 
 /**
  * Handles a configuration dictionary.
+ *
+ * The changes of the configuration made using {@link #set} and {@link #define} are announced by
+ * the {@link #event:change:{name} `change:{name}`} events, which can be listened to directly or using {@link #observe}.
+ *
+ * @mixes module:utils/emittermixin~EmitterMixin
  */
 export default class Config {
 	/**
@@ -28,6 +36,14 @@ export default class Config {
 		 */
 		this._config = {};
 
+		/**
+		 * The schemas of the configuration namespaces registered using {@link #defineSchema}.
+		 *
+		 * @private
+		 * @member {Map.<String,module:utils/config~ConfigSchema>}
+		 */
+		this._schemas = new Map();
+
 		// Set default configuration.
 		if ( defaultConfigurations ) {
 			// Clone the configuration to make sure that the properties will not be shared
@@ -77,9 +93,10 @@ export default class Config {
 	 * @param {String|Object} name The configuration name or an object from which take properties as
 	 * configuration entries. Configuration names are case-sensitive.
 	 * @param {*} value The configuration value. Used if a name is passed.
+	 * @fires change:{name}
 	 */
 	set( name, value ) {
-		this._setToTarget( this._config, name, value );
+		this._setAndFireChanges( name, value );
 	}
 
 	/**
@@ -92,11 +109,12 @@ export default class Config {
 	 * @param {String|Object} name The configuration name or an object from which take properties as
 	 * configuration entries. Configuration names are case-sensitive.
 	 * @param {*} value The configuration value. Used if a name is passed.
+	 * @fires change:{name}
 	 */
 	define( name, value ) {
 		const isDefine = true;
 
-		this._setToTarget( this._config, name, value, isDefine );
+		this._setAndFireChanges( name, value, isDefine );
 	}
 
 	/**
@@ -115,6 +133,123 @@ export default class Config {
 		return this._getFromSource( this._config, name );
 	}
 
+	/**
+	 * Calls the callback with the current value of a configuration entry and then every time the entry changes.
+	 *
+	 *		config.observe( 'toolbar.items', ( items, oldItems ) => {
+	 *			toolbar.reconcile( items.map( name => factory.create( name ) ) );
+	 *		} );
+	 *
+	 * The callback is called when the entry itself or any of the entries nested in it change. It receives the stored
+	 * values, like the {@link #event:change:{name} `change:{name}`} event, so they must not be modified. The options
+	 * are passed to the {@link module:utils/emittermixin~Emitter#on `on()`} method, so, for instance, the observing
+	 * can be stopped using the `signal` option:
+	 *
+	 *		const controller = new AbortController();
+	 *
+	 *		config.observe( 'toolbar.items', callback, { signal: controller.signal } );
+	 *		controller.abort();
+	 *
+	 * @param {String} name The configuration name. Configuration names are case-sensitive.
+	 * @param {Function} callback The function called with the new and the previous value of the configuration entry.
+	 * When called for the first time, the previous value is `undefined`.
+	 * @param {Object} [options={}] The options of the listener. See {@link module:utils/emittermixin~Emitter#on}.
+	 */
+	observe( name, callback, options = {} ) {
+		if ( options.signal && options.signal.aborted ) {
+			return;
+		}
+
+		this.on( `change:${ name }`, ( evt, name, value, oldValue ) => callback( value, oldValue ), options );
+
+		callback( this._getFromSource( this._config, name, true ), undefined );
+	}
+
+	/**
+	 * Registers the schema of a configuration namespace. The configuration entries in the namespace are validated
+	 * against the schema right away and then every time they are changed using {@link #set} or {@link #define}.
+	 * The changes which do not match the schema are not saved and an error is thrown.
+	 *
+	 *		config.defineSchema( 'image', {
+	 *			type: 'object',
+	 *			additionalProperties: false,
+	 *			required: [ 'toolbar' ],
+	 *			properties: {
+	 *				toolbar: { type: 'array', items: { type: 'string' } },
+	 *				resizeUnit: { enum: [ '%', 'px' ] },
+	 *				upload: {
+	 *					type: 'object',
+	 *					properties: {
+	 *						maxFileSize: { type: 'number', minimum: 0 }
+	 *					}
+	 *				}
+	 *			}
+	 *		} );
+	 *
+	 *		config.set( 'image.resizeUnit', 'em' ); // Throws the `config-schema-invalid-enum-value` error.
+	 *		config.set( 'image.toolbra', [] ); // Throws the `config-schema-unknown-property` error.
+	 *
+	 * Because the configuration is usually built in several steps, the required entries are checked
+	 * only by {@link #validate}.
+	 *
+	 * @param {String} namespace The name of the configuration entry described by the schema, e.g. `'image'`
+	 * or `'image.upload'`.
+	 * @param {module:utils/config~ConfigSchema} schema
+	 */
+	defineSchema( namespace, schema ) {
+		if ( this._schemas.has( namespace ) ) {
+			/**
+			 * The schema of the configuration namespace has already been defined.
+			 *
+			 * @error config-schema-already-defined
+			 * @param {String} namespace The name of the configuration namespace.
+			 */
+			throw new CKEditorError(
+				'config-schema-already-defined: The schema of the configuration namespace has already been defined.',
+				this,
+				{ namespace }
+			);
+		}
+
+		validateValue( this, namespace, this._getFromSource( this._config, namespace, true ), schema, false );
+
+		this._schemas.set( namespace, schema );
+	}
+
+	/**
+	 * Validates the configuration against the schemas registered using {@link #defineSchema}, including
+	 * the checks of the required entries. Throws an error describing the first invalid entry found.
+	 *
+	 *		config.validate(); // Validates all namespaces.
+	 *		config.validate( 'image' ); // Validates the `image` namespace only.
+	 *
+	 * @param {String} [namespace] The namespace to validate. All namespaces with schemas are validated if not specified.
+	 */
+	validate( namespace ) {
+		if ( namespace !== undefined && !this._schemas.has( namespace ) ) {
+			/**
+			 * There is no schema defined for the configuration namespace.
+			 * Use {@link module:utils/config~Config#defineSchema} to define it first.
+			 *
+			 * @error config-schema-not-defined
+			 * @param {String} namespace The name of the configuration namespace.
+			 */
+			throw new CKEditorError(
+				'config-schema-not-defined: There is no schema defined for the configuration namespace.',
+				this,
+				{ namespace }
+			);
+		}
+
+		const namespaces = namespace === undefined ? this._schemas.keys() : [ namespace ];
+
+		for ( const namespace of namespaces ) {
+			const value = this._getFromSource( this._config, namespace, true );
+
+			validateValue( this, namespace, value, this._schemas.get( namespace ), true );
+		}
+	}
+
 	/**
 	 * Iterates over all top level configuration names.
 	 *
@@ -126,6 +261,55 @@ export default class Config {
 		}
 	}
 
+	/**
+	 * Saves passed configuration in the store (see {@link #_setToTarget}) and fires the
+	 * {@link #event:change:{name} `change:{name}`} events for all entries which have changed.
+	 *
+	 * The changed entries are validated against their {@link #defineSchema schemas} first. When they are invalid,
+	 * the store is not modified and no events are fired.
+	 *
+	 * @private
+	 * @param {String|Object} name The configuration name or an object from which take properties as
+	 * configuration entries. Configuration names are case-sensitive.
+	 * @param {*} value The configuration value. Used if a name is passed.
+	 * @param {Boolean} [isDefine=false] Define if passed configuration should overwrite existing one.
+	 * @fires change:{name}
+	 */
+	_setAndFireChanges( name, value, isDefine = false ) {
+		const names = isPlainObject( name ) ? Object.keys( name ) : [ name ];
+		const candidate = {};
+
+		// Only the top level entries containing the configuration being saved can change. The configuration is saved
+		// to the copies of their structure first, so the store stays untouched if the changed entries are invalid.
+		for ( const name of names ) {
+			const topLevelName = name.split( '.' )[ 0 ];
+
+			if ( topLevelName in this._config ) {
+				candidate[ topLevelName ] = copyObjects( this._config[ topLevelName ] );
+			}
+		}
+
+		this._setToTarget( candidate, name, value, isDefine );
+
+		const changes = [];
+
+		for ( const name of Object.keys( candidate ) ) {
+			collectChanges( name, this._config[ name ], candidate[ name ], changes );
+		}
+
+		for ( const change of changes ) {
+			if ( this._schemas.has( change.name ) ) {
+				validateValue( this, change.name, change.value, this._schemas.get( change.name ), false );
+			}
+		}
+
+		Object.assign( this._config, candidate );
+
+		for ( const change of changes ) {
+			this.fire( `change:${ change.name }`, change.name, change.value, change.oldValue );
+		}
+	}
+
 	/**
 	 * Saves passed configuration to the specified target (nested object).
 	 *
@@ -190,9 +374,10 @@ export default class Config {
 	 * @private
 	 * @param {Object} source level of nested object.
 	 * @param {String} name The configuration name. Configuration names are case-sensitive.
+	 * @param {Boolean} [skipCloning=false] Whether the stored value should be returned instead of its copy.
 	 * @returns {*} The configuration value or `undefined` if the configuration entry was not found.
 	 */
-	_getFromSource( source, name ) {
+	_getFromSource( source, name, skipCloning = false ) {
 		// The configuration name should be split into parts if it has dots. E.g. `resize.width` -> [`resize`, `width`].
 		const parts = name.split( '.' );
 
@@ -211,7 +396,11 @@ export default class Config {
 		}
 
 		// Always returns undefined for non existing configuration.
-		return source ? cloneConfig( source[ name ] ) : undefined;
+		if ( !source ) {
+			return undefined;
+		}
+
+		return skipCloning ? source[ name ] : cloneConfig( source[ name ] );
 	}
 
 	/**
@@ -227,6 +416,246 @@ export default class Config {
 			this._setToTarget( target, key, configuration[ key ], isDefine );
 		} );
 	}
+
+	/**
+	 * Fired when a configuration entry has changed. The event is fired for the changed entry and for all entries
+	 * containing it, starting from the most nested one:
+	 *
+	 *		config.on( 'change:toolbar.items', ( evt, name, value, oldValue ) => { ... } );
+	 *		config.on( 'change:toolbar', ( evt, name, value, oldValue ) => { ... } );
+	 *
+	 *		// Fires `change:toolbar.items` and then `change:toolbar`.
+	 *		config.set( 'toolbar.items', [ 'bold', 'italic' ] );
+	 *
+	 * **Note**: Listening to the `change` event means listening to the changes of all entries, so the callback
+	 * is called once for each of the fired events.
+	 *
+	 * **Note**: Unlike {@link #get}, the event passes the stored values, not their copies, so they must not be modified.
+	 *
+	 * @event change:{name}
+	 * @param {String} name The name of the changed configuration entry.
+	 * @param {*} value The new value of the entry.
+	 * @param {*} oldValue The previous value of the entry.
+	 */
+}
+
+mix( Config, EmitterMixin );
+
+// Compares the previous and the current value of a configuration entry and collects the names and values
+// of the entries which have changed, the nested entries before the entries containing them.
+//
+// @param {String} name The name of the configuration entry.
+// @param {*} oldValue The previous value of the entry.
+// @param {*} value The current value of the entry.
+// @param {Array.<Object>} changes The list of changes to fill.
+// @returns {Boolean} Whether the entry has changed.
+function collectChanges( name, oldValue, value, changes ) {
+	const isOldValueObject = isPlainObject( oldValue );
+	const isValueObject = isPlainObject( value );
+	let hasChanged;
+
+	if ( isOldValueObject || isValueObject ) {
+		const oldEntries = isOldValueObject ? oldValue : {};
+		const entries = isValueObject ? value : {};
+		const keys = new Set( [ ...Object.keys( oldEntries ), ...Object.keys( entries ) ] );
+
+		hasChanged = !isOldValueObject || !isValueObject;
+
+		for ( const key of keys ) {
+			hasChanged = collectChanges( `${ name }.${ key }`, oldEntries[ key ], entries[ key ], changes ) || hasChanged;
+		}
+	} else {
+		hasChanged = !isEqual( oldValue, value );
+	}
+
+	if ( hasChanged ) {
+		changes.push( { name, value, oldValue } );
+	}
+
+	return hasChanged;
+}
+
+// Validates the configuration value against the schema. Throws an error describing the first invalid value found.
+//
+// @param {module:utils/config~Config} config The configuration the value belongs to. Used as the error context.
+// @param {String} path The path of the value in the configuration, e.g. `'image.toolbar[0]'`.
+// @param {*} value The value to validate. `undefined` values are considered valid.
+// @param {module:utils/config~ConfigSchema} schema
+// @param {Boolean} checkRequired Whether the required object properties should be checked.
+function validateValue( config, path, value, schema, checkRequired ) {
+	if ( value === undefined ) {
+		return;
+	}
+
+	const actualType = getValueType( value );
+	const expectedTypes = schema.type === undefined ? [] : [].concat( schema.type );
+
+	if ( expectedTypes.length && !expectedTypes.includes( actualType ) ) {
+		/**
+		 * The configuration value is of a type which is not allowed by the schema of the configuration.
+		 *
+		 * @error config-schema-invalid-type
+		 * @param {String} path The path of the invalid configuration value.
+		 * @param {Array.<String>} expected The allowed types.
+		 * @param {String} actual The type of the value.
+		 */
+		throw new CKEditorError(
+			'config-schema-invalid-type: The configuration value is of a type not allowed by the schema.',
+			config,
+			{ path, expected: expectedTypes, actual: actualType }
+		);
+	}
+
+	if ( schema.enum && !schema.enum.some( allowedValue => isEqual( allowedValue, value ) ) ) {
+		/**
+		 * The configuration value is not one of the values allowed by the schema of the configuration.
+		 *
+		 * @error config-schema-invalid-enum-value
+		 * @param {String} path The path of the invalid configuration value.
+		 * @param {*} value The invalid value.
+		 * @param {Array} allowed The allowed values.
+		 */
+		throw new CKEditorError(
+			'config-schema-invalid-enum-value: The configuration value is not one of the values allowed by the schema.',
+			config,
+			{ path, value, allowed: schema.enum }
+		);
+	}
+
+	if ( actualType == 'number' && ( value < schema.minimum || value > schema.maximum ) ) {
+		/**
+		 * The numeric configuration value is out of the range allowed by the schema of the configuration.
+		 *
+		 * @error config-schema-value-out-of-range
+		 * @param {String} path The path of the invalid configuration value.
+		 * @param {Number} value The invalid value.
+		 * @param {Number} [minimum] The minimum allowed value.
+		 * @param {Number} [maximum] The maximum allowed value.
+		 */
+		throw new CKEditorError(
+			'config-schema-value-out-of-range: The configuration value is out of the range allowed by the schema.',
+			config,
+			{ path, value, minimum: schema.minimum, maximum: schema.maximum }
+		);
+	}
+
+	if ( actualType == 'array' && schema.items ) {
+		value.forEach( ( item, index ) => validateValue( config, `${ path }[${ index }]`, item, schema.items, checkRequired ) );
+	}
+
+	if ( actualType == 'object' ) {
+		validateObject( config, path, value, schema, checkRequired );
+	}
+}
+
+// Validates the properties of the configuration object against the schema.
+//
+// @param {module:utils/config~Config} config The configuration the object belongs to. Used as the error context.
+// @param {String} path The path of the object in the configuration.
+// @param {Object} value The object to validate.
+// @param {module:utils/config~ConfigSchema} schema
+// @param {Boolean} checkRequired Whether the required properties should be checked.
+function validateObject( config, path, value, schema, checkRequired ) {
+	const properties = schema.properties || {};
+
+	if ( checkRequired && schema.required ) {
+		const missingName = schema.required.find( name => value[ name ] === undefined );
+
+		if ( missingName ) {
+			/**
+			 * The configuration value required by the schema of the configuration is missing.
+			 *
+			 * @error config-schema-missing-required-value
+			 * @param {String} path The path of the missing configuration value.
+			 */
+			throw new CKEditorError(
+				'config-schema-missing-required-value: The configuration value required by the schema is missing.',
+				config,
+				{ path: `${ path }.${ missingName }` }
+			);
+		}
+	}
+
+	for ( const name of Object.keys( value ) ) {
+		if ( properties[ name ] ) {
+			validateValue( config, `${ path }.${ name }`, value[ name ], properties[ name ], checkRequired );
+		} else if ( schema.additionalProperties === false ) {
+			/**
+			 * The configuration value is not described by the schema of the configuration, which does not allow
+			 * any other values. Make sure that the name of the configuration value has no typos.
+			 *
+			 * @error config-schema-unknown-property
+			 * @param {String} path The path of the unknown configuration value.
+			 */
+			throw new CKEditorError(
+				'config-schema-unknown-property: The configuration value is not described by the schema.',
+				config,
+				{ path: `${ path }.${ name }` }
+			);
+		}
+	}
+}
+
+// Returns the type of the configuration value used by the schemas.
+//
+// @param {*} value
+// @returns {String}
+function getValueType( value ) {
+	if ( value === null ) {
+		return 'null';
+	}
+
+	if ( Array.isArray( value ) ) {
+		return 'array';
+	}
+
+	if ( isElement( value ) ) {
+		return 'element';
+	}
+
+	if ( isPlainObject( value ) ) {
+		return 'object';
+	}
+
+	return typeof value;
+}
+
+/**
+ * The schema of a configuration value registered using {@link module:utils/config~Config#defineSchema}.
+ * All its properties are optional, so `{}` describes any value.
+ *
+ * @typedef {Object} module:utils/config~ConfigSchema
+ *
+ * @property {String|Array.<String>} [type] The allowed type or types of the value: `'string'`, `'number'`,
+ * `'boolean'`, `'function'`, `'array'`, `'object'` (a plain object), `'element'` (a DOM element) or `'null'`.
+ * @property {Array} [enum] The allowed values.
+ * @property {Number} [minimum] The minimum allowed numeric value.
+ * @property {Number} [maximum] The maximum allowed numeric value.
+ * @property {module:utils/config~ConfigSchema} [items] The schema of the items of an array.
+ * @property {Object.<String,module:utils/config~ConfigSchema>} [properties] The schemas of the properties of an object.
+ * @property {Array.<String>} [required] The names of the properties an object must have.
+ * They are checked only by {@link module:utils/config~Config#validate}.
+ * @property {Boolean} [additionalProperties=true] Whether an object can have properties which are not described
+ * by `properties`.
+ */
+
+// Copies the plain objects of the configuration value. Other values, like arrays, functions or class instances,
+// are not copied, as they are never modified when saving the configuration, so they keep their identity.
+//
+// @param {*} value
+// @returns {*}
+function copyObjects( value ) {
+	if ( !isPlainObject( value ) ) {
+		return value;
+	}
+
+	const copy = {};
+
+	for ( const key of Object.keys( value ) ) {
+		copy[ key ] = copyObjects( value[ key ] );
+	}
+
+	return copy;
 }
 
 // Clones configuration object or value.
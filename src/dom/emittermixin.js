@@ -47,10 +47,20 @@ const DomEmitterMixin = extend( {}, EmitterMixin, {
 	 * @param {module:utils/priorities~PriorityString|Number} [options.priority='normal'] The priority of this event callback. The higher
 	 * the priority value the sooner the callback will be fired. Events having the same priority are called in the
 	 * order they were added.
+	 * @param {AbortSignal} [options.signal] The signal which removes the callback when aborted. It can also be any object
+	 * compatible with `AbortSignal`, i.e. having the `aborted` property and the `addEventListener()` method (and, optionally,
+	 * the `removeEventListener()` method, used to detach the signal once the callback is removed in another way).
 	 * @param {Boolean} [options.useCapture=false] Indicates that events of this type will be dispatched to the registered
 	 * listener before being dispatched to any EventTarget beneath it in the DOM tree.
 	 */
 	listenTo( emitter, ...rest ) {
+		const options = rest[ 2 ];
+
+		// Do not attach the native DOM listener if the callback would be removed right away.
+		if ( options && options.signal && options.signal.aborted ) {
+			return;
+		}
+
 		// Check if emitter is an instance of DOM Node. If so, replace the argument with
 		// corresponding ProxyEmitter (or create one if not existing).
 		if ( isNode( emitter ) || isWindow( emitter ) ) {
@@ -101,6 +111,18 @@ const DomEmitterMixin = extend( {}, EmitterMixin, {
 		}
 	},
 
+	/**
+	 * Returns all emitters and DOM Nodes this object listens to.
+	 * It is backwards compatible with {@link module:utils/emittermixin~EmitterMixin#getListenedEmitters}.
+	 *
+	 * @returns {Array.<module:utils/emittermixin~Emitter|Node>}
+	 */
+	getListenedEmitters() {
+		return EmitterMixin.getListenedEmitters.call( this ).map( emitter => {
+			return emitter instanceof ProxyEmitter ? emitter._domNode : emitter;
+		} );
+	},
+
 	/**
 	 * Retrieves ProxyEmitter instance for given DOM Node residing in this Host.
 	 *
@@ -3,6 +3,8 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 
+/* global console */
+
 /**
  * @module utils/emittermixin
  */
@@ -10,14 +12,19 @@
 import EventInfo from './eventinfo';
 import uid from './uid';
 import priorities from './priorities';
+import eventTracer from './eventtracer';
+import leakDetector from './leakdetector';
 
 // To check if component is loaded more than once.
 import './version';
-import CKEditorError from './ckeditorerror';
+import CKEditorError, { attachLinkToDocumentation } from './ckeditorerror';
 
 const _listeningTo = Symbol( 'listeningTo' );
 const _emitterId = Symbol( 'emitterId' );
 
+// The number of callbacks registered so far. Used to keep the callbacks of new events in the registration order.
+let registeredCallbacksCount = 0;
+
 /**
  * Mixin that injects the {@link ~Emitter events API} into its host.
  *
@@ -47,8 +54,8 @@ const EmitterMixin = {
 				// Go off() at the first call.
 				event.off();
 
-				// Go with the original callback.
-				callback.call( this, event, ...args );
+				// Go with the original callback. Its return value is passed on so it can be awaited by `fireAsync()`.
+				return callback.call( this, event, ...args );
 			}
 		};
 
@@ -69,6 +76,13 @@ const EmitterMixin = {
 	listenTo( emitter, event, callback, options = {} ) {
 		let emitterInfo, eventCallbacks;
 
+		const signal = options.signal;
+
+		// Do not register anything if the group of listeners has already been torn down.
+		if ( signal && signal.aborted ) {
+			return;
+		}
+
 		// _listeningTo contains a list of emitters that this object is listening to.
 		// This list has the following format:
 		//
@@ -108,34 +122,63 @@ const EmitterMixin = {
 
 		eventCallbacks.push( callback );
 
+		if ( leakDetector.isEnabled ) {
+			leakDetector._registerListener( this, emitter, event, callback );
+		}
+
+		const priority = priorities.get( options.priority );
+		const order = registeredCallbacksCount++;
+
+		// Pattern subscriptions are not bound to a single event namespace. They are kept aside and added
+		// to the callbacks lists of all events (existing and created later on) that match the pattern.
+		if ( isEventPattern( event ) ) {
+			const patternCallbackDefinition = { callback, priority, order, listener: this, id: options.id, pattern: event };
+
+			addPatternCallback( emitter, patternCallbackDefinition );
+
+			if ( signal ) {
+				addAbortHandler( patternCallbackDefinition, signal, () => this.stopListening( emitter, event, callback ) );
+			}
+
+			return;
+		}
+
 		// Finally register the callback to the event.
 		createEventNamespace( emitter, event );
 		const lists = getCallbacksListsForNamespace( emitter, event );
-		const priority = priorities.get( options.priority );
 
 		const callbackDefinition = {
 			callback,
-			priority
+			priority,
+			order,
+			listener: this,
+			id: options.id,
+			event
 		};
 
+		// The callback which should be executed right after or right before the added one. The first list
+		// contains callbacks of the event itself (including the ones copied from more generic events).
+		const relativeTo = options.before || options.after;
+		const relativeDefinition = relativeTo && lists[ 0 ].find( definition => definition.id === relativeTo );
+
+		// The callback takes the priority of the one it is ordered against, so the lists stay sorted by priorities.
+		if ( relativeDefinition ) {
+			callbackDefinition.priority = relativeDefinition.priority;
+		}
+
 		// Add the callback to all callbacks list.
 		for ( const callbacks of lists ) {
-			// Add the callback to the list in the right priority position.
-			let added = false;
-
-			for ( let i = 0; i < callbacks.length; i++ ) {
-				if ( callbacks[ i ].priority < priority ) {
-					callbacks.splice( i, 0, callbackDefinition );
-					added = true;
+			const relativeIndex = relativeDefinition ? callbacks.indexOf( relativeDefinition ) : -1;
 
-					break;
-				}
+			if ( relativeIndex > -1 ) {
+				callbacks.splice( options.before ? relativeIndex : relativeIndex + 1, 0, callbackDefinition );
+			} else {
+				insertCallbackDefinition( callbacks, callbackDefinition );
 			}
+		}
 
-			// Add at the end, if right place was not found.
-			if ( !added ) {
-				callbacks.push( callbackDefinition );
-			}
+		if ( signal ) {
+			addAbortHandler( callbackDefinition, signal, () => this.stopListening( emitter, event, callback ) );
 		}
 	},
 
@@ -185,14 +228,28 @@ const EmitterMixin = {
 	 * @inheritDoc
 	 */
 	fire( eventOrInfo, ...args ) {
+		const eventInfo = eventOrInfo instanceof EventInfo ? eventOrInfo : new EventInfo( this, eventOrInfo );
+		let eventRecord = null;
+
 		try {
-			const eventInfo = eventOrInfo instanceof EventInfo ? eventOrInfo : new EventInfo( this, eventOrInfo );
 			const event = eventInfo.name;
+
+			// Pattern callbacks are added to the event callbacks lists when the event namespace is created.
+			if ( this._eventPatterns ) {
+				createEventNamespace( this, event );
+			}
+
 			let callbacks = getCallbacksForEvent( this, event );
 
 			// Record that the event passed this emitter on its path.
 			eventInfo.path.push( this );
 
+			eventRecord = eventTracer.isEnabled ? eventTracer._startEvent( eventInfo ) : null;
+
+			// Delegations which were already fired.
+			const firedDelegations = new Map();
+			const isolateErrors = areErrorsIsolated( this, event );
+
 			// Handle event listener callbacks first.
 			if ( callbacks ) {
 				// Arguments passed to each callback.
@@ -206,14 +263,35 @@ const EmitterMixin = {
 				callbacks = Array.from( callbacks );
 
 				for ( let i = 0; i < callbacks.length; i++ ) {
-					callbacks[ i ].callback.apply( this, callbackArgs );
+					// Delegate event to other emitters with a priority higher than the callback one.
+					for ( const delegation of takeDelegations( this, event, firedDelegations, callbacks[ i ].priority ) ) {
+						fireDelegation( delegation, eventInfo, args );
+					}
+
+					eventInfo.match = getEventMatch( callbacks[ i ], event );
+
+					const callbackRecord = eventRecord && eventTracer._startCallback( eventRecord, callbacks[ i ] );
+
+					try {
+						callbacks[ i ].callback.apply( this, callbackArgs );
+					} catch ( error ) {
+						if ( !isolateErrors ) {
+							throw error;
+						}
+
+						reportListenerError( this, eventInfo, callbacks[ i ], error );
+					}
+
+					if ( callbackRecord ) {
+						eventTracer._endCallback( callbackRecord, eventInfo );
+					}
 
 					// Remove the callback from future requests if off() has been called.
 					if ( eventInfo.off.called ) {
 						// Remove the called mark for the next calls.
 						delete eventInfo.off.called;
 
-						removeCallback( this, event, callbacks[ i ].callback );
+						removeCallback( this, callbacks[ i ].pattern || event, callbacks[ i ].callback );
 					}
 
 					// Do not execute next callbacks if stop() was called.
@@ -223,47 +301,147 @@ const EmitterMixin = {
 				}
 			}
 
-			// Delegate event to other emitters if needed.
-			if ( this._delegations ) {
-				const destinations = this._delegations.get( event );
-				const passAllDestinations = this._delegations.get( '*' );
-
-				if ( destinations ) {
-					fireDelegatedEvents( destinations, eventInfo, args );
-				}
+			if ( eventRecord ) {
+				eventTracer._endEvent( eventRecord, eventInfo );
+			}
 
-				if ( passAllDestinations ) {
-					fireDelegatedEvents( passAllDestinations, eventInfo, args );
-				}
+			// Delegate event to other emitters if needed. Delegations are not affected by stopping the event.
+			for ( const delegation of takeDelegations( this, event, firedDelegations ) ) {
+				fireDelegation( delegation, eventInfo, args );
 			}
 
 			return eventInfo.return;
 		} catch ( err ) {
+			if ( eventRecord ) {
+				eventTracer._failEvent( eventRecord, eventInfo );
+			}
+
 			// @if CK_DEBUG // throw err;
 			/* istanbul ignore next */
 			CKEditorError.rethrowUnexpectedError( err, this );
 		}
 	},
 
+	/**
+	 * @inheritDoc
+	 */
+	fireAsync( eventOrInfo, ...args ) {
+		const eventInfo = eventOrInfo instanceof EventInfo ? eventOrInfo : new EventInfo( this, eventOrInfo );
+		const event = eventInfo.name;
+
+		if ( this._eventPatterns ) {
+			createEventNamespace( this, event );
+		}
+
+		// See the comment in `fire()` on why the callbacks array is copied.
+		const callbacks = Array.from( getCallbacksForEvent( this, event ) || [] );
+		const callbackArgs = [ eventInfo, ...args ];
+
+		// Record that the event passed this emitter on its path.
+		eventInfo.path.push( this );
+
+		const eventRecord = eventTracer.isEnabled ? eventTracer._startEvent( eventInfo ) : null;
+		const firedDelegations = new Map();
+		const isolateErrors = areErrorsIsolated( this, event );
+
+		// Fires the given delegations one after another, each one awaiting the listeners of the previous destination.
+		const fireDelegationsAsync = delegationsToFire => {
+			return delegationsToFire.reduce( ( promise, delegation ) => {
+				return promise.then( () => fireDelegation( delegation, eventInfo, args, true ) );
+			}, Promise.resolve() );
+		};
+
+		// Executes the callback at the given index and, once its result settles, the following ones.
+		const executeCallback = index => {
+			if ( index >= callbacks.length ) {
+				return Promise.resolve();
+			}
+
+			return fireDelegationsAsync( takeDelegations( this, event, firedDelegations, callbacks[ index ].priority ) )
+				.then( () => {
+					eventInfo.match = getEventMatch( callbacks[ index ], event );
+
+					const callbackRecord = eventRecord && eventTracer._startCallback( eventRecord, callbacks[ index ] );
+
+					// A promise constructor is used so that errors thrown synchronously by the callback also reject the chain.
+					return new Promise( resolve => resolve( callbacks[ index ].callback.apply( this, callbackArgs ) ) )
+						.catch( error => {
+							if ( !isolateErrors ) {
+								throw error;
+							}
+
+							reportListenerError( this, eventInfo, callbacks[ index ], error );
+						} )
+						.then( () => callbackRecord );
+				} )
+				.then( callbackRecord => {
+					if ( callbackRecord ) {
+						eventTracer._endCallback( callbackRecord, eventInfo );
+					}
+
+					// Remove the callback from future requests if off() has been called.
+					if ( eventInfo.off.called ) {
+						// Remove the called mark for the next calls.
+						delete eventInfo.off.called;
+
+						removeCallback( this, callbacks[ index ].pattern || event, callbacks[ index ].callback );
+					}
+
+					// Do not execute next callbacks if stop() was called.
+					if ( !eventInfo.stop.called ) {
+						return executeCallback( index + 1 );
+					}
+				} );
+		};
+
+		return executeCallback( 0 )
+			.then( () => {
+				if ( eventRecord ) {
+					eventTracer._endEvent( eventRecord, eventInfo );
+				}
+
+				// Delegate event to other emitters if needed.
+				return fireDelegationsAsync( takeDelegations( this, event, firedDelegations ) );
+			} )
+			.then( () => eventInfo.return )
+			.catch( err => {
+				if ( eventRecord ) {
+					eventTracer._failEvent( eventRecord, eventInfo );
+				}
+
+				// @if CK_DEBUG // throw err;
+				/* istanbul ignore next */
+				CKEditorError.rethrowUnexpectedError( err, this );
+			} );
+	},
+
 	/**
 	 * @inheritDoc
 	 */
 	delegate( ...events ) {
 		return {
-			to: ( emitter, nameOrFunction ) => {
+			to: ( emitter, nameOrFunction, options = {} ) => {
 				if ( !this._delegations ) {
 					this._delegations = new Map();
 				}
 
+				const destination = {
+					nameOrFunction,
+					filter: options.filter,
+					map: options.map,
+					// Delegations without a priority are fired after all callbacks.
+					priority: options.priority === undefined ? -Infinity : priorities.get( options.priority )
+				};
+
 				// Originally there was a for..of loop which unfortunately caused an error in Babel that didn't allow
 				// build an application. See: https://github.com/ckeditor/ckeditor5-react/issues/40.
 				events.forEach( eventName => {
 					const destinations = this._delegations.get( eventName );
 
 					if ( !destinations ) {
-						this._delegations.set( eventName, new Map( [ [ emitter, nameOrFunction ] ] ) );
+						this._delegations.set( eventName, new Map( [ [ emitter, destination ] ] ) );
 					} else {
-						destinations.set( emitter, nameOrFunction );
+						destinations.set( emitter, destination );
 					}
 				} );
 			}
@@ -289,6 +467,61 @@ const EmitterMixin = {
 				destinations.delete( emitter );
 			}
 		}
+	},
+
+	/**
+	 * @inheritDoc
+	 */
+	isolateErrors( ...events ) {
+		if ( !this._isolatedErrors ) {
+			this._isolatedErrors = new Set();
+		}
+
+		events.forEach( eventName => this._isolatedErrors.add( eventName ) );
+	},
+
+	/**
+	 * @inheritDoc
+	 */
+	stopIsolatingErrors( ...events ) {
+		if ( !this._isolatedErrors ) {
+			return;
+		}
+
+		if ( !events.length ) {
+			this._isolatedErrors.clear();
+		} else {
+			events.forEach( eventName => this._isolatedErrors.delete( eventName ) );
+		}
+	},
+
+	/**
+	 * @inheritDoc
+	 */
+	getListeners( event ) {
+		if ( this._eventPatterns ) {
+			createEventNamespace( this, event );
+		}
+
+		const callbacks = getCallbacksForEvent( this, event ) || [];
+
+		return callbacks.map( ( { callback, priority, listener, id } ) => ( { callback, priority, listener, id } ) );
+	},
+
+	/**
+	 * @inheritDoc
+	 */
+	getListenedEmitters() {
+		const emitters = this[ _listeningTo ];
+
+		if ( !emitters ) {
+			return [];
+		}
+
+		// The emitters whose callbacks have all been removed one by one are kept, so they must be skipped here.
+		return Object.keys( emitters )
+			.filter( emitterId => Object.keys( emitters[ emitterId ].callbacks ).length )
+			.map( emitterId => emitters[ emitterId ].emitter );
 	}
 };
 
@@ -315,6 +548,9 @@ export default EmitterMixin;
  * @param {module:utils/priorities~PriorityString|Number} [options.priority='normal'] The priority of this event callback. The higher
  * the priority value the sooner the callback will be fired. Events having the same priority are called in the
  * order they were added.
+ * @param {AbortSignal} [options.signal] The signal which removes the callback when aborted. It can also be any object
+ * compatible with `AbortSignal`, i.e. having the `aborted` property and the `addEventListener()` method (and, optionally,
+ * the `removeEventListener()` method, used to detach the signal once the callback is removed in another way).
  */
 
 /**
@@ -328,6 +564,9 @@ export default EmitterMixin;
  * @param {module:utils/priorities~PriorityString|Number} [options.priority='normal'] The priority of this event callback. The higher
  * the priority value the sooner the callback will be fired. Events having the same priority are called in the
  * order they were added.
+ * @param {AbortSignal} [options.signal] The signal which removes the callback when aborted. It can also be any object
+ * compatible with `AbortSignal`, i.e. having the `aborted` property and the `addEventListener()` method (and, optionally,
+ * the `removeEventListener()` method, used to detach the signal once the callback is removed in another way).
  */
 
 /**
@@ -356,17 +595,62 @@ export default EmitterMixin;
  *		// genericCallback is fired even though there are no callbacks for "foo".
  *		myEmitter.fire( 'myGroup:foo' );
  *
+ * A callback can also be registered for a whole family of events using a pattern. In a string pattern,
+ * the `*` wildcard matches any single segment of the event name. A `RegExp` pattern is tested against the event name.
+ * Just like in the case of namespaces, a pattern matching a generic event also matches its more specific events.
+ * The parts of the event name matched by the `*` wildcards (or by the capturing groups of a `RegExp`) are available
+ * in {@link module:utils/eventinfo~EventInfo#match `evt.match`}:
+ *
+ *		myEmitter.on( 'change:*', evt => {
+ *			// For `change:isEnabled` it logs `[ 'isEnabled' ]`.
+ *			console.log( evt.match );
+ *		} );
+ *
+ *		myEmitter.on( '*:myEvent', specificCallback );
+ *		myEmitter.on( /^(set|change):(is\w+)$/, ( evt ) => {
+ *			// For `set:isOn` it logs `[ 'set', 'isOn' ]`.
+ *			console.log( evt.match );
+ *		} );
+ *
+ * Callbacks can be identified using the `id` option, so other callbacks can be ordered against them using
+ * the `before` and `after` options instead of guessing priorities. Such a callback takes the priority of the referenced
+ * callback and it is executed right before or right after it:
+ *
+ *		this.listenTo( editor.editing.view.document, 'keydown', handleEnter, { id: 'enter:handler' } );
+ *
+ *		// `handleSoftBreak` will be executed right before `handleEnter`.
+ *		this.listenTo( editor.editing.view.document, 'keydown', handleSoftBreak, { before: 'enter:handler' } );
+ *
+ * All callbacks registered with the same {@link module:utils/emittermixin~Emitter#listenTo `signal` option} are removed
+ * at once when the signal is aborted. It makes tearing down a group of listeners registered on several emitters easier:
+ *
+ *		const controller = new AbortController();
+ *
+ *		this.listenTo( editor.model.document, 'change', onChange, { signal: controller.signal } );
+ *		this.listenTo( editor.ui, 'update', onUpdate, { signal: controller.signal } );
+ *
+ *		// Removes both callbacks.
+ *		controller.abort();
+ *
  * An event callback can {@link module:utils/eventinfo~EventInfo#stop stop the event} and
  * set the {@link module:utils/eventinfo~EventInfo#return return value} of the {@link #fire} method.
  *
  * @method #listenTo
  * @param {module:utils/emittermixin~Emitter} emitter The object that fires the event.
- * @param {String} event The name of the event.
+ * @param {String|RegExp} event The name of the event or a pattern matching event names.
  * @param {Function} callback The function to be called on event.
  * @param {Object} [options={}] Additional options.
  * @param {module:utils/priorities~PriorityString|Number} [options.priority='normal'] The priority of this event callback. The higher
  * the priority value the sooner the callback will be fired. Events having the same priority are called in the
  * order they were added.
+ * @param {AbortSignal} [options.signal] The signal which removes the callback when aborted. It can also be any object
+ * compatible with `AbortSignal`, i.e. having the `aborted` property and the `addEventListener()` method (and, optionally,
+ * the `removeEventListener()` method, used to detach the signal once the callback is removed in another way).
+ * @param {String} [options.id] The identifier of the callback which other callbacks can be ordered against.
+ * @param {String} [options.before] The identifier of an already registered callback of this event. The callback will be
+ * executed right before it. If there is no such callback, the `priority` option is used. Not supported for event patterns.
+ * @param {String} [options.after] The identifier of an already registered callback of this event. The callback will be
+ * executed right after it. If there is no such callback, the `priority` option is used. Not supported for event patterns.
  */
 
 /**
@@ -391,6 +675,8 @@ export default EmitterMixin;
  * The first parameter passed to callbacks is an {@link module:utils/eventinfo~EventInfo} object,
  * followed by the optional `args` provided in the `fire()` method call.
  *
+ * Fired events can be recorded for debugging purposes using the {@link module:utils/eventtracer~eventTracer event tracer}.
+ *
  * @method #fire
  * @param {String|module:utils/eventinfo~EventInfo} eventOrInfo The name of the event or `EventInfo` object if event is delegated.
  * @param {...*} [args] Additional arguments to be passed to the callbacks.
@@ -399,6 +685,35 @@ export default EmitterMixin;
  * is the first param of every callback).
  */
 
+/**
+ * Fires an event asynchronously, executing all callbacks registered for it one after another.
+ *
+ * It works like {@link #fire} but if a callback returns a promise, the next callback is executed only
+ * after that promise is resolved. The callbacks are executed in the same order as by {@link #fire}, so namespaced
+ * events and priorities are supported. {@link module:utils/eventinfo~EventInfo#stop Stopping the event} prevents
+ * the remaining callbacks from being executed and the event is {@link #delegate delegated} to other emitters only
+ * after all local callbacks are settled.
+ *
+ *		uploadAdapter.on( 'beforeUpload', ( evt, file ) => {
+ *			return resizeImage( file ).then( resizedFile => {
+ *				evt.return = resizedFile;
+ *			} );
+ *		} );
+ *
+ *		uploadAdapter.fireAsync( 'beforeUpload', file ).then( resizedFile => {
+ *			// ...
+ *		} );
+ *
+ * If any of the callbacks throws an error or returns a rejected promise, the returned promise is rejected
+ * and the remaining callbacks are not executed.
+ *
+ * @method #fireAsync
+ * @param {String|module:utils/eventinfo~EventInfo} eventOrInfo The name of the event or `EventInfo` object if event is delegated.
+ * @param {...*} [args] Additional arguments to be passed to the callbacks.
+ * @returns {Promise.<*>} A promise resolved with the {@link module:utils/eventinfo~EventInfo#return `evt.return`}
+ * value once all callbacks are settled.
+ */
+
 /**
  * Delegates selected events to another {@link module:utils/emittermixin~Emitter}. For instance:
  *
@@ -413,6 +728,19 @@ export default EmitterMixin;
  *
  *		emitterA.fire( 'eventY', data );
  *
+ * The delegated events can be renamed, filtered and their arguments can be transformed:
+ *
+ *		// Delegates `keydown` as `enter` but only for the "Enter" key, passing just the `domEvent` to `emitterB` listeners.
+ *		emitterA.delegate( 'keydown' ).to( emitterB, 'enter', {
+ *			filter: ( evt, data ) => data.keyCode == keyCodes.enter,
+ *			map: ( evt, data ) => [ data.domEvent ]
+ *		} );
+ *
+ * By default, the event is delegated after all its callbacks were executed. The delegation can also be given
+ * a priority, so the event is delegated before the local callbacks with lower priorities are executed:
+ *
+ *		emitterA.delegate( 'eventX' ).to( emitterB, null, { priority: 'high' } );
+ *
  * @method #delegate
  * @param {...String} events Event names that will be delegated to another emitter.
  * @returns {module:utils/emittermixin~EmitterMixinDelegateChain}
@@ -429,6 +757,91 @@ export default EmitterMixin;
  * @param {String} [event] The name of the event to stop delegating. If omitted, stops it all delegations.
  * @param {module:utils/emittermixin~Emitter} [emitter] (requires `event`) The object to stop delegating a particular event to.
  * If omitted, stops delegation of `event` to all emitters.
+ *
+ * When called by a callback of the event being fired, it also affects the delegations of that event which were not fired yet.
+ */
+
+/**
+ * Isolates the errors thrown by the callbacks of the given events. By default, an error thrown by a callback stops
+ * the execution of the event and is rethrown by {@link #fire}. When the errors of an event are isolated, they are caught,
+ * reported through the {@link #event:listenerError `listenerError`} event and the remaining callbacks are still executed.
+ * It prevents callbacks registered by third–party code from breaking the features listening to the same event:
+ *
+ *		editor.model.document.isolateErrors( 'change' );
+ *
+ *		editor.model.document.on( 'listenerError', ( evt, { event, error, listener } ) => {
+ *			console.warn( `A listener of "${ event }" failed.`, listener, error );
+ *		} );
+ *
+ * Isolating errors of a generic event (e.g. `change`) also isolates its more specific events (e.g. `change:data`).
+ * Use `'*'` to isolate the errors of all events fired by the emitter. Errors returned (as rejected promises)
+ * by the callbacks executed by {@link #fireAsync} are isolated as well.
+ *
+ * @method #isolateErrors
+ * @param {...String} events Event names which callbacks errors should be isolated.
+ */
+
+/**
+ * Stops isolating the callbacks errors. See {@link #isolateErrors}.
+ *
+ * @method #stopIsolatingErrors
+ * @param {...String} [events] Event names which callbacks errors should no longer be isolated. If omitted,
+ * the errors of all events are no longer isolated.
+ */
+
+/**
+ * Fired when a callback of an event which errors are {@link #isolateErrors isolated} threw an error.
+ * If there is no callback listening to this event, the error is logged to the console as `emittermixin-listener-error`.
+ *
+ * The errors thrown by the callbacks of this event are never isolated.
+ *
+ * @event listenerError
+ * @param {Object} data
+ * @param {String} data.event The name of the event which callback failed.
+ * @param {Error} data.error The error thrown by the callback.
+ * @param {Function} data.callback The callback which threw the error.
+ * @param {module:utils/emittermixin~Emitter} data.listener The object which registered the callback
+ * (see {@link module:utils/emittermixin~Emitter#listenTo}).
+ */
+
+/**
+ * Returns the callbacks which will be executed when the given event is {@link #fire fired} by this emitter,
+ * in the order of their execution. It includes the callbacks registered for more generic events (namespaces)
+ * and for matching event patterns.
+ *
+ *		editor.model.document.on( 'change', callback, { priority: 'low' } );
+ *
+ *		editor.model.document.getListeners( 'change:data' );
+ *		// -> [ { callback, priority: -1000, listener: editor.model.document } ]
+ *
+ * @method #getListeners
+ * @param {String} event The name of the event.
+ * @returns {Array.<module:utils/emittermixin~ListenerDefinition>}
+ */
+
+/**
+ * Returns all emitters this object {@link #listenTo listens to} (including itself if it registered callbacks
+ * using {@link #on}). It is useful to verify that all listeners were removed (e.g. after the editor was destroyed):
+ *
+ *		editor.destroy().then( () => {
+ *			console.log( plugin.getListenedEmitters() ); // -> []
+ *		} );
+ *
+ * @method #getListenedEmitters
+ * @returns {Array.<module:utils/emittermixin~Emitter>}
+ */
+
+/**
+ * The definition of an event callback returned by {@link module:utils/emittermixin~Emitter#getListeners}.
+ *
+ * @typedef {Object} module:utils/emittermixin~ListenerDefinition
+ *
+ * @property {Function} callback The callback function.
+ * @property {Number} priority The numeric priority of the callback.
+ * @property {module:utils/emittermixin~Emitter} listener The object which registered the callback
+ * (see {@link module:utils/emittermixin~Emitter#listenTo}).
+ * @property {String|undefined} id The identifier of the callback given in the `id` option of
+ * {@link module:utils/emittermixin~Emitter#listenTo}.
  */
 
 /**
@@ -520,6 +933,8 @@ function createEventNamespace( source, eventName ) {
 
 	// Array containing all newly created specific events.
 	const newEventNodes = [];
+	// Names of the newly created events (in the same order as the nodes).
+	const newEventNames = [];
 
 	// While loop can't check for ':' index because we have to handle generic events too.
 	// In each loop, we truncate event name, going from the most specific name to the generic one.
@@ -536,6 +951,7 @@ function createEventNamespace( source, eventName ) {
 		events[ name ] = makeEventNode();
 		// Add it to the array with newly created events.
 		newEventNodes.push( events[ name ] );
+		newEventNames.push( name );
 
 		// Add previously processed event name as a child of this event.
 		if ( childEventName ) {
@@ -559,6 +975,19 @@ function createEventNamespace( source, eventName ) {
 		// Add last newly created event to the already registered event.
 		events[ name ].childEvents.push( childEventName );
 	}
+
+	// Add callbacks of the matching patterns to newly registered events. They are merged with the callbacks
+	// copied from the more generic event, so the callbacks with the same priority are executed in the order
+	// in which they were registered.
+	if ( source._eventPatterns ) {
+		for ( let i = 0; i < newEventNodes.length; i++ ) {
+			for ( const callbackDefinition of source._eventPatterns ) {
+				if ( matchEventPattern( callbackDefinition.pattern, newEventNames[ i ] ) ) {
+					mergeCallbackDefinition( newEventNodes[ i ].callbacks, callbackDefinition );
+				}
+			}
+		}
+	}
 }
 
 // Gets an array containing callbacks list for a given event and it's more specific events.
@@ -603,46 +1032,456 @@ function getCallbacksForEvent( source, eventName ) {
 	return event.callbacks;
 }
 
-// Fires delegated events for given map of destinations.
+// Gets the delegations of the given event: the destinations of the specific event followed by the destinations
+// of all events (`'*'`), sorted by their priorities.
+//
+// @private
+// * @param {module:utils/emittermixin~Emitter} source The emitter which delegates the event.
+// * @param {String} eventName The name of the original event.
+// * @returns {Array.<Object>} Delegations with the `emitter`, the delegated event `name`, the `priority`,
+// the optional `filter` and `map` functions and the `key` (the original event name or `'*'`) they were registered for.
+function getDelegations( source, eventName ) {
+	const delegations = [];
+
+	if ( !source._delegations ) {
+		return delegations;
+	}
+
+	for ( const key of [ eventName, '*' ] ) {
+		const destinations = source._delegations.get( key );
+
+		if ( !destinations ) {
+			continue;
+		}
+
+		for ( const [ emitter, { nameOrFunction, filter, map, priority } ] of destinations ) {
+			let name = nameOrFunction;
+
+			if ( !name ) {
+				name = eventName;
+			} else if ( typeof name == 'function' ) {
+				name = name( eventName );
+			}
+
+			delegations.push( { emitter, name, filter, map, priority, key } );
+		}
+	}
+
+	// Note that the sort is stable, so the delegations with the same priority keep their order.
+	return delegations.sort( ( a, b ) => b.priority - a.priority );
+}
+
+// Returns the delegations which were not fired yet and should be fired before a callback with the given priority
+// (or all of them if the priority is not given) and marks them as fired. The delegations are read each time,
+// so the changes made by the callbacks executed so far (e.g. `stopDelegating()`) affect the event being fired.
+//
+// @private
+// * @param {module:utils/emittermixin~Emitter} source The emitter which delegates the event.
+// * @param {String} eventName The name of the original event.
+// * @param {Map.<String,Set>} firedDelegations The destination emitters of the delegations fired so far,
+// by the delegation `key` (see `getDelegations()`).
+// * @param {Number} [priority]
+// * @returns {Array.<Object>}
+function takeDelegations( source, eventName, firedDelegations, priority ) {
+	const delegations = getDelegations( source, eventName ).filter( ( { emitter, key, priority: delegationPriority } ) => {
+		const isFired = firedDelegations.has( key ) && firedDelegations.get( key ).has( emitter );
+
+		return !isFired && ( priority === undefined || delegationPriority > priority );
+	} );
+
+	for ( const { emitter, key } of delegations ) {
+		if ( !firedDelegations.has( key ) ) {
+			firedDelegations.set( key, new Set() );
+		}
+
+		firedDelegations.get( key ).add( emitter );
+	}
+
+	return delegations;
+}
+
+// Fires the delegated event on the destination emitter, unless the delegation filter rejects it.
 //
 // @private
-// * @param {Map.<utils.Emitter>} destinations A map containing
-// `[ {@link module:utils/emittermixin~Emitter}, "event name" ]` pair destinations.
+// * @param {Object} delegation See `getDelegations()`.
 // * @param {utils.EventInfo} eventInfo The original event info object.
 // * @param {Array.<*>} fireArgs Arguments the original event was fired with.
-function fireDelegatedEvents( destinations, eventInfo, fireArgs ) {
-	for ( let [ emitter, name ] of destinations ) {
-		if ( !name ) {
-			name = eventInfo.name;
-		} else if ( typeof name == 'function' ) {
-			name = name( eventInfo.name );
+// * @param {Boolean} [isAsync=false] Whether the event should be fired using `fireAsync()`.
+// * @returns {*} The value returned by the destination `fire()` or `fireAsync()` method.
+function fireDelegation( { emitter, name, filter, map }, eventInfo, fireArgs, isAsync = false ) {
+	if ( filter && !filter( eventInfo, ...fireArgs ) ) {
+		return;
+	}
+
+	const delegatedInfo = new EventInfo( eventInfo.source, name );
+	const delegatedArgs = map ? map( eventInfo, ...fireArgs ) : fireArgs;
+
+	delegatedInfo.path = [ ...eventInfo.path ];
+
+	return isAsync ? emitter.fireAsync( delegatedInfo, ...delegatedArgs ) : emitter.fire( delegatedInfo, ...delegatedArgs );
+}
+
+// Checks whether the errors thrown by the callbacks of the given event should be isolated.
+// The event errors are isolated if the event or one of its more generic namespaces was passed to `isolateErrors()`.
+//
+// @private
+// * @param {module:utils/emittermixin~Emitter} source
+// * @param {String} eventName
+// * @returns {Boolean}
+function areErrorsIsolated( source, eventName ) {
+	// The errors of the error channel itself are never isolated to avoid infinite loops.
+	if ( !source._isolatedErrors || eventName == 'listenerError' ) {
+		return false;
+	}
+
+	if ( source._isolatedErrors.has( '*' ) ) {
+		return true;
+	}
+
+	let name = eventName;
+
+	while ( name !== '' ) {
+		if ( source._isolatedErrors.has( name ) ) {
+			return true;
 		}
 
-		const delegatedInfo = new EventInfo( eventInfo.source, name );
+		name = name.substr( 0, name.lastIndexOf( ':' ) );
+	}
+
+	return false;
+}
+
+// Reports the error thrown by an event callback through the `listenerError` event or,
+// if nothing listens to it, logs it to the console.
+//
+// @private
+// * @param {module:utils/emittermixin~Emitter} source
+// * @param {utils.EventInfo} eventInfo
+// * @param {Object} callbackDefinition
+// * @param {Error} error
+function reportListenerError( source, eventInfo, { callback, listener }, error ) {
+	const data = {
+		event: eventInfo.name,
+		error,
+		callback,
+		listener
+	};
 
-		delegatedInfo.path = [ ...eventInfo.path ];
+	if ( !source.getListeners( 'listenerError' ).length ) {
+		/**
+		 * A callback of an event with {@link module:utils/emittermixin~Emitter#isolateErrors isolated errors} threw an error
+		 * and nothing listens to the {@link module:utils/emittermixin~Emitter#event:listenerError `listenerError`} event.
+		 * The remaining callbacks of the event were executed.
+		 *
+		 * Listen to the `listenerError` event of the emitter to handle such errors.
+		 *
+		 * @error emittermixin-listener-error
+		 * @param {String} event The name of the event.
+		 * @param {Error} error The error thrown by the callback.
+		 * @param {Function} callback The callback which threw the error.
+		 * @param {module:utils/emittermixin~Emitter} listener The object which registered the callback.
+		 */
+		console.error( attachLinkToDocumentation(
+			'emittermixin-listener-error: An event callback threw an error and nothing listens to the listenerError event.'
+		), data );
 
-		emitter.fire( delegatedInfo, ...fireArgs );
+		return;
 	}
+
+	source.fire( 'listenerError', data );
 }
 
 // Removes callback from emitter for given event.
 //
 // @param {module:utils/emittermixin~Emitter} emitter
-// @param {String} event
+// @param {String|RegExp} event
 // @param {Function} callback
 function removeCallback( emitter, event, callback ) {
+	// The event may be a pattern. Note that it is given as a string when the callbacks are removed
+	// by iterating over the `_listeningTo` keys, hence the pattern callbacks are checked regardless of its type.
+	if ( emitter._eventPatterns ) {
+		removePatternCallback( emitter, event, callback );
+	}
+
 	const lists = getCallbacksListsForNamespace( emitter, event );
+	const removedDefinitions = new Set();
 
 	for ( const callbacks of lists ) {
 		for ( let i = 0; i < callbacks.length; i++ ) {
 			if ( callbacks[ i ].callback == callback ) {
+				removedDefinitions.add( callbacks[ i ] );
+
 				// Remove the callback from the list (fixing the next index).
 				callbacks.splice( i, 1 );
 				i--;
 			}
 		}
 	}
+
+	// When the callback is removed from a more specific event only (e.g. by `evt.off()` called for `foo:bar`
+	// in a `foo` callback), the emitter still executes it for other events, so it must not be detached yet.
+	for ( const callbackDefinition of removedDefinitions ) {
+		if ( !isCallbackDefinitionRegistered( emitter, callbackDefinition ) ) {
+			detachCallbackDefinition( emitter, callbackDefinition );
+		}
+	}
+}
+
+// Checks whether the callback definition is still on any callbacks list of the emitter.
+//
+// @param {module:utils/emittermixin~Emitter} emitter
+// @param {Object} callbackDefinition
+// @returns {Boolean}
+function isCallbackDefinitionRegistered( emitter, callbackDefinition ) {
+	const events = getEvents( emitter );
+
+	return Object.keys( events ).some( name => events[ name ].callbacks.includes( callbackDefinition ) );
+}
+
+// Makes the signal remove the callback when aborted. The abort handler is kept in the callback definition,
+// so it can be detached from the signal once the callback is removed in any other way (see `removeCallback()`).
+//
+// @param {Object} callbackDefinition
+// @param {AbortSignal} signal
+// @param {Function} abortHandler
+function addAbortHandler( callbackDefinition, signal, abortHandler ) {
+	callbackDefinition.signal = signal;
+	callbackDefinition.abortHandler = abortHandler;
+
+	signal.addEventListener( 'abort', abortHandler, { once: true } );
+}
+
+// Cleans up after the callback removed from all callbacks lists of the emitter. Detaches the abort handler of the callback
+// from its signal (see `addAbortHandler()`), makes the leak detector forget the callback and removes the callback from
+// the callbacks the listener listens to, so the emitter is not reported by `getListenedEmitters()` once none of
+// the listener's callbacks are left in it. The emitter itself is kept among the listened ones, as the DOM emitters
+// look their proxy emitters up there (see `DomEmitterMixin`).
+//
+// @param {module:utils/emittermixin~Emitter} emitter
+// @param {Object} callbackDefinition
+function detachCallbackDefinition( emitter, callbackDefinition ) {
+	const { signal, listener, callback } = callbackDefinition;
+	const event = callbackDefinition.pattern || callbackDefinition.event;
+
+	if ( signal && signal.removeEventListener ) {
+		signal.removeEventListener( 'abort', callbackDefinition.abortHandler );
+	}
+
+	// Not guarded by `leakDetector.isEnabled`, as the callbacks registered before the detector was stopped are recorded too.
+	leakDetector._unregisterListener( listener, emitter, event, callback );
+
+	const emitters = listener[ _listeningTo ];
+	const emitterId = _getEmitterId( emitter );
+	const emitterInfo = emitters && emitters[ emitterId ];
+	const eventCallbacks = emitterInfo && emitterInfo.callbacks[ event ];
+
+	if ( !eventCallbacks ) {
+		return;
+	}
+
+	emitterInfo.callbacks[ event ] = eventCallbacks.filter( eventCallback => eventCallback != callback );
+
+	if ( !emitterInfo.callbacks[ event ].length ) {
+		delete emitterInfo.callbacks[ event ];
+	}
+}
+
+// Adds the callback definition to the callbacks list in the right priority position. Callbacks with the same
+// priority are kept in the order they were added. Nothing is done if the definition is already on the list.
+//
+// @param {Array.<Object>} callbacks
+// @param {Object} callbackDefinition
+function insertCallbackDefinition( callbacks, callbackDefinition ) {
+	if ( callbacks.includes( callbackDefinition ) ) {
+		return;
+	}
+
+	for ( let i = 0; i < callbacks.length; i++ ) {
+		if ( callbacks[ i ].priority < callbackDefinition.priority ) {
+			callbacks.splice( i, 0, callbackDefinition );
+
+			return;
+		}
+	}
+
+	// Add at the end, if right place was not found.
+	callbacks.push( callbackDefinition );
+}
+
+// Inserts the callback definition into the callbacks list right after the last callback which has a higher priority
+// or has the same priority but was registered earlier.
+//
+// @param {Array.<Object>} callbacks
+// @param {Object} callbackDefinition
+function mergeCallbackDefinition( callbacks, callbackDefinition ) {
+	if ( callbacks.includes( callbackDefinition ) ) {
+		return;
+	}
+
+	let index = callbacks.length;
+
+	while ( index > 0 ) {
+		const { priority, order } = callbacks[ index - 1 ];
+
+		if ( priority > callbackDefinition.priority || ( priority == callbackDefinition.priority && order < callbackDefinition.order ) ) {
+			break;
+		}
+
+		index--;
+	}
+
+	callbacks.splice( index, 0, callbackDefinition );
+}
+
+// Checks whether the given event name is an event pattern, i.e. a `RegExp` or a string with
+// a `*` wildcard in place of one of its segments (e.g. `change:*` or `*:foo`).
+//
+// @param {String|RegExp} event
+// @returns {Boolean}
+function isEventPattern( event ) {
+	return event instanceof RegExp || event.split( ':' ).includes( '*' );
+}
+
+// Gets the internal `_eventPatterns` property of the given object.
+// `_eventPatterns` stores the definitions of all callbacks registered for event patterns.
+// If there were no patterns registered on the object, empty `_eventPatterns` array is created.
+function getEventPatterns( source ) {
+	if ( !source._eventPatterns ) {
+		Object.defineProperty( source, '_eventPatterns', {
+			value: [],
+			configurable: true
+		} );
+	}
+
+	return source._eventPatterns;
+}
+
+// Registers the pattern callback definition and adds it to the callbacks lists of all already registered events
+// matching the pattern. Events registered later on get it in `createEventNamespace()`.
+//
+// @param {module:utils/emittermixin~Emitter} emitter
+// @param {Object} callbackDefinition
+function addPatternCallback( emitter, callbackDefinition ) {
+	const events = getEvents( emitter );
+
+	getEventPatterns( emitter ).push( callbackDefinition );
+
+	for ( const name in events ) {
+		if ( matchEventPattern( callbackDefinition.pattern, name ) ) {
+			insertCallbackDefinition( events[ name ].callbacks, callbackDefinition );
+		}
+	}
+}
+
+// Removes callback registered for the given pattern from the emitter.
+//
+// @param {module:utils/emittermixin~Emitter} emitter
+// @param {String|RegExp} pattern The pattern. A `RegExp` may also be given in its stringified form.
+// @param {Function} callback
+function removePatternCallback( emitter, pattern, callback ) {
+	const patterns = emitter._eventPatterns;
+
+	if ( !patterns ) {
+		return;
+	}
+
+	const isRemoved = callbackDefinition =>
+		callbackDefinition.callback == callback && String( callbackDefinition.pattern ) == String( pattern );
+
+	for ( const name in emitter._events ) {
+		const callbacks = emitter._events[ name ].callbacks;
+
+		for ( let i = 0; i < callbacks.length; i++ ) {
+			if ( callbacks[ i ].pattern && isRemoved( callbacks[ i ] ) ) {
+				// Remove the callback from the list (fixing the next index).
+				callbacks.splice( i, 1 );
+				i--;
+			}
+		}
+	}
+
+	for ( let i = 0; i < patterns.length; i++ ) {
+		if ( isRemoved( patterns[ i ] ) ) {
+			detachCallbackDefinition( emitter, patterns[ i ] );
+
+			patterns.splice( i, 1 );
+			i--;
+		}
+	}
+
+	if ( !patterns.length ) {
+		delete emitter._eventPatterns;
+	}
+}
+
+// Matches the event name against the pattern. Just like a callback registered for a generic event is called for
+// its more specific events, the pattern is checked against the event name and all its more generic namespaces,
+// starting from the most specific one.
+//
+// For string patterns, returns the segments matched by the `*` wildcards. For regular expressions, returns
+// the values of the capturing groups. If the pattern does not match, `null` is returned.
+//
+// @param {String|RegExp} pattern
+// @param {String} eventName
+// @returns {Array.<String>|null}
+function matchEventPattern( pattern, eventName ) {
+	let name = eventName;
+
+	while ( name !== '' ) {
+		let match = null;
+
+		if ( pattern instanceof RegExp ) {
+			pattern.lastIndex = 0;
+
+			const result = pattern.exec( name );
+
+			match = result && result.slice( 1 );
+		} else {
+			match = matchWildcardPattern( pattern, name );
+		}
+
+		if ( match ) {
+			return match;
+		}
+
+		name = name.substr( 0, name.lastIndexOf( ':' ) );
+	}
+
+	return null;
+}
+
+// Matches the event name against the string pattern, segment by segment. A `*` wildcard matches exactly one segment.
+//
+// @param {String} pattern
+// @param {String} name
+// @returns {Array.<String>|null}
+function matchWildcardPattern( pattern, name ) {
+	const patternSegments = pattern.split( ':' );
+	const nameSegments = name.split( ':' );
+	const match = [];
+
+	if ( patternSegments.length != nameSegments.length ) {
+		return null;
+	}
+
+	for ( let i = 0; i < patternSegments.length; i++ ) {
+		if ( patternSegments[ i ] == '*' ) {
+			match.push( nameSegments[ i ] );
+		} else if ( patternSegments[ i ] != nameSegments[ i ] ) {
+			return null;
+		}
+	}
+
+	return match;
+}
+
+// Returns the value of {@link module:utils/eventinfo~EventInfo#match} for the given callback.
+//
+// @param {Object} callbackDefinition
+// @param {String} eventName
+// @returns {Array.<String>|null}
+function getEventMatch( callbackDefinition, eventName ) {
+	return callbackDefinition.pattern ? matchEventPattern( callbackDefinition.pattern, eventName ) : null;
 }
 
 /**
@@ -657,4 +1496,11 @@ function removeCallback( emitter, event, callback ) {
  * @method #to
  * @param {module:utils/emittermixin~Emitter} emitter An `EmitterMixin` instance which is the destination for delegated events.
  * @param {String|Function} [nameOrFunction] A custom event name or function which converts the original name string.
+ * @param {Object} [options={}] Additional options.
+ * @param {Function} [options.filter] A function called with the original event info and the event arguments. The event is
+ * delegated only if it returns `true`.
+ * @param {Function} [options.map] A function called with the original event info and the event arguments. It should return
+ * an array of arguments the delegated event will be fired with.
+ * @param {module:utils/priorities~PriorityString|Number} [options.priority] The priority of the delegation. The event is delegated
+ * before the callbacks with a lower priority are executed. By default, the event is delegated after all callbacks were executed.
  */
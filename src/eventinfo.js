@@ -43,6 +43,18 @@ export default class EventInfo {
 		 */
 		this.path = [];
 
+		/**
+		 * The parts of the event name matched by the pattern the currently executed callback was registered for.
+		 * See {@link module:utils/emittermixin~EmitterMixin#listenTo}.
+		 *
+		 * For string patterns, it contains the segments matched by the `*` wildcards. For `RegExp` patterns,
+		 * it contains the values of the capturing groups. It is `null` for callbacks registered for a specific event name.
+		 *
+		 * @readonly
+		 * @member {Array.<String>|null}
+		 */
+		this.match = null;
+
 		// The following methods are defined in the constructor because they must be re-created per instance.
 
 		/**
@@ -0,0 +1,88 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module utils/eventsof
+ */
+
+import EmitterMixin from './emittermixin';
+
+/**
+ * Returns an async iterator over the events fired by the emitter.
+ *
+ *		for await ( const [ evt, batch ] of eventsOf( editor.model.document, 'change:data' ) ) {
+ *			console.log( 'The data has changed.', batch );
+ *
+ *			if ( isDone ) {
+ *				// Breaking the loop removes the listener.
+ *				break;
+ *			}
+ *		}
+ *
+ * The events fired before they are requested from the iterator are queued, so none of them is lost.
+ * The listener is removed when the iteration is finished (e.g. the loop is broken) or when the iterator's
+ * `return()` method is called.
+ *
+ * @param {module:utils/emittermixin~Emitter} emitter The object that fires the events.
+ * @param {String} eventName The name of the event.
+ * @param {Object} [options={}] Additional options.
+ * @param {Function} [options.filter] A function called with the event callback arguments. Only the events for which
+ * it returns `true` are yielded.
+ * @param {module:utils/priorities~PriorityString|Number} [options.priority='normal'] The priority of the event callback.
+ * @returns {AsyncIterator.<Array>} An iterator yielding the arguments of the event callbacks: the
+ * {@link module:utils/eventinfo~EventInfo event info} followed by the event data.
+ */
+export default function eventsOf( emitter, eventName, options = {} ) {
+	const listener = Object.create( EmitterMixin );
+
+	// The events fired but not yet requested.
+	const queue = [];
+	// The `resolve()` functions of the requests waiting for the events.
+	const pending = [];
+	let isDone = false;
+
+	listener.listenTo( emitter, eventName, ( ...args ) => {
+		if ( options.filter && !options.filter( ...args ) ) {
+			return;
+		}
+
+		if ( pending.length ) {
+			pending.shift()( { value: args, done: false } );
+		} else {
+			queue.push( args );
+		}
+	}, { priority: options.priority } );
+
+	return {
+		next() {
+			if ( queue.length ) {
+				return Promise.resolve( { value: queue.shift(), done: false } );
+			}
+
+			if ( isDone ) {
+				return Promise.resolve( { value: undefined, done: true } );
+			}
+
+			return new Promise( resolve => pending.push( resolve ) );
+		},
+
+		return() {
+			isDone = true;
+			queue.length = 0;
+
+			listener.stopListening();
+
+			for ( const resolve of pending.splice( 0 ) ) {
+				resolve( { value: undefined, done: true } );
+			}
+
+			return Promise.resolve( { value: undefined, done: true } );
+		},
+
+		[ Symbol.asyncIterator ]() {
+			return this;
+		}
+	};
+}
@@ -0,0 +1,296 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* globals performance */
+
+/**
+ * @module utils/eventtracer
+ */
+
+/**
+ * A global, opt-in facility recording events fired by {@link module:utils/emittermixin~Emitter emitters}.
+ * It helps debugging the order in which the callbacks of various plugins are executed.
+ *
+ *		import eventTracer from '@ckeditor/ckeditor5-utils/src/eventtracer';
+ *
+ *		eventTracer.start();
+ *
+ *		editor.execute( 'bold' );
+ *
+ *		eventTracer.stop();
+ *
+ *		console.log( JSON.stringify( eventTracer ) );
+ *
+ * For each {@link module:utils/emittermixin~EmitterMixin#fire fired} event, the tracer records the event name, its source,
+ * the {@link module:utils/eventinfo~EventInfo#path path}, the final return value and all callbacks executed, together with
+ * their priorities, durations and the information whether a callback stopped the event. The events and callbacks which
+ * were interrupted by an error thrown by a callback are marked as failed.
+ *
+ * The trace can also be exported in the
+ * [Chrome trace event format](https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU) using
+ * {@link #toTraceEvents} and loaded into a profiler (e.g. the "Performance" tab of Chrome DevTools).
+ *
+ * @namespace
+ */
+const eventTracer = {
+	/**
+	 * Whether the events are being recorded.
+	 *
+	 * @readonly
+	 * @member {Boolean}
+	 */
+	isEnabled: false,
+
+	/**
+	 * The list of event records. See {@link module:utils/eventtracer~EventRecord}.
+	 *
+	 * @readonly
+	 * @member {Array.<module:utils/eventtracer~EventRecord>}
+	 */
+	records: [],
+
+	/**
+	 * Starts recording events. The records collected so far are kept (see {@link #clear}).
+	 */
+	start() {
+		this.isEnabled = true;
+	},
+
+	/**
+	 * Stops recording events.
+	 */
+	stop() {
+		this.isEnabled = false;
+	},
+
+	/**
+	 * Removes all records.
+	 */
+	clear() {
+		this.records = [];
+	},
+
+	/**
+	 * Returns a serializable representation of the records. Emitters are represented by their constructor names
+	 * and the return values which cannot be serialized are described by their types.
+	 *
+	 * It is used by `JSON.stringify()`, so `JSON.stringify( eventTracer )` returns the trace as JSON.
+	 *
+	 * @returns {Array.<Object>}
+	 */
+	toJSON() {
+		return this.records.map( record => ( {
+			name: record.name,
+			source: describeValue( record.source ),
+			path: record.path.map( describeValue ),
+			startTime: record.startTime,
+			duration: record.duration,
+			stopped: record.stopped,
+			failed: record.failed,
+			return: describeValue( record.return ),
+			callbacks: record.callbacks.map( callbackRecord => ( {
+				callback: describeValue( callbackRecord.callback ),
+				priority: callbackRecord.priority,
+				startTime: callbackRecord.startTime,
+				duration: callbackRecord.duration,
+				stopped: callbackRecord.stopped,
+				failed: callbackRecord.failed
+			} ) )
+		} ) );
+	},
+
+	/**
+	 * Returns the records in the Chrome trace event format. Each event and each callback is represented
+	 * by a "complete" (`ph: 'X'`) trace event, so the callbacks are displayed as nested in the events which executed them.
+	 *
+	 * @returns {Object} An object with the `traceEvents` property containing the list of trace events.
+	 */
+	toTraceEvents() {
+		const traceEvents = [];
+
+		for ( const record of this.toJSON() ) {
+			traceEvents.push( createTraceEvent( record.name, 'event', record, {
+				source: record.source,
+				path: record.path,
+				stopped: record.stopped,
+				failed: record.failed,
+				return: record.return
+			} ) );
+
+			for ( const callbackRecord of record.callbacks ) {
+				traceEvents.push( createTraceEvent( callbackRecord.callback, 'callback', callbackRecord, {
+					event: record.name,
+					priority: callbackRecord.priority,
+					stopped: callbackRecord.stopped,
+					failed: callbackRecord.failed
+				} ) );
+			}
+		}
+
+		return { traceEvents };
+	},
+
+	/**
+	 * Starts recording an event. Called by {@link module:utils/emittermixin~EmitterMixin} when the event is fired.
+	 *
+	 * @protected
+	 * @param {module:utils/eventinfo~EventInfo} eventInfo
+	 * @returns {module:utils/eventtracer~EventRecord}
+	 */
+	_startEvent( eventInfo ) {
+		const record = {
+			name: eventInfo.name,
+			source: eventInfo.source,
+			path: [],
+			startTime: now(),
+			duration: null,
+			stopped: false,
+			failed: false,
+			return: undefined,
+			callbacks: []
+		};
+
+		this.records.push( record );
+
+		return record;
+	},
+
+	/**
+	 * Finishes recording an event once all its callbacks were executed.
+	 *
+	 * @protected
+	 * @param {module:utils/eventtracer~EventRecord} record
+	 * @param {module:utils/eventinfo~EventInfo} eventInfo
+	 */
+	_endEvent( record, eventInfo ) {
+		record.duration = now() - record.startTime;
+		record.path = Array.from( eventInfo.path );
+		record.stopped = !!eventInfo.stop.called;
+		record.return = eventInfo.return;
+	},
+
+	/**
+	 * Starts recording a callback execution.
+	 *
+	 * @protected
+	 * @param {module:utils/eventtracer~EventRecord} record The record of the event which executes the callback.
+	 * @param {Object} callbackDefinition
+	 * @param {Function} callbackDefinition.callback
+	 * @param {Number} callbackDefinition.priority
+	 * @returns {Object} The callback record.
+	 */
+	_startCallback( record, callbackDefinition ) {
+		const callbackRecord = {
+			callback: callbackDefinition.callback,
+			priority: callbackDefinition.priority,
+			startTime: now(),
+			duration: null,
+			stopped: false,
+			failed: false
+		};
+
+		record.callbacks.push( callbackRecord );
+
+		return callbackRecord;
+	},
+
+	/**
+	 * Finishes recording a callback execution.
+	 *
+	 * @protected
+	 * @param {Object} callbackRecord
+	 * @param {module:utils/eventinfo~EventInfo} eventInfo
+	 */
+	_endCallback( callbackRecord, eventInfo ) {
+		callbackRecord.duration = now() - callbackRecord.startTime;
+		callbackRecord.stopped = !!eventInfo.stop.called;
+	},
+
+	/**
+	 * Finishes recording an event interrupted by an error. The event record and the records of the callbacks
+	 * which were not finished are marked as failed.
+	 *
+	 * @protected
+	 * @param {module:utils/eventtracer~EventRecord} record
+	 * @param {module:utils/eventinfo~EventInfo} eventInfo
+	 */
+	_failEvent( record, eventInfo ) {
+		for ( const callbackRecord of record.callbacks ) {
+			if ( callbackRecord.duration === null ) {
+				this._endCallback( callbackRecord, eventInfo );
+				callbackRecord.failed = true;
+			}
+		}
+
+		// The error might have been thrown after the event was finished (e.g. by a delegated event).
+		if ( record.duration === null ) {
+			this._endEvent( record, eventInfo );
+			record.failed = true;
+		}
+	}
+};
+
+export default eventTracer;
+
+// Returns the current time in milliseconds, with sub-millisecond precision if possible.
+//
+// @returns {Number}
+function now() {
+	return typeof performance != 'undefined' ? performance.now() : Date.now();
+}
+
+// Returns a serializable description of the given value.
+//
+// @param {*} value
+// @returns {*}
+function describeValue( value ) {
+	if ( typeof value == 'function' ) {
+		return value.name || '(anonymous)';
+	}
+
+	if ( value && typeof value == 'object' ) {
+		return value.constructor && value.constructor.name || 'Object';
+	}
+
+	return value;
+}
+
+// Creates a "complete" trace event. Note that the trace event format uses microseconds.
+//
+// @param {String} name
+// @param {String} category
+// @param {Object} record
+// @param {Object} args
+// @returns {Object}
+function createTraceEvent( name, category, record, args ) {
+	return {
+		name,
+		cat: category,
+		ph: 'X',
+		ts: record.startTime * 1000,
+		dur: record.duration * 1000,
+		pid: 1,
+		tid: 1,
+		args
+	};
+}
+
+/**
+ * The record of a fired event collected by the {@link module:utils/eventtracer~eventTracer event tracer}.
+ *
+ * @typedef {Object} module:utils/eventtracer~EventRecord
+ *
+ * @property {String} name The event name.
+ * @property {Object} source The object that fired the event.
+ * @property {Array.<Object>} path The {@link module:utils/eventinfo~EventInfo#path path} of the event.
+ * @property {Number} startTime The time at which the event was fired.
+ * @property {Number|null} duration The time (in milliseconds) it took to execute all callbacks.
+ * @property {Boolean} stopped Whether the event was {@link module:utils/eventinfo~EventInfo#stop stopped}.
+ * @property {Boolean} failed Whether the event was interrupted by an error thrown by a callback.
+ * @property {*} return The {@link module:utils/eventinfo~EventInfo#return return value} of the event.
+ * @property {Array.<Object>} callbacks The executed callbacks. Each one is described by the `callback` function,
+ * its `priority`, `startTime`, `duration`, whether it `stopped` the event and whether it `failed` (threw an error
+ * which interrupted the event).
+ */
@@ -13,6 +13,7 @@ import DomEmitterMixin from './dom/emittermixin';
 import ObservableMixin from './observablemixin';
 import CKEditorError from './ckeditorerror';
 import mix from './mix';
+import leakDetector from './leakdetector';
 
 /**
  * Allows observing a group of `HTMLElement`s whether at least one of them is focused.
@@ -108,6 +109,8 @@ export default class FocusTracker {
 	 */
 	destroy() {
 		this.stopListening();
+
+		leakDetector.markDestroyed( this );
 	}
 
 	/**
@@ -9,6 +9,7 @@
 
 import DomEmitterMixin from './dom/emittermixin';
 import { getCode, parseKeystroke } from './keyboard';
+import leakDetector from './leakdetector';
 
 /**
  * Keystroke handler allows registering callbacks for given keystrokes.
@@ -126,5 +127,7 @@ export default class KeystrokeHandler {
 	 */
 	destroy() {
 		this._listener.stopListening();
+
+		leakDetector.markDestroyed( this._listener );
 	}
 }
@@ -0,0 +1,239 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module utils/leakdetector
+ */
+
+/**
+ * A debug utility which finds event listeners that were not removed when their owner was destroyed.
+ *
+ * When enabled, it records every callback registered using {@link module:utils/emittermixin~EmitterMixin#listenTo}
+ * (including {@link module:utils/dom/emittermixin~EmitterMixin DOM emitters}) together with the stack trace
+ * of the registration. Once the owner of the callbacks (the object which registered them) is
+ * {@link #markDestroyed marked as destroyed}, all its callbacks which are still held by emitters are
+ * reported by {@link #getLeaks} as leaks.
+ *
+ *		import leakDetector from '@ckeditor/ckeditor5-utils/src/leakdetector';
+ *
+ *		leakDetector.start();
+ *
+ *		const plugin = new MyPlugin( editor );
+ *
+ *		plugin.destroy();
+ *		leakDetector.markDestroyed( plugin );
+ *
+ *		for ( const leak of leakDetector.getLeaks() ) {
+ *			console.warn( `"${ leak.event }" callback was not removed.`, leak.emitter, leak.stack );
+ *		}
+ *
+ * Some classes, like {@link module:utils/focustracker~FocusTracker} or {@link module:utils/keystrokehandler~KeystrokeHandler},
+ * mark themselves as destroyed in their `destroy()` methods.
+ *
+ * @namespace
+ */
+const leakDetector = {
+	/**
+	 * Whether the listener registrations are being recorded.
+	 *
+	 * @readonly
+	 * @member {Boolean}
+	 */
+	isEnabled: false,
+
+	/**
+	 * Starts recording listener registrations. Only the callbacks registered afterwards can be reported as leaks.
+	 */
+	start() {
+		this.isEnabled = true;
+	},
+
+	/**
+	 * Stops recording listener registrations. Objects can still be marked as destroyed and the leaks
+	 * among the registrations recorded so far can still be reported.
+	 */
+	stop() {
+		this.isEnabled = false;
+	},
+
+	/**
+	 * Forgets all recorded registrations and objects marked as destroyed.
+	 */
+	clear() {
+		this._registrations = new WeakMap();
+		this._destroyed = new WeakSet();
+		this._leakingOwners = new Set();
+	},
+
+	/**
+	 * Marks the given object as destroyed. All callbacks it registered which are still held by emitters
+	 * will be reported by {@link #getLeaks}.
+	 *
+	 * Objects which have no recorded registrations are ignored, so it is safe to call this method also when
+	 * the detector is disabled.
+	 *
+	 * The detector keeps a reference to the destroyed object only as long as any of its callbacks is held by an emitter
+	 * (which references the object anyway). If these callbacks are removed later on, the reference is released
+	 * on the next call to {@link #getLeaks} or {@link #clear}.
+	 *
+	 * @param {module:utils/emittermixin~Emitter} owner The object that registered the callbacks.
+	 */
+	markDestroyed( owner ) {
+		if ( !this._registrations.has( owner ) ) {
+			return;
+		}
+
+		this._destroyed.add( owner );
+
+		if ( getRegisteredCallbacks( owner, this._registrations.get( owner ) ).length ) {
+			this._leakingOwners.add( owner );
+		}
+	},
+
+	/**
+	 * Returns the callbacks registered by objects {@link #markDestroyed marked as destroyed} which were not removed
+	 * from emitters that fire events.
+	 *
+	 * @returns {Array.<module:utils/leakdetector~Leak>}
+	 */
+	getLeaks() {
+		const leaks = [];
+
+		for ( const owner of this._leakingOwners ) {
+			const registrations = getRegisteredCallbacks( owner, this._registrations.get( owner ) );
+
+			// The owner does not leak anymore so there is no reason to keep it.
+			if ( !registrations.length ) {
+				this._leakingOwners.delete( owner );
+
+				continue;
+			}
+
+			for ( const registration of registrations ) {
+				leaks.push( {
+					owner,
+					// DOM Nodes are listened to through proxy emitters (see `DomEmitterMixin`).
+					emitter: registration.emitter._domNode || registration.emitter,
+					event: registration.event,
+					callback: registration.callback,
+					stack: registration.stack
+				} );
+			}
+		}
+
+		return leaks;
+	},
+
+	/**
+	 * Records the callback registration. Called by {@link module:utils/emittermixin~EmitterMixin#listenTo}.
+	 *
+	 * @protected
+	 * @param {module:utils/emittermixin~Emitter} owner The object that registered the callback.
+	 * @param {module:utils/emittermixin~Emitter} emitter The object that fires the event.
+	 * @param {String|RegExp} event The name of the event or the event pattern.
+	 * @param {Function} callback The registered callback.
+	 */
+	_registerListener( owner, emitter, event, callback ) {
+		let registrations = this._registrations.get( owner );
+
+		if ( !registrations ) {
+			registrations = [];
+
+			this._registrations.set( owner, registrations );
+		}
+
+		registrations.push( { emitter, event, callback, stack: new Error().stack } );
+	},
+
+	/**
+	 * Forgets the callback registration once the callback was removed from the emitter. Called by
+	 * {@link module:utils/emittermixin~EmitterMixin#stopListening} and when the callback is removed in any other way.
+	 *
+	 * @protected
+	 * @param {module:utils/emittermixin~Emitter} owner The object that registered the callback.
+	 * @param {module:utils/emittermixin~Emitter} emitter The object that fired the event.
+	 * @param {String|RegExp} event The name of the event or the event pattern.
+	 * @param {Function} callback The removed callback.
+	 */
+	_unregisterListener( owner, emitter, event, callback ) {
+		const registrations = this._registrations.get( owner );
+
+		if ( !registrations ) {
+			return;
+		}
+
+		const index = registrations.findIndex( registration => {
+			return registration.emitter == emitter && registration.event == event && registration.callback == callback;
+		} );
+
+		if ( index > -1 ) {
+			registrations.splice( index, 1 );
+		}
+	},
+
+	/**
+	 * The recorded registrations of each owner.
+	 *
+	 * @private
+	 * @member {WeakMap.<module:utils/emittermixin~Emitter,Array.<Object>>}
+	 */
+	_registrations: new WeakMap(),
+
+	/**
+	 * Objects marked as destroyed.
+	 *
+	 * @private
+	 * @member {WeakSet.<module:utils/emittermixin~Emitter>}
+	 */
+	_destroyed: new WeakSet(),
+
+	/**
+	 * Objects marked as destroyed which may still have callbacks held by emitters. Unlike {@link #_destroyed},
+	 * it can be iterated over by {@link #getLeaks}, which also removes the objects that do not leak anymore.
+	 *
+	 * @private
+	 * @member {Set.<module:utils/emittermixin~Emitter>}
+	 */
+	_leakingOwners: new Set()
+};
+
+export default leakDetector;
+
+// Returns the recorded registrations of the owner whose callbacks are still held by the emitters.
+//
+// @param {module:utils/emittermixin~Emitter} owner
+// @param {Array.<Object>} [registrations]
+// @returns {Array.<Object>}
+function getRegisteredCallbacks( owner, registrations = [] ) {
+	return registrations.filter( registration => isRegistered( owner, registration ) );
+}
+
+// Checks whether the registered callback is still held by the emitter.
+//
+// @param {module:utils/emittermixin~Emitter} owner
+// @param {Object} registration
+// @returns {Boolean}
+function isRegistered( owner, { emitter, event, callback } ) {
+	const isSameListener = definition => definition.callback == callback && definition.listener == owner;
+
+	// Pattern callbacks are stored aside of the event callbacks (see `EmitterMixin#listenTo()`).
+	if ( event instanceof RegExp || event.split( ':' ).includes( '*' ) ) {
+		return ( emitter._eventPatterns || [] ).some( isSameListener );
+	}
+
+	return emitter.getListeners( event ).some( isSameListener );
+}
+
+/**
+ * A callback reported by {@link module:utils/leakdetector~leakDetector#getLeaks}.
+ *
+ * @typedef {Object} module:utils/leakdetector~Leak
+ *
+ * @property {module:utils/emittermixin~Emitter} owner The destroyed object that registered the callback.
+ * @property {module:utils/emittermixin~Emitter|Node} emitter The emitter (or DOM Node) which still holds the callback.
+ * @property {String|RegExp} event The name of the event or the event pattern.
+ * @property {Function} callback The callback.
+ * @property {String} stack The stack trace of the callback registration.
+ */
@@ -14,6 +14,13 @@ import { extend, isObject } from 'lodash-es';
 const observablePropertiesSymbol = Symbol( 'observableProperties' );
 const boundObservablesSymbol = Symbol( 'boundObservables' );
 const boundPropertiesSymbol = Symbol( 'boundProperties' );
+const batchSymbol = Symbol( 'batch' );
+const propertyOptionsSymbol = Symbol( 'propertyOptions' );
+const decoratedMethodsSymbol = Symbol( 'decoratedMethods' );
+
+// Dependencies of the computed property which is currently being evaluated (see `ObservableMixin#compute()`).
+// It is `null` when no computed property is being evaluated.
+let trackedDependencies = null;
 
 /**
  * Mixin that injects the "observable properties" and data binding functionality described in the
@@ -32,11 +39,14 @@ const ObservableMixin = {
 	/**
 	 * @inheritDoc
 	 */
-	set( name, value ) {
+	set( name, value, options ) {
 		// If the first parameter is an Object, iterate over its properties.
 		if ( isObject( name ) ) {
+			// In this case, the second parameter is the optional schema with options of the properties.
+			const schema = value || {};
+
 			Object.keys( name ).forEach( property => {
-				this.set( property, name[ property ] );
+				this.set( property, name[ property ], schema[ property ] );
 			}, this );
 
 			return;
@@ -65,11 +75,24 @@ const ObservableMixin = {
 			throw new CKEditorError( 'observable-set-cannot-override: Cannot override an existing property.', this );
 		}
 
+		if ( isComputedProperty( this, name ) ) {
+			throwComputedPropertyReadonlyError( this, name );
+		}
+
+		const propertyOptions = this[ propertyOptionsSymbol ];
+		const previousOptions = propertyOptions.get( name );
+
+		if ( options ) {
+			propertyOptions.set( name, options );
+		}
+
 		Object.defineProperty( this, name, {
 			enumerable: true,
 			configurable: true,
 
 			get() {
+				trackDependency( this, name );
+
 				return properties.get( name );
 			},
 
@@ -85,16 +108,41 @@ const ObservableMixin = {
 					newValue = value;
 				}
 
+				if ( propertyOptions.has( name ) ) {
+					newValue = normalizeValue( this, name, newValue, propertyOptions.get( name ) );
+				}
+
 				// Allow undefined as an initial value like A.define( 'x', undefined ) (#132).
 				// Note: When properties map has no such own property, then its value is undefined.
 				if ( oldValue !== newValue || !properties.has( name ) ) {
+					const isNew = !properties.has( name );
+
 					properties.set( name, newValue );
-					this.fire( 'change:' + name, name, newValue, oldValue );
+					fireChange( this, name, newValue, oldValue, isNew );
 				}
 			}
 		} );
 
-		this[ name ] = value;
+		try {
+			this[ name ] = value;
+		} catch ( error ) {
+			// Do not leave a property without a value (e.g. when the value was rejected by the validator),
+			// so it can be set again.
+			if ( !properties.has( name ) ) {
+				delete this[ name ];
+				propertyOptions.delete( name );
+			}
+			// Do not keep the options which came with the rejected value either.
+			else if ( options ) {
+				if ( previousOptions ) {
+					propertyOptions.set( name, previousOptions );
+				} else {
+					propertyOptions.delete( name );
+				}
+			}
+
+			throw error;
+		}
 	},
 
 	/**
@@ -219,21 +267,213 @@ const ObservableMixin = {
 				} );
 
 				boundProperties.delete( propertyName );
+
+				if ( binding.release ) {
+					binding.release();
+				}
 			} );
 		} else {
+			const bindings = Array.from( boundProperties.values() );
+
 			boundObservables.forEach( ( bindings, boundObservable ) => {
 				this.stopListening( boundObservable, 'change' );
 			} );
 
 			boundObservables.clear();
 			boundProperties.clear();
+
+			bindings.forEach( binding => {
+				if ( binding.release ) {
+					binding.release();
+				}
+			} );
+		}
+	},
+
+	/**
+	 * @inheritDoc
+	 */
+	compute( name, callback ) {
+		initObservable( this );
+
+		const properties = this[ observablePropertiesSymbol ];
+		const boundProperties = this[ boundPropertiesSymbol ];
+
+		if ( ( name in this ) && !properties.has( name ) ) {
+			throw new CKEditorError( 'observable-set-cannot-override: Cannot override an existing property.', this );
+		}
+
+		if ( boundProperties.has( name ) ) {
+			throw new CKEditorError( 'observable-bind-rebind: Cannot bind the same property more than once.', this );
+		}
+
+		// @typedef {Object} Computation
+		// @property {String} property The computed property.
+		// @property {Function} callback The function which evaluates the property value.
+		// @property {Map.<Observable,Set.<String>>} dependencies Observable properties read during the last evaluation.
+		// @property {Boolean} isStale Whether any dependency has changed since the last evaluation.
+		// @property {Boolean} isUpdating Whether the property is being evaluated or its `change` event is being fired.
+		// @property {Function} onDependencyChange The `change:*` listener attached to the dependencies.
+		const computation = {
+			property: name,
+			callback,
+			dependencies: new Map(),
+			isStale: true,
+			isUpdating: false,
+			onDependencyChange: () => {
+				computation.isStale = true;
+
+				// Re-evaluate the property right away only if someone would be notified about its new value.
+				// Otherwise, it will be re-evaluated the next time it is read.
+				if ( isPropertyObserved( this, name ) ) {
+					updateComputedProperty( this, computation );
+				}
+			}
+		};
+
+		// Computed properties are stored among the bound properties, so they can be released using #unbind().
+		boundProperties.set( name, {
+			property: name,
+			to: [],
+			computation,
+			release: () => releaseComputation( this, computation )
+		} );
+
+		Object.defineProperty( this, name, {
+			enumerable: true,
+			configurable: true,
+
+			get() {
+				if ( computation.isStale ) {
+					updateComputedProperty( this, computation );
+				}
+
+				trackDependency( this, name );
+
+				return properties.get( name );
+			},
+
+			set() {
+				throwComputedPropertyReadonlyError( this, name );
+			}
+		} );
+
+		updateComputedProperty( this, computation );
+	},
+
+	/**
+	 * @inheritDoc
+	 */
+	batch( callback ) {
+		initObservable( this );
+
+		const batch = this[ batchSymbol ];
+
+		batch.depth++;
+
+		try {
+			return callback.call( this );
+		} finally {
+			batch.depth--;
+
+			if ( !batch.depth ) {
+				const changes = batch.changes;
+
+				batch.changes = new Map();
+
+				changes.forEach( ( { value, oldValue, isNew }, name ) => {
+					if ( value !== oldValue || isNew ) {
+						this.fire( 'change:' + name, name, value, oldValue );
+					}
+				} );
+			}
+		}
+	},
+
+	/**
+	 * @inheritDoc
+	 */
+	getObservableState( options = {} ) {
+		const state = {};
+
+		if ( !this[ observablePropertiesSymbol ] ) {
+			return state;
+		}
+
+		const boundProperties = this[ boundPropertiesSymbol ];
+
+		// The values are read using the getters, so the computed properties which are not observed are up to date.
+		for ( const name of this[ observablePropertiesSymbol ].keys() ) {
+			if ( !options.skipBound || !boundProperties.has( name ) ) {
+				state[ name ] = this[ name ];
+			}
+		}
+
+		return state;
+	},
+
+	/**
+	 * @inheritDoc
+	 */
+	setObservableState( state, options = {} ) {
+		initObservable( this );
+
+		const boundProperties = this[ boundPropertiesSymbol ];
+
+		this.batch( () => {
+			Object.keys( state ).forEach( name => {
+				if ( isComputedProperty( this, name ) || ( options.skipBound && boundProperties.has( name ) ) ) {
+					return;
+				}
+
+				if ( this[ observablePropertiesSymbol ].has( name ) ) {
+					this[ name ] = state[ name ];
+				} else {
+					this.set( name, state[ name ] );
+				}
+			} );
+		} );
+	},
+
+	/**
+	 * @inheritDoc
+	 */
+	bindBidirectional( propertyName ) {
+		if ( typeof propertyName != 'string' ) {
+			throw new CKEditorError( 'observable-bind-wrong-properties: All properties must be strings.', this );
+		}
+
+		initObservable( this );
+
+		if ( this[ boundPropertiesSymbol ].has( propertyName ) ) {
+			throw new CKEditorError( 'observable-bind-rebind: Cannot bind the same property more than once.', this );
 		}
+
+		// @typedef {Object} BidirectionalBindChain
+		// @property {Function} with See {@link ~ObservableMixin#_bindWith}.
+		// @property {module:utils/observablemixin~Observable} _observable The observable which initializes the binding.
+		// @property {String} _property The `_observable` property to be bound.
+		return {
+			with: bindWith,
+
+			_observable: this,
+			_property: propertyName
+		};
 	},
 
 	/**
 	 * @inheritDoc
 	 */
 	decorate( methodName ) {
+		initObservable( this );
+
+		const decoratedMethods = this[ decoratedMethodsSymbol ];
+
+		// Decorating a decorated method would make it fire its event recursively.
+		if ( decoratedMethods.has( methodName ) ) {
+			return decoratedMethods.get( methodName );
+		}
+
 		const originalMethod = this[ methodName ];
 
 		if ( !originalMethod ) {
@@ -251,13 +491,62 @@ const ObservableMixin = {
 			);
 		}
 
-		this.on( methodName, ( evt, args ) => {
-			evt.return = originalMethod.apply( this, args );
-		} );
+		// @typedef {Object} Decoration
+		// @property {Function} before See {@link ~ObservableMixin#_decorateBefore}.
+		// @property {Function} after See {@link ~ObservableMixin#_decorateAfter}.
+		// @property {Function} around See {@link ~ObservableMixin#_decorateAround}.
+		// @property {module:utils/observablemixin~Observable} _observable The observable which method is decorated.
+		// @property {String} _methodName The name of the decorated method.
+		// @property {Function} _originalMethod The method before decoration.
+		// @property {Boolean} _isOwnMethod Whether the original method is an own property of the observable.
+		// @property {Function} _invoke Executes the original method wrapped in the `around` hooks.
+		// @property {Array.<Function>} _callbacks The `methodName` event callbacks added by the decoration.
+		const decoration = {
+			before: decorateBefore,
+			after: decorateAfter,
+			around: decorateAround,
+
+			_observable: this,
+			_methodName: methodName,
+			_originalMethod: originalMethod,
+			_isOwnMethod: Object.prototype.hasOwnProperty.call( this, methodName ),
+			_invoke: ( ...args ) => originalMethod.apply( this, args ),
+			_callbacks: []
+		};
+
+		addDecorationCallback( decoration, ( evt, args ) => {
+			evt.return = decoration._invoke( ...args );
+		}, 'normal' );
 
 		this[ methodName ] = function( ...args ) {
 			return this.fire( methodName, args );
 		};
+
+		decoratedMethods.set( methodName, decoration );
+
+		return decoration;
+	},
+
+	/**
+	 * @inheritDoc
+	 */
+	undecorate( methodName ) {
+		const decoration = this[ decoratedMethodsSymbol ] && this[ decoratedMethodsSymbol ].get( methodName );
+
+		// Nothing to do if the method is not decorated.
+		if ( !decoration ) {
+			return;
+		}
+
+		decoration._callbacks.forEach( callback => this.off( methodName, callback ) );
+
+		if ( decoration._isOwnMethod ) {
+			this[ methodName ] = decoration._originalMethod;
+		} else {
+			delete this[ methodName ];
+		}
+
+		this[ decoratedMethodsSymbol ].delete( methodName );
 	}
 };
 
@@ -364,6 +653,97 @@ function initObservable( observable ) {
 	Object.defineProperty( observable, boundPropertiesSymbol, {
 		value: new Map()
 	} );
+
+	// The state of the {@link module:utils/observablemixin~ObservableMixin#batch batch}. The `depth` is the number
+	// of nested batches in progress and `changes` maps property names to the changes deferred until the
+	// outermost batch ends (`{ value, oldValue, isNew }`). Thanks to the insertion order of the map, the `change`
+	// events are fired in the order in which the properties were first changed.
+	//
+	// @private
+	// @type {Object}
+	Object.defineProperty( observable, batchSymbol, {
+		value: { depth: 0, changes: new Map() }
+	} );
+
+	// Options (`{ validate, coerce }`) of the observable properties passed to
+	// {@link module:utils/observablemixin~ObservableMixin#set}.
+	//
+	// @private
+	// @type {Map}
+	Object.defineProperty( observable, propertyOptionsSymbol, {
+		value: new Map()
+	} );
+
+	// Decorations of the methods decorated using {@link module:utils/observablemixin~ObservableMixin#decorate}
+	// (`methodName => decoration`).
+	//
+	// @private
+	// @type {Map}
+	Object.defineProperty( observable, decoratedMethodsSymbol, {
+		value: new Map()
+	} );
+}
+
+// Coerces and validates the new value of an observable property according to its options.
+//
+// @private
+// @param {Observable} observable
+// @param {String} propertyName
+// @param {*} value
+// @param {module:utils/observablemixin~ObservablePropertyOptions} options
+// @returns {*} The coerced value.
+function normalizeValue( observable, propertyName, value, options ) {
+	if ( options.coerce ) {
+		value = options.coerce.call( observable, value );
+	}
+
+	if ( options.validate && !options.validate.call( observable, value ) ) {
+		/**
+		 * The value of an observable property was rejected by the `validate()` function passed
+		 * to {@link module:utils/observablemixin~Observable#set}.
+		 *
+		 *		observable.set( 'size', 10, { validate: value => value > 0 } );
+		 *		observable.size = -1; // throws
+		 *
+		 * @error observable-set-invalid-value
+		 * @param {String} propertyName The name of the property.
+		 * @param {*} value The rejected value (after coercion).
+		 */
+		throw new CKEditorError(
+			'observable-set-invalid-value: The value of the property is invalid.',
+			observable,
+			{ propertyName, value }
+		);
+	}
+
+	return value;
+}
+
+// Fires the `change:{property}` event or, if a {@link module:utils/observablemixin~ObservableMixin#batch batch}
+// is in progress, defers it until the batch ends. Deferred changes of the same property are merged into one.
+//
+// @private
+// @param {Observable} observable
+// @param {String} name The property name.
+// @param {*} value The new property value.
+// @param {*} oldValue The previous property value.
+// @param {Boolean} isNew Whether the property has been just created.
+function fireChange( observable, name, value, oldValue, isNew ) {
+	const batch = observable[ batchSymbol ];
+
+	if ( !batch.depth ) {
+		observable.fire( 'change:' + name, name, value, oldValue );
+
+		return;
+	}
+
+	const change = batch.changes.get( name );
+
+	if ( change ) {
+		change.value = value;
+	} else {
+		batch.changes.set( name, { value, oldValue, isNew } );
+	}
 }
 
 // A chaining for {@link module:utils/observablemixin~ObservableMixin#bind} providing `.to()` interface.
@@ -461,6 +841,155 @@ function bindToMany( observables, attribute, callback ) {
 	);
 }
 
+// A chaining for {@link module:utils/observablemixin~ObservableMixin#bindBidirectional} providing `.with()` interface.
+//
+// @private
+// @param {Observable} toObservable The observable to bind with.
+// @param {String} [toPropertyName] The property of `toObservable`. Defaults to the name of the bound property.
+// @param {Object} [options]
+// @param {Function} [options.forward]
+// @param {Function} [options.backward]
+function bindWith( toObservable, toPropertyName, options ) {
+	if ( typeof toPropertyName == 'object' ) {
+		options = toPropertyName;
+		toPropertyName = undefined;
+	}
+
+	if ( !toObservable || typeof toObservable != 'object' || ( toPropertyName !== undefined && typeof toPropertyName != 'string' ) ) {
+		/**
+		 * Invalid argument syntax in `with()`.
+		 *
+		 * @error observable-bind-with-parse-error
+		 */
+		throw new CKEditorError( 'observable-bind-with-parse-error: Invalid argument syntax in `with()`.', this._observable );
+	}
+
+	const observable = this._observable;
+	const propertyName = this._property;
+	const { forward = value => value, backward = value => value } = options || {};
+
+	toPropertyName = toPropertyName || propertyName;
+
+	// Set when one property is being updated after a change of the other one, so the change
+	// of the updated property is not synchronized back (which could otherwise loop infinitely).
+	let isSyncing = false;
+
+	const sync = ( target, targetPropertyName, converter, value ) => {
+		if ( isSyncing ) {
+			return;
+		}
+
+		isSyncing = true;
+
+		try {
+			value = converter.call( observable, value );
+
+			if ( target.hasOwnProperty( targetPropertyName ) || typeof target.set != 'function' ) {
+				target[ targetPropertyName ] = value;
+			} else {
+				target.set( targetPropertyName, value );
+			}
+		} finally {
+			isSyncing = false;
+		}
+	};
+
+	const onChange = ( evt, name, value ) => sync( toObservable, toPropertyName, forward, value );
+	const onToChange = ( evt, name, value ) => sync( observable, propertyName, backward, value );
+
+	observable[ boundPropertiesSymbol ].set( propertyName, {
+		property: propertyName,
+		to: [],
+		release() {
+			observable.stopListening( observable, 'change:' + propertyName, onChange );
+			observable.stopListening( toObservable, 'change:' + toPropertyName, onToChange );
+		}
+	} );
+
+	// Set the initial value, like in one-way bindings.
+	sync( observable, propertyName, backward, toObservable[ toPropertyName ] );
+
+	observable.listenTo( observable, 'change:' + propertyName, onChange );
+	observable.listenTo( toObservable, 'change:' + toPropertyName, onToChange );
+}
+
+// A chaining for {@link module:utils/observablemixin~ObservableMixin#decorate} providing `.before()` interface.
+//
+// @private
+// @param {Function} hook
+// @returns {Decoration}
+function decorateBefore( hook ) {
+	const observable = this._observable;
+
+	addDecorationCallback( this, ( evt, args ) => {
+		hook.call( observable, args );
+	}, 'high' );
+
+	return this;
+}
+
+// A chaining for {@link module:utils/observablemixin~ObservableMixin#decorate} providing `.after()` interface.
+//
+// @private
+// @param {Function} hook
+// @returns {Decoration}
+function decorateAfter( hook ) {
+	const observable = this._observable;
+
+	addDecorationCallback( this, ( evt, args ) => {
+		// Wait for the result of an asynchronous method.
+		if ( isPromise( evt.return ) ) {
+			evt.return = evt.return.then( result => {
+				return Promise.resolve( hook.call( observable, result, args ) )
+					.then( hookResult => hookResult === undefined ? result : hookResult );
+			} );
+		} else {
+			const hookResult = hook.call( observable, evt.return, args );
+
+			if ( hookResult !== undefined ) {
+				evt.return = hookResult;
+			}
+		}
+	}, 'low' );
+
+	return this;
+}
+
+// A chaining for {@link module:utils/observablemixin~ObservableMixin#decorate} providing `.around()` interface.
+//
+// @private
+// @param {Function} hook
+// @returns {Decoration}
+function decorateAround( hook ) {
+	const observable = this._observable;
+	const invoke = this._invoke;
+
+	this._invoke = ( ...args ) => hook.call( observable, invoke, args );
+
+	return this;
+}
+
+// Adds a callback of the decorated method's event which will be removed by
+// {@link module:utils/observablemixin~ObservableMixin#undecorate}.
+//
+// @private
+// @param {Decoration} decoration
+// @param {Function} callback
+// @param {module:utils/priorities~PriorityString} priority
+function addDecorationCallback( decoration, callback, priority ) {
+	decoration._callbacks.push( callback );
+	decoration._observable.on( decoration._methodName, callback, { priority } );
+}
+
+// Checks whether the value is a promise (or any other "thenable").
+//
+// @private
+// @param {*} value
+// @returns {Boolean}
+function isPromise( value ) {
+	return !!value && typeof value.then == 'function';
+}
+
 // Returns an array of binding components for
 // {@link Observable#bind} from a set of iterable observables.
 //
@@ -669,6 +1198,185 @@ function attachBindToListeners( observable, toBindings ) {
 	} );
 }
 
+// Records that the observable property has been read by the computed property which is currently being evaluated.
+//
+// @private
+// @param {Observable} observable
+// @param {String} propertyName
+function trackDependency( observable, propertyName ) {
+	if ( !trackedDependencies ) {
+		return;
+	}
+
+	if ( !trackedDependencies.has( observable ) ) {
+		trackedDependencies.set( observable, new Set() );
+	}
+
+	trackedDependencies.get( observable ).add( propertyName );
+}
+
+// Checks whether the property of the observable is a computed property (see {@link Observable#compute}).
+//
+// @private
+// @param {Observable} observable
+// @param {String} propertyName
+// @returns {Boolean}
+function isComputedProperty( observable, propertyName ) {
+	const binding = observable[ boundPropertiesSymbol ].get( propertyName );
+
+	return !!( binding && binding.computation );
+}
+
+// Checks whether anything would be notified about a change of the observable property.
+//
+// @private
+// @param {Observable} observable
+// @param {String} propertyName
+// @returns {Boolean}
+function isPropertyObserved( observable, propertyName ) {
+	const eventName = 'change:' + propertyName;
+
+	return isEventDelegated( observable, eventName ) || observable.getListeners( eventName ).length > 0;
+}
+
+// Checks whether the event would be delegated to any emitter. Empty delegation maps are kept by
+// {@link module:utils/emittermixin~EmitterMixin#stopDelegating}, so the destinations must be checked.
+//
+// @private
+// @param {Observable} observable
+// @param {String} eventName
+// @returns {Boolean}
+function isEventDelegated( observable, eventName ) {
+	const delegations = observable._delegations;
+
+	if ( !delegations ) {
+		return false;
+	}
+
+	return [ eventName, '*' ].some( name => delegations.has( name ) && delegations.get( name ).size > 0 );
+}
+
+// Evaluates the computed property, updates its dependencies and fires the `change:{property}` event if the value has changed.
+//
+// @private
+// @param {Observable} observable
+// @param {Computation} computation
+function updateComputedProperty( observable, computation ) {
+	const properties = observable[ observablePropertiesSymbol ];
+	const name = computation.property;
+
+	if ( computation.isUpdating ) {
+		/**
+		 * A computed property depends on itself. It is read by its own callback (directly or through other
+		 * computed properties) or its dependencies are changed while the `change` event of the property is being fired.
+		 *
+		 *		observable.compute( 'a', () => observable.a + 1 ); // throws
+		 *
+		 * @error observable-compute-circular-dependency
+		 * @param {String} propertyName The name of the computed property.
+		 */
+		throw new CKEditorError(
+			'observable-compute-circular-dependency: A computed property depends on itself.',
+			observable,
+			{ propertyName: name }
+		);
+	}
+
+	const previousDependencies = trackedDependencies;
+	const dependencies = new Map();
+
+	computation.isUpdating = true;
+
+	try {
+		trackedDependencies = dependencies;
+
+		const newValue = computation.callback.call( observable );
+
+		// The listeners must not become dependencies of a computed property which is being evaluated
+		// (e.g. when this property was read by another computed property).
+		trackedDependencies = null;
+
+		computation.isStale = false;
+		updateComputationDependencies( observable, computation, dependencies );
+
+		const oldValue = properties.get( name );
+		const hasValue = properties.has( name );
+
+		properties.set( name, newValue );
+
+		if ( oldValue !== newValue || !hasValue ) {
+			fireChange( observable, name, newValue, oldValue, !hasValue );
+		}
+	} finally {
+		trackedDependencies = previousDependencies;
+		computation.isUpdating = false;
+	}
+}
+
+// Starts listening to the `change:*` events of the new dependencies of the computed property
+// and stops listening to the properties which are no longer its dependencies.
+//
+// @private
+// @param {Observable} observable
+// @param {Computation} computation
+// @param {Map.<Observable,Set.<String>>} dependencies
+function updateComputationDependencies( observable, computation, dependencies ) {
+	const callback = computation.onDependencyChange;
+
+	computation.dependencies.forEach( ( propertyNames, dependency ) => {
+		for ( const propertyName of propertyNames ) {
+			if ( !dependencies.has( dependency ) || !dependencies.get( dependency ).has( propertyName ) ) {
+				observable.stopListening( dependency, 'change:' + propertyName, callback );
+			}
+		}
+	} );
+
+	dependencies.forEach( ( propertyNames, dependency ) => {
+		for ( const propertyName of propertyNames ) {
+			if ( !computation.dependencies.has( dependency ) || !computation.dependencies.get( dependency ).has( propertyName ) ) {
+				observable.listenTo( dependency, 'change:' + propertyName, callback );
+			}
+		}
+	} );
+
+	computation.dependencies = dependencies;
+}
+
+// Stops the computation of the property. The property becomes a regular observable property with the last computed value.
+//
+// @private
+// @param {Observable} observable
+// @param {Computation} computation
+function releaseComputation( observable, computation ) {
+	const name = computation.property;
+
+	if ( computation.isStale ) {
+		updateComputedProperty( observable, computation );
+	}
+
+	updateComputationDependencies( observable, computation, new Map() );
+
+	observable.set( name, observable[ observablePropertiesSymbol ].get( name ) );
+}
+
+// @private
+// @param {Observable} observable
+// @param {String} propertyName
+function throwComputedPropertyReadonlyError( observable, propertyName ) {
+	/**
+	 * Cannot set the value of a computed property. Use {@link module:utils/observablemixin~Observable#unbind}
+	 * to turn it into a regular observable property first.
+	 *
+	 * @error observable-computed-property-readonly
+	 * @param {String} propertyName The name of the computed property.
+	 */
+	throw new CKEditorError(
+		'observable-computed-property-readonly: Cannot set the value of a computed property.',
+		observable,
+		{ propertyName }
+	);
+}
+
 /**
  * Interface which adds "observable properties" and data binding functionality.
  *
@@ -742,9 +1450,46 @@ function attachBindToListeners( observable, toBindings ) {
  * have a property with the given property name. This prevents from mistakenly overriding existing
  * properties and methods, but means that `foo.set( 'bar', 1 )` may be slightly slower than `foo.bar = 1`.
  *
+ * The values of the property can be normalized and validated by the optional `coerce()` and `validate()` functions.
+ * They are executed each time the property is set (including the initial value), after the
+ * {@link #event:set:{property} `set:{property}`} event (so they also process the value returned by its listeners)
+ * and before the value is stored and the {@link #event:change:{property} `change:{property}`} event is fired.
+ * A value rejected by the validator is not set and the `observable-set-invalid-value` error is thrown:
+ *
+ *		panel.set( 'width', 200, {
+ *			coerce: value => Number( value ),
+ *			validate: value => value > 0
+ *		} );
+ *
+ *		panel.width = '300'; // -> panel.width === 300
+ *		panel.width = -1; // throws
+ *
+ * When multiple properties are set at once, the options can be passed in a schema object:
+ *
+ *		panel.set( { width: 200, isVisible: false }, {
+ *			width: { coerce: Number },
+ *			isVisible: { validate: value => typeof value == 'boolean' }
+ *		} );
+ *
+ * The options are kept until they are replaced by the options passed to the next `set()` call for the same property.
+ *
  * @method #set
  * @param {String|Object} name The property's name or object with `name=>value` pairs.
- * @param {*} [value] The property's value (if `name` was passed in the first parameter).
+ * @param {*} [value] The property's value (if `name` was passed in the first parameter) or the object with
+ * `name=>options` pairs (if the first parameter was an object).
+ * @param {module:utils/observablemixin~ObservablePropertyOptions} [options] The property's options (if `name` was passed
+ * in the first parameter).
+ */
+
+/**
+ * Options of an observable property. See {@link module:utils/observablemixin~Observable#set}.
+ *
+ * @typedef {Object} module:utils/observablemixin~ObservablePropertyOptions
+ *
+ * @property {Function} [coerce] A function which gets the new value of the property and returns the value to be stored.
+ * It is executed in the context of the observable.
+ * @property {Function} [validate] A function which gets the new (coerced) value of the property and returns `false`
+ * if it is invalid. It is executed in the context of the observable.
  */
 
 /**
@@ -815,6 +1560,135 @@ function attachBindToListeners( observable, toBindings ) {
  * be released if no properties are provided.
  */
 
+/**
+ * Creates an observable property whose value is computed by the given callback. Unlike {@link #bind bindings},
+ * the dependencies of the property do not have to be listed. All {@link #set observable properties} (of any observable,
+ * including other computed properties) read by the callback are recorded and the property is re-evaluated
+ * when any of them changes:
+ *
+ *		button.compute( 'isEnabled', () => command.isEnabled && !ui.isReadOnly );
+ *
+ *		command.isEnabled = false; // -> button.isEnabled === false
+ *
+ * The dependencies are recorded anew on each evaluation, so the conditionally read properties are
+ * observed only when they are actually used:
+ *
+ *		button.compute( 'label', () => command.value ? command.activeLabel : command.inactiveLabel );
+ *
+ * The property is re-evaluated lazily. When a dependency changes and nothing listens to the
+ * {@link #event:change:{property} `change:{property}`} event of the computed property, the new value
+ * is computed only when the property is read.
+ *
+ * The computed property cannot be set. To release it and turn it into a regular observable property keeping
+ * the last computed value, use {@link #unbind}:
+ *
+ *		button.unbind( 'isEnabled' );
+ *
+ * @method #compute
+ * @param {String} name The name of the computed property.
+ * @param {Function} callback The function returning the value of the property. It is executed in the context
+ * of this observable.
+ */
+
+/**
+ * Executes the callback deferring the {@link #event:change:{property} `change:{property}`} events of this observable
+ * until the callback finishes. It prevents the bound properties and other observers from reacting to each intermediate
+ * state when many properties are changed at once:
+ *
+ *		button.on( 'change', () => button.render() );
+ *
+ *		button.batch( () => {
+ *			button.label = 'Save';
+ *			button.isEnabled = true;
+ *			button.label = 'Save all';
+ *		} ); // Renders twice, after all properties were set.
+ *
+ * The new values are available right after they are set, also inside the callback. The
+ * {@link #event:set:{property} `set:{property}`} events are fired immediately too. When the batch ends:
+ *
+ * * the `change` events are fired in the order in which the properties were first changed,
+ * * multiple changes of the same property are merged into a single `change` event with the value from before
+ * the batch and the final value,
+ * * no `change` event is fired for a property which got its original value back.
+ *
+ * The batches can be nested. The events are fired when the outermost batch ends, also when the callback throws an error.
+ *
+ * **Note:** The observers (including {@link #bind bindings} and {@link #compute computed properties}) learn about
+ * the changes only when the batch ends.
+ *
+ * @method #batch
+ * @param {Function} callback The function to execute. It is executed in the context of this observable.
+ * @returns {*} The value returned by the callback.
+ */
+
+/**
+ * Returns a plain object with the values of all {@link #set observable properties} of this object.
+ * It can be used to save the state and restore it later on using {@link #setObservableState}:
+ *
+ *		const state = panel.getObservableState( { skipBound: true } );
+ *
+ *		// E.g. after the editor was re-created.
+ *		newPanel.setObservableState( state );
+ *
+ * **Note:** The values are not cloned.
+ *
+ * @method #getObservableState
+ * @param {Object} [options]
+ * @param {Boolean} [options.skipBound=false] Whether the properties which are {@link #bind bound},
+ * {@link #bindBidirectional bound bidirectionally} or {@link #compute computed} should be omitted.
+ * @returns {Object} The object with `name=>value` pairs.
+ */
+
+/**
+ * Sets the values of the {@link #set observable properties} of this object (creating them if needed) from the plain
+ * object returned by {@link #getObservableState}.
+ *
+ * The properties are set in a {@link #batch batch}, so the `change` events are fired once all of them were set.
+ * The {@link #compute computed} properties are always skipped because they cannot be set.
+ *
+ * @method #setObservableState
+ * @param {Object} state The object with `name=>value` pairs.
+ * @param {Object} [options]
+ * @param {Boolean} [options.skipBound=false] Whether the properties which are {@link #bind bound} or
+ * {@link #bindBidirectional bound bidirectionally} should be left intact.
+ */
+
+/**
+ * Binds an {@link #set observable property} of this object with a property of another object implementing the
+ * {@link module:utils/observablemixin~Observable} interface in both directions. A change of any of the two properties
+ * updates the other one:
+ *
+ *		inputView.bindBidirectional( 'value' ).with( model, 'value' );
+ *
+ *		model.value = 'foo'; // -> inputView.value === 'foo'
+ *		inputView.value = 'bar'; // -> model.value === 'bar'
+ *
+ * Initially, the property of this object gets the value of the other object's property. The name of the other
+ * property can be omitted if it is the same:
+ *
+ *		inputView.bindBidirectional( 'value' ).with( model );
+ *
+ * The values can be converted using the optional `forward` (from this object to the other one) and `backward`
+ * (from the other object to this one) converters:
+ *
+ *		inputView.bindBidirectional( 'value' ).with( model, 'width', {
+ *			forward: value => parseFloat( value ),
+ *			backward: width => String( width )
+ *		} );
+ *
+ * A property updated by the binding does not update the other property back, so the values do not bounce
+ * between the objects even if the converters are not exact inverses of each other (e.g. `'1.50'` typed in the input
+ * becomes `1.5` in the model but the input still shows `'1.50'`).
+ *
+ * The binding is owned by this object only. It counts as a binding of this object's property,
+ * so it can be released using {@link #unbind}, but the other object's property stays unbound.
+ *
+ * @method #bindBidirectional
+ * @param {String} propertyName The observable property that will be bound.
+ * @returns {Object} The bind chain with the `with( observable, [ propertyName ], [ options ] )` method. The `options` object
+ * accepts the `forward` and `backward` converter functions. They are executed in the context of this object.
+ */
+
 /**
  * Turns the given methods of this object into event-based ones. This means that the new method will fire an event
  * (named after the method) and the original action will be plugged as a listener to that event.
@@ -873,6 +1747,62 @@ function attachBindToListeners( observable, toBindings ) {
  *
  *		foo.method( 1, 2 ); // -> '3, 2'
  *
+ * The method can also be extended by hooks, which do not require the knowledge of the event priorities:
+ *
+ *		foo.decorate( 'method' )
+ *			// Executed before the original method. It can modify the arguments.
+ *			.before( args => {
+ *				args[ 0 ] = 3;
+ *			} )
+ *			// Executed after the original method. A value other than `undefined` returned by the hook
+ *			// replaces the value returned by the method.
+ *			.after( ( result, args ) => {
+ *				return result + '!';
+ *			} )
+ *			// Wraps the original method. The hook decides when (and whether) the method is executed.
+ *			.around( ( proceed, args ) => {
+ *				console.log( 'Before' );
+ *
+ *				const result = proceed( ...args );
+ *
+ *				console.log( 'After' );
+ *
+ *				return result;
+ *			} );
+ *
+ * The `before` and `after` hooks are executed by the method's event callbacks with the `high` and `low` priorities.
+ * The `around` hooks wrap the original method executed by the callback with the `normal` priority. The hook
+ * added last is the outermost one. All hooks are executed in the context of this object.
+ *
+ * The decoration supports methods returning promises. The `after` hooks are executed once the promise returned
+ * by the original method is resolved. They can return promises as well:
+ *
+ *		foo.decorate( 'save' ).after( result => sendNotification( result ).then( () => result ) );
+ *
+ *		foo.save().then( result => {
+ *			// The `after` hooks have already finished.
+ *		} );
+ *
+ * Decorating an already decorated method returns the existing decoration.
+ * Use {@link #undecorate} to restore the original method.
+ *
  * @method #decorate
  * @param {String} methodName Name of the method to decorate.
+ * @returns {Object} The decoration with the `before( hook )`, `after( hook )` and `around( hook )` methods,
+ * which can be chained.
+ */
+
+/**
+ * Restores the original method decorated using {@link #decorate} and removes all its hooks.
+ *
+ *		foo.decorate( 'method' ).before( args => console.log( args ) );
+ *
+ *		foo.undecorate( 'method' );
+ *		foo.method( 1 ); // Nothing is logged and no event is fired.
+ *
+ * **Note:** The callbacks added to the method's event using {@link #on} are not removed but they are no longer
+ * executed because the restored method does not fire the event.
+ *
+ * @method #undecorate
+ * @param {String} methodName Name of the decorated method.
  */
@@ -7,10 +7,13 @@
  * @module utils/priorities
  */
 
+import CKEditorError from './ckeditorerror';
+
 /**
- * String representing a priority value.
+ * String representing a priority value. Apart from the built-in priorities, it can be a name of a priority
+ * registered using {@link module:utils/priorities~priorities.register `priorities.register()`}.
  *
- * @typedef {'highest'|'high'|'normal'|'low'|'lowest'} module:utils/priorities~PriorityString
+ * @typedef {'highest'|'high'|'normal'|'low'|'lowest'|String} module:utils/priorities~PriorityString
  */
 
 /**
@@ -34,6 +37,42 @@ const priorities = {
 		}
 	},
 
+	/**
+	 * Registers a named priority, so it can be used like the built-in ones. It allows a group of plugins
+	 * to share the same priority without repeating its numeric value:
+	 *
+	 *		priorities.register( 'autoformat', priorities.high + 10 );
+	 *
+	 *		editor.model.document.on( 'change', callback, { priority: 'autoformat' } );
+	 *
+	 * @static
+	 * @param {String} name The name of the priority.
+	 * @param {Number} value The numeric value of the priority.
+	 */
+	register( name, value ) {
+		if ( name in this ) {
+			/**
+			 * The priority with the given name already exists.
+			 *
+			 * @error priorities-register-duplicate
+			 * @param {String} name The name of the priority.
+			 */
+			throw new CKEditorError( 'priorities-register-duplicate: The priority with the given name already exists.', null, { name } );
+		}
+
+		if ( typeof value != 'number' ) {
+			/**
+			 * The value of the registered priority must be a number.
+			 *
+			 * @error priorities-register-invalid-value
+			 * @param {String} name The name of the priority.
+			 */
+			throw new CKEditorError( 'priorities-register-invalid-value: The priority value must be a number.', null, { name } );
+		}
+
+		this[ name ] = value;
+	},
+
 	highest: 100000,
 	high: 1000,
 	normal: 0,
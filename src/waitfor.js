@@ -0,0 +1,77 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* global setTimeout, clearTimeout */
+
+/**
+ * @module utils/waitfor
+ */
+
+import EmitterMixin from './emittermixin';
+import CKEditorError from './ckeditorerror';
+
+/**
+ * Returns a promise resolved when the emitter fires the given event.
+ *
+ *		waitFor( editor.model.document, 'change:data' ).then( ( [ evt, batch ] ) => {
+ *			console.log( 'The data has changed.', batch );
+ *		} );
+ *
+ *		// Resolved only when the `isEnabled` property changes to `true`,
+ *		// rejected if it did not happen within one second.
+ *		waitFor( command, 'change:isEnabled', {
+ *			filter: ( evt, name, value ) => value === true,
+ *			timeout: 1000
+ *		} );
+ *
+ * The listener is removed as soon as the promise is settled.
+ *
+ * @param {module:utils/emittermixin~Emitter} emitter The object that fires the event.
+ * @param {String} eventName The name of the event.
+ * @param {Object} [options={}] Additional options.
+ * @param {Function} [options.filter] A function called with the event callback arguments. The promise is resolved
+ * only when it returns `true`.
+ * @param {Number} [options.timeout] The time (in milliseconds) after which the promise is rejected
+ * if the event was not fired.
+ * @param {module:utils/priorities~PriorityString|Number} [options.priority='normal'] The priority of the event callback.
+ * @returns {Promise.<Array>} A promise resolved with the arguments of the event callback: the
+ * {@link module:utils/eventinfo~EventInfo event info} followed by the event data.
+ */
+export default function waitFor( emitter, eventName, options = {} ) {
+	const listener = Object.create( EmitterMixin );
+
+	return new Promise( ( resolve, reject ) => {
+		let timeoutId = null;
+
+		listener.listenTo( emitter, eventName, ( ...args ) => {
+			if ( options.filter && !options.filter( ...args ) ) {
+				return;
+			}
+
+			clearTimeout( timeoutId );
+			listener.stopListening();
+
+			resolve( args );
+		}, { priority: options.priority } );
+
+		if ( options.timeout !== undefined ) {
+			timeoutId = setTimeout( () => {
+				listener.stopListening();
+
+				/**
+				 * The event awaited by {@link module:utils/waitfor~waitFor} was not fired within the given time.
+				 *
+				 * @error waitfor-timeout
+				 * @param {String} eventName The name of the awaited event.
+				 * @param {Number} timeout The timeout in milliseconds.
+				 */
+				reject( new CKEditorError( 'waitfor-timeout: The event was not fired within the given time.', emitter, {
+					eventName,
+					timeout: options.timeout
+				} ) );
+			}, options.timeout );
+		}
+	} );
+}
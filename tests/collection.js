@@ -5,6 +5,8 @@
 
 import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils';
 import Collection from '../src/collection';
+import ObservableMixin from '../src/observablemixin';
+import mix from '../src/mix';
 import { expectToThrowCKEditorError } from '../tests/_utils/utils';
 
 function getItem( id, idProperty ) {
@@ -363,6 +365,156 @@ describe( 'Collection', () => {
 
 			sinon.assert.calledWithExactly( spy, sinon.match.has( 'source', collection ), item, 1 );
 		} );
+
+		it( 'should fire the "change" event', () => {
+			const item = getItem( 'foo' );
+			const spy = sinon.spy();
+
+			collection.add( {} );
+			collection.on( 'change', spy );
+			collection.add( item, 0 );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, sinon.match.has( 'source', collection ), {
+				added: [ item ],
+				removed: [],
+				index: 0
+			} );
+		} );
+	} );
+
+	describe( 'addMany()', () => {
+		it( 'should be chainable', () => {
+			expect( collection.addMany( [ {} ] ) ).to.equal( collection );
+		} );
+
+		it( 'should add items at the end of the collection', () => {
+			const item1 = getItem( 'foo' );
+			const item2 = getItem( 'bar' );
+			const item3 = getItem( 'baz' );
+
+			collection.add( item1 );
+			collection.addMany( [ item2, item3 ] );
+
+			expect( Array.from( collection ) ).to.deep.equal( [ item1, item2, item3 ] );
+			expect( collection.get( 'baz' ) ).to.equal( item3 );
+		} );
+
+		it( 'should add items at the given index', () => {
+			const item1 = getItem( 'foo' );
+			const item2 = getItem( 'bar' );
+			const item3 = getItem( 'baz' );
+
+			collection.add( item1 );
+			collection.addMany( [ item2, item3 ], 0 );
+
+			expect( Array.from( collection ) ).to.deep.equal( [ item2, item3, item1 ] );
+		} );
+
+		it( 'should accept an iterable', () => {
+			collection.addMany( new Set( [ {}, {} ] ) );
+
+			expect( collection ).to.have.length( 2 );
+		} );
+
+		it( 'should generate ids for items', () => {
+			const item = {};
+
+			collection.addMany( [ item ] );
+
+			expect( item.id ).to.be.a( 'string' );
+		} );
+
+		it( 'should not add any item when one of the ids is already used', () => {
+			const spy = sinon.spy();
+			const bound = new Collection();
+
+			collection.add( getItem( 'a' ) );
+			bound.bindTo( collection ).using( item => item );
+			collection.on( 'add', spy );
+
+			expectToThrowCKEditorError( () => {
+				collection.addMany( [ getItem( 'x' ), getItem( 'a' ) ] );
+			}, /^collection-add-item-already-exists/ );
+
+			expectToThrowCKEditorError( () => {
+				collection.addMany( [ getItem( 'y' ), getItem( 'z' ), getItem( 'y' ) ] );
+			}, /^collection-add-item-already-exists/ );
+
+			expectToThrowCKEditorError( () => {
+				collection.addMany( [ getItem( 'y' ), getItem( 1 ) ] );
+			}, /^collection-add-invalid-id/ );
+
+			expect( collection ).to.have.length( 1 );
+			expect( bound ).to.have.length( 1 );
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should fire the "add" event for each item', () => {
+			const item1 = getItem( 'foo' );
+			const item2 = getItem( 'bar' );
+			const spy = sinon.spy();
+
+			collection.add( {} );
+			collection.on( 'add', spy );
+			collection.addMany( [ item1, item2 ], 0 );
+
+			sinon.assert.calledTwice( spy );
+			sinon.assert.calledWithExactly( spy.firstCall, sinon.match.has( 'source', collection ), item1, 0 );
+			sinon.assert.calledWithExactly( spy.secondCall, sinon.match.has( 'source', collection ), item2, 1 );
+		} );
+
+		it( 'should fire the "change" event once', () => {
+			const item1 = getItem( 'foo' );
+			const item2 = getItem( 'bar' );
+			const spy = sinon.spy();
+
+			collection.add( {} );
+			collection.on( 'change', spy );
+			collection.addMany( [ item1, item2 ], 1 );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, sinon.match.has( 'source', collection ), {
+				added: [ item1, item2 ],
+				removed: [],
+				index: 1
+			} );
+		} );
+
+		it( 'should fire the "change" event after the "add" events', () => {
+			const calls = [];
+
+			collection.on( 'add', () => calls.push( 'add' ) );
+			collection.on( 'change', () => calls.push( 'change' ) );
+			collection.addMany( [ {}, {} ] );
+
+			expect( calls ).to.deep.equal( [ 'add', 'add', 'change' ] );
+		} );
+
+		it( 'should not fire the "change" event when no items are added', () => {
+			const spy = sinon.spy();
+
+			collection.on( 'change', spy );
+			collection.addMany( [] );
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should throw when the index is invalid', () => {
+			expectToThrowCKEditorError( () => {
+				collection.addMany( [ {} ], 1 );
+			}, /^collection-add-item-invalid-index/ );
+
+			expectToThrowCKEditorError( () => {
+				collection.addMany( [ {} ], -1 );
+			}, /^collection-add-item-invalid-index/ );
+		} );
+
+		it( 'should throw when items have the same id', () => {
+			expectToThrowCKEditorError( () => {
+				collection.addMany( [ getItem( 'foo' ), getItem( 'foo' ) ] );
+			}, /^collection-add-item-already-exists/ );
+		} );
 	} );
 
 	describe( 'get()', () => {
@@ -456,171 +608,1108 @@ describe( 'Collection', () => {
 			collection.add( getItem( 'foo' ) );
 			collection.add( getItem( 'bar' ) );
 
-			expect( collection ).to.have.length( 3 );
+			expect( collection ).to.have.length( 3 );
+
+			const removedItem = collection.remove( 1 );
+
+			expect( collection ).to.have.length( 2 );
+			expect( collection.get( 'foo' ) ).to.be.null;
+			expect( collection.get( 1 ) ).to.have.property( 'id', 'bar' );
+			expect( removedItem ).to.have.property( 'id', 'foo' );
+		} );
+
+		it( 'should remove the model by index - custom id property', () => {
+			const collection = new Collection( { idProperty: 'name' } );
+
+			collection.add( getItem( 'foo', 'name' ) );
+
+			const removedItem = collection.remove( 0 );
+
+			expect( collection ).to.have.length( 0 );
+			expect( collection.get( 'foo' ) ).to.be.null;
+			expect( removedItem ).to.have.property( 'name', 'foo' );
+		} );
+
+		it( 'should remove the model by id', () => {
+			collection.add( getItem( 'bom' ) );
+			collection.add( getItem( 'foo' ) );
+			collection.add( getItem( 'bar' ) );
+
+			expect( collection ).to.have.length( 3 );
+
+			const removedItem = collection.remove( 'foo' );
+
+			expect( collection ).to.have.length( 2 );
+			expect( collection.get( 'foo' ) ).to.be.null;
+			expect( collection.get( 1 ) ).to.have.property( 'id', 'bar' );
+			expect( removedItem ).to.have.property( 'id', 'foo' );
+		} );
+
+		it( 'should remove the model by model', () => {
+			const item = getItem( 'foo' );
+
+			collection.add( getItem( 'bom' ) );
+			collection.add( item );
+			collection.add( getItem( 'bar' ) );
+
+			expect( collection ).to.have.length( 3 );
+
+			const removedItem = collection.remove( item );
+
+			expect( collection ).to.have.length( 2 );
+			expect( collection.get( 'foo' ) ).to.be.null;
+			expect( collection.get( 1 ) ).to.have.property( 'id', 'bar' );
+			expect( removedItem ).to.equal( item );
+		} );
+
+		it( 'should remove the model by model - custom id property', () => {
+			const collection = new Collection( { idProperty: 'name' } );
+			const item = getItem( 'foo', 'name' );
+
+			collection.add( item );
+
+			const removedItem = collection.remove( item );
+
+			expect( collection ).to.have.length( 0 );
+			expect( collection.get( 'foo' ) ).to.be.null;
+			expect( removedItem ).to.have.property( 'name', 'foo' );
+		} );
+
+		it( 'should fire the "remove" event', () => {
+			const item1 = getItem( 'foo' );
+			const item2 = getItem( 'bar' );
+			const item3 = getItem( 'bom' );
+
+			collection.add( item1 );
+			collection.add( item2 );
+			collection.add( item3 );
+
+			const spy = sinon.spy();
+
+			collection.on( 'remove', spy );
+
+			collection.remove( 1 );		// by index
+			collection.remove( item1 );	// by model
+			collection.remove( 'bom' );	// by id
+
+			sinon.assert.calledThrice( spy );
+			sinon.assert.calledWithExactly( spy, sinon.match.has( 'source', collection ), item1, 0 );
+			sinon.assert.calledWithExactly( spy, sinon.match.has( 'source', collection ), item2, 1 );
+			sinon.assert.calledWithExactly( spy, sinon.match.has( 'source', collection ), item3, 0 );
+		} );
+
+		it( 'should fire the "change" event', () => {
+			const item = getItem( 'foo' );
+			const spy = sinon.spy();
+
+			collection.add( {} );
+			collection.add( item );
+			collection.on( 'change', spy );
+
+			collection.remove( item );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, sinon.match.has( 'source', collection ), {
+				added: [],
+				removed: [ item ],
+				index: 1
+			} );
+		} );
+
+		it( 'should throw an error on invalid index', () => {
+			collection.add( getItem( 'foo' ) );
+
+			expectToThrowCKEditorError( () => {
+				collection.remove( 1 );
+			}, /^collection-remove-404/ );
+
+			expect( collection ).to.have.length( 1 );
+		} );
+
+		it( 'should throw an error on invalid id', () => {
+			collection.add( getItem( 'foo' ) );
+
+			expectToThrowCKEditorError( () => {
+				collection.remove( 'bar' );
+			}, /^collection-remove-404/ );
+
+			expect( collection ).to.have.length( 1 );
+		} );
+
+		it( 'should throw an error on invalid model', () => {
+			collection.add( getItem( 'foo' ) );
+
+			expectToThrowCKEditorError( () => {
+				collection.remove( getItem( 'bar' ) );
+			}, /^collection-remove-404/ );
+
+			expect( collection ).to.have.length( 1 );
+		} );
+	} );
+
+	describe( 'removeMany()', () => {
+		let item1, item2, item3;
+
+		beforeEach( () => {
+			item1 = getItem( 'foo' );
+			item2 = getItem( 'bar' );
+			item3 = getItem( 'baz' );
+
+			collection.addMany( [ item1, item2, item3 ] );
+		} );
+
+		it( 'should remove the given number of items starting at the index', () => {
+			expect( collection.removeMany( 1, 2 ) ).to.deep.equal( [ item2, item3 ] );
+			expect( Array.from( collection ) ).to.deep.equal( [ item1 ] );
+			expect( collection.get( 'bar' ) ).to.be.null;
+		} );
+
+		it( 'should remove all items starting at the index', () => {
+			expect( collection.removeMany( 1 ) ).to.deep.equal( [ item2, item3 ] );
+			expect( Array.from( collection ) ).to.deep.equal( [ item1 ] );
+		} );
+
+		it( 'should remove all items when called without arguments', () => {
+			expect( collection.removeMany() ).to.deep.equal( [ item1, item2, item3 ] );
+			expect( collection ).to.have.length( 0 );
+		} );
+
+		it( 'should fire the "remove" event for each item', () => {
+			const spy = sinon.spy();
+
+			collection.on( 'remove', spy );
+			collection.removeMany( 0, 2 );
+
+			sinon.assert.calledTwice( spy );
+			sinon.assert.calledWithExactly( spy.firstCall, sinon.match.has( 'source', collection ), item1, 0 );
+			sinon.assert.calledWithExactly( spy.secondCall, sinon.match.has( 'source', collection ), item2, 0 );
+		} );
+
+		it( 'should fire the "change" event once', () => {
+			const spy = sinon.spy();
+
+			collection.on( 'change', spy );
+			collection.removeMany( 1, 2 );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, sinon.match.has( 'source', collection ), {
+				added: [],
+				removed: [ item2, item3 ],
+				index: 1
+			} );
+		} );
+
+		it( 'should not fire the "change" event when no items are removed', () => {
+			const spy = sinon.spy();
+
+			collection.on( 'change', spy );
+			collection.removeMany( 1, 0 );
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should throw when the range is invalid', () => {
+			expectToThrowCKEditorError( () => {
+				collection.removeMany( -1, 1 );
+			}, /^collection-remove-many-invalid-range/ );
+
+			expectToThrowCKEditorError( () => {
+				collection.removeMany( 2, 2 );
+			}, /^collection-remove-many-invalid-range/ );
+
+			expectToThrowCKEditorError( () => {
+				collection.removeMany( 0, -1 );
+			}, /^collection-remove-many-invalid-range/ );
+
+			expect( collection ).to.have.length( 3 );
+		} );
+	} );
+
+	describe( 'reset()', () => {
+		let item1, item2;
+
+		beforeEach( () => {
+			item1 = getItem( 'foo' );
+			item2 = getItem( 'bar' );
+
+			collection.addMany( [ item1, item2 ] );
+		} );
+
+		it( 'should be chainable', () => {
+			expect( collection.reset( [] ) ).to.equal( collection );
+		} );
+
+		it( 'should replace all items', () => {
+			const item3 = getItem( 'baz' );
+
+			collection.reset( [ item3 ] );
+
+			expect( Array.from( collection ) ).to.deep.equal( [ item3 ] );
+			expect( collection.get( 'foo' ) ).to.be.null;
+		} );
+
+		it( 'should remove all items when called without arguments', () => {
+			collection.reset();
+
+			expect( collection ).to.have.length( 0 );
+		} );
+
+		it( 'should accept the items which are already in the collection', () => {
+			collection.reset( [ item2, item1 ] );
+
+			expect( Array.from( collection ) ).to.deep.equal( [ item2, item1 ] );
+		} );
+
+		it( 'should fire the "remove" and "add" events for each item', () => {
+			const item3 = getItem( 'baz' );
+			const calls = [];
+
+			collection.on( 'remove', ( evt, item, index ) => calls.push( [ 'remove', item.id, index ] ) );
+			collection.on( 'add', ( evt, item, index ) => calls.push( [ 'add', item.id, index ] ) );
+			collection.reset( [ item3 ] );
+
+			expect( calls ).to.deep.equal( [ [ 'remove', 'foo', 0 ], [ 'remove', 'bar', 0 ], [ 'add', 'baz', 0 ] ] );
+		} );
+
+		it( 'should fire the "change" event once', () => {
+			const item3 = getItem( 'baz' );
+			const spy = sinon.spy();
+
+			collection.on( 'change', spy );
+			collection.reset( [ item3 ] );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, sinon.match.has( 'source', collection ), {
+				added: [ item3 ],
+				removed: [ item1, item2 ],
+				index: 0
+			} );
+		} );
+
+		it( 'should not fire the "change" event when an empty collection is reset with no items', () => {
+			const spy = sinon.spy();
+
+			collection.clear();
+			collection.on( 'change', spy );
+			collection.reset();
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should not break the binding', () => {
+			const external = new Collection();
+
+			collection.reset();
+			collection.bindTo( external ).using( i => i );
+			collection.reset();
+
+			external.add( {} );
+
+			expect( collection ).to.have.length( 1 );
+		} );
+	} );
+
+	describe( 'move()', () => {
+		let item1, item2, item3;
+
+		beforeEach( () => {
+			item1 = getItem( 'foo' );
+			item2 = getItem( 'bar' );
+			item3 = getItem( 'baz' );
+
+			collection.addMany( [ item1, item2, item3 ] );
+		} );
+
+		it( 'should be chainable', () => {
+			expect( collection.move( item1, 1 ) ).to.equal( collection );
+		} );
+
+		it( 'should move the item forward', () => {
+			collection.move( item1, 2 );
+
+			expect( Array.from( collection ) ).to.deep.equal( [ item2, item3, item1 ] );
+		} );
+
+		it( 'should move the item backward', () => {
+			collection.move( item3, 0 );
+
+			expect( Array.from( collection ) ).to.deep.equal( [ item3, item1, item2 ] );
+		} );
+
+		it( 'should move the item by its id', () => {
+			collection.move( 'bar', 0 );
+
+			expect( Array.from( collection ) ).to.deep.equal( [ item2, item1, item3 ] );
+			expect( collection.get( 'bar' ) ).to.equal( item2 );
+		} );
+
+		it( 'should fire the "move" event', () => {
+			const spy = sinon.spy();
+
+			collection.on( 'move', spy );
+			collection.move( item1, 2 );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, sinon.match.has( 'source', collection ), item1, 0, 2 );
+		} );
+
+		it( 'should not fire the "add", "remove" and "change" events', () => {
+			const spy = sinon.spy();
+
+			collection.on( 'add', spy );
+			collection.on( 'remove', spy );
+			collection.on( 'change', spy );
+			collection.move( item1, 2 );
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should not fire the "move" event when the item stays in place', () => {
+			const spy = sinon.spy();
+
+			collection.on( 'move', spy );
+			collection.move( item2, 1 );
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should throw when the item does not exist', () => {
+			expectToThrowCKEditorError( () => {
+				collection.move( 'qux', 0 );
+			}, /^collection-move-404/ );
+
+			expectToThrowCKEditorError( () => {
+				collection.move( getItem( 'qux' ), 0 );
+			}, /^collection-move-404/ );
+		} );
+
+		it( 'should throw when the index is invalid', () => {
+			expectToThrowCKEditorError( () => {
+				collection.move( item1, 3 );
+			}, /^collection-move-invalid-index/ );
+
+			expectToThrowCKEditorError( () => {
+				collection.move( item1, -1 );
+			}, /^collection-move-invalid-index/ );
+
+			expectToThrowCKEditorError( () => {
+				collection.move( item1 );
+			}, /^collection-move-invalid-index/ );
+		} );
+	} );
+
+	describe( 'sort()', () => {
+		function compareLabels( a, b ) {
+			return a.label.localeCompare( b.label );
+		}
+
+		it( 'should be chainable', () => {
+			expect( collection.sort( compareLabels ) ).to.equal( collection );
+		} );
+
+		it( 'should sort the items', () => {
+			collection.addMany( [ { label: 'c' }, { label: 'a' }, { label: 'd' }, { label: 'b' } ] );
+			collection.sort( compareLabels );
+
+			expect( collection.map( item => item.label ) ).to.deep.equal( [ 'a', 'b', 'c', 'd' ] );
+		} );
+
+		it( 'should keep the order of equal items', () => {
+			const first = { label: 'a' };
+			const second = { label: 'a' };
+
+			collection.addMany( [ { label: 'b' }, first, second ] );
+			collection.sort( compareLabels );
+
+			expect( collection.get( 0 ) ).to.equal( first );
+			expect( collection.get( 1 ) ).to.equal( second );
+		} );
+
+		it( 'should fire the "move" events', () => {
+			const spy = sinon.spy();
+
+			collection.addMany( [ { label: 'a' }, { label: 'c' }, { label: 'b' } ] );
+			collection.on( 'move', spy );
+			collection.sort( compareLabels );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, sinon.match.any, collection.get( 1 ), 2, 1 );
+		} );
+	} );
+
+	describe( 'reconcile()', () => {
+		let addSpy, removeSpy, moveSpy, changeSpy;
+
+		function getIds() {
+			return collection.map( item => item.id );
+		}
+
+		beforeEach( () => {
+			collection.addMany( [ getItem( 'a' ), getItem( 'b' ), getItem( 'c' ), getItem( 'd' ) ] );
+
+			addSpy = sinon.spy();
+			removeSpy = sinon.spy();
+			moveSpy = sinon.spy();
+			changeSpy = sinon.spy();
+
+			collection.on( 'add', addSpy );
+			collection.on( 'remove', removeSpy );
+			collection.on( 'move', moveSpy );
+			collection.on( 'change', changeSpy );
+		} );
+
+		it( 'should be chainable', () => {
+			expect( collection.reconcile( [] ) ).to.equal( collection );
+		} );
+
+		it( 'should do nothing when the items did not change', () => {
+			collection.reconcile( [ getItem( 'a' ), getItem( 'b' ), getItem( 'c' ), getItem( 'd' ) ] );
+
+			expect( getIds() ).to.deep.equal( [ 'a', 'b', 'c', 'd' ] );
+			sinon.assert.notCalled( addSpy );
+			sinon.assert.notCalled( removeSpy );
+			sinon.assert.notCalled( moveSpy );
+			sinon.assert.notCalled( changeSpy );
+		} );
+
+		it( 'should keep the matching items', () => {
+			const b = collection.get( 'b' );
+
+			collection.reconcile( [ getItem( 'b' ) ] );
+
+			expect( collection.get( 0 ) ).to.equal( b );
+		} );
+
+		it( 'should remove the items which are not among the new items', () => {
+			collection.reconcile( [ getItem( 'b' ), getItem( 'c' ) ] );
+
+			expect( getIds() ).to.deep.equal( [ 'b', 'c' ] );
+			sinon.assert.calledTwice( removeSpy );
+			sinon.assert.calledTwice( changeSpy );
+			sinon.assert.notCalled( addSpy );
+			sinon.assert.notCalled( moveSpy );
+		} );
+
+		it( 'should add the new items', () => {
+			const x = getItem( 'x' );
+			const y = {};
+			const z = getItem( 'z' );
+
+			collection.reconcile( [ x, y, getItem( 'a' ), getItem( 'b' ), getItem( 'c' ), z, getItem( 'd' ) ] );
+
+			expect( getIds() ).to.deep.equal( [ 'x', y.id, 'a', 'b', 'c', 'z', 'd' ] );
+			expect( collection.get( 0 ) ).to.equal( x );
+			expect( collection.get( 5 ) ).to.equal( z );
+			sinon.assert.calledThrice( addSpy );
+			sinon.assert.calledTwice( changeSpy );
+			sinon.assert.notCalled( removeSpy );
+			sinon.assert.notCalled( moveSpy );
+		} );
+
+		it( 'should move the items which are out of order', () => {
+			const d = collection.get( 'd' );
+
+			collection.reconcile( [ getItem( 'd' ), getItem( 'a' ), getItem( 'b' ), getItem( 'c' ) ] );
+
+			expect( getIds() ).to.deep.equal( [ 'd', 'a', 'b', 'c' ] );
+			sinon.assert.calledOnce( moveSpy );
+			sinon.assert.calledWithExactly( moveSpy, sinon.match.any, d, 3, 0 );
+			sinon.assert.notCalled( addSpy );
+			sinon.assert.notCalled( removeSpy );
+		} );
+
+		it( 'should reverse the items', () => {
+			collection.reconcile( [ getItem( 'd' ), getItem( 'c' ), getItem( 'b' ), getItem( 'a' ) ] );
+
+			expect( getIds() ).to.deep.equal( [ 'd', 'c', 'b', 'a' ] );
+			sinon.assert.calledThrice( moveSpy );
+		} );
+
+		it( 'should remove, move and add the items at once', () => {
+			collection.reconcile( [ getItem( 'c' ), getItem( 'x' ), getItem( 'a' ), getItem( 'y' ) ] );
+
+			expect( getIds() ).to.deep.equal( [ 'c', 'x', 'a', 'y' ] );
+			sinon.assert.calledTwice( removeSpy );
+			sinon.assert.calledOnce( moveSpy );
+			sinon.assert.calledTwice( addSpy );
+		} );
+
+		it( 'should be reflected in the bound collections', () => {
+			const target = new Collection();
+
+			target.bindTo( collection ).using( item => ( { label: item.id } ) );
+
+			const targetA = target.get( 0 );
+
+			collection.reconcile( [ getItem( 'd' ), getItem( 'x' ), getItem( 'a' ) ] );
+
+			expect( target.map( item => item.label ) ).to.deep.equal( [ 'd', 'x', 'a' ] );
+			expect( target.get( 2 ) ).to.equal( targetA );
+		} );
+
+		it( 'should handle long lists', () => {
+			const items = [];
+
+			for ( let i = 0; i < 200; i++ ) {
+				items.push( getItem( `item${ i }` ) );
+			}
+
+			collection = new Collection( items );
+			collection.on( 'add', addSpy );
+			collection.on( 'move', moveSpy );
+
+			const newItems = items.filter( ( item, index ) => index % 10 ).map( item => getItem( item.id ) );
+
+			newItems.splice( 100, 0, getItem( 'new' ) );
+			newItems.push( newItems.shift() );
+
+			collection.reconcile( newItems );
+
+			expect( getIds() ).to.deep.equal( newItems.map( item => item.id ) );
+			expect( collection.get( 'item1' ) ).to.equal( items[ 1 ] );
+			sinon.assert.calledOnce( addSpy );
+		} );
+
+		it( 'should throw when the new items have duplicated ids', () => {
+			expectToThrowCKEditorError( () => {
+				collection.reconcile( [ getItem( 'x' ), getItem( 'x' ) ] );
+			}, /^collection-add-item-already-exists/ );
+		} );
+	} );
+
+	describe( 'getBy() / getAllBy()', () => {
+		let item1, item2, item3;
+
+		beforeEach( () => {
+			item1 = { name: 'bold', group: 'basic' };
+			item2 = { name: 'italic', group: 'basic' };
+			item3 = { name: 'bulletedList', group: 'lists' };
+
+			collection = new Collection( [ item1 ], { indexes: [ 'name', 'group' ] } );
+			collection.addMany( [ item2, item3 ] );
+		} );
+
+		it( 'should return the items by the values of the indexed properties', () => {
+			expect( collection.getBy( 'name', 'italic' ) ).to.equal( item2 );
+			expect( collection.getBy( 'group', 'basic' ) ).to.equal( item1 );
+			expect( collection.getAllBy( 'group', 'basic' ) ).to.deep.equal( [ item1, item2 ] );
+			expect( collection.getAllBy( 'group', 'lists' ) ).to.deep.equal( [ item3 ] );
+		} );
+
+		it( 'should return null or an empty array when there are no matching items', () => {
+			expect( collection.getBy( 'name', 'underline' ) ).to.be.null;
+			expect( collection.getAllBy( 'group', 'tables' ) ).to.deep.equal( [] );
+		} );
+
+		it( 'should throw when the property is not indexed', () => {
+			expectToThrowCKEditorError( () => {
+				collection.getBy( 'label', 'Bold' );
+			}, /^collection-property-not-indexed/, collection, { propertyName: 'label' } );
+
+			expectToThrowCKEditorError( () => {
+				collection.getAllBy( 'label', 'Bold' );
+			}, /^collection-property-not-indexed/, collection, { propertyName: 'label' } );
+		} );
+
+		it( 'should update the indexes when the items are removed', () => {
+			collection.remove( item1 );
+
+			expect( collection.getBy( 'name', 'bold' ) ).to.be.null;
+			expect( collection.getAllBy( 'group', 'basic' ) ).to.deep.equal( [ item2 ] );
+
+			collection.clear();
+
+			expect( collection.getBy( 'name', 'italic' ) ).to.be.null;
+			expect( collection.getAllBy( 'group', 'lists' ) ).to.deep.equal( [] );
+		} );
+
+		it( 'should update the indexes when the collection is reset', () => {
+			const item4 = { name: 'table', group: 'tables' };
+
+			collection.reset( [ item4 ] );
+
+			expect( collection.getBy( 'name', 'bold' ) ).to.be.null;
+			expect( collection.getBy( 'group', 'tables' ) ).to.equal( item4 );
+		} );
+
+		it( 'should update the indexes when the observable items change', () => {
+			class ObservableItem {
+				constructor( properties ) {
+					this.set( properties );
+				}
+			}
+
+			mix( ObservableItem, ObservableMixin );
+
+			const item = new ObservableItem( { name: 'code', group: 'basic' } );
+
+			collection.add( item );
+			item.group = 'advanced';
+
+			expect( collection.getAllBy( 'group', 'basic' ) ).to.deep.equal( [ item1, item2 ] );
+			expect( collection.getAllBy( 'group', 'advanced' ) ).to.deep.equal( [ item ] );
+
+			collection.remove( item );
+			item.group = 'basic';
+
+			expect( collection.getAllBy( 'group', 'basic' ) ).to.deep.equal( [ item1, item2 ] );
+			expect( collection.getAllBy( 'group', 'advanced' ) ).to.deep.equal( [] );
+		} );
+
+		it( 'should keep the items which are not observable under the values they were indexed by', () => {
+			item1.group = 'advanced';
+
+			expect( collection.getAllBy( 'group', 'basic' ) ).to.deep.equal( [ item1, item2 ] );
+			expect( collection.getAllBy( 'group', 'advanced' ) ).to.deep.equal( [] );
+		} );
+
+		it( 'should remove the items which are not observable from the indexes after their properties were changed', () => {
+			item1.group = 'advanced';
+			item1.name = 'strong';
+
+			collection.remove( item1 );
+
+			expect( collection.getBy( 'name', 'bold' ) ).to.be.null;
+			expect( collection.getAllBy( 'group', 'basic' ) ).to.deep.equal( [ item2 ] );
+
+			collection.add( item1 );
+
+			expect( collection.getBy( 'name', 'strong' ) ).to.equal( item1 );
+			expect( collection.getAllBy( 'group', 'advanced' ) ).to.deep.equal( [ item1 ] );
+		} );
+	} );
+
+	describe( 'item changes tracking', () => {
+		class ObservableItem {
+			constructor( properties ) {
+				this.set( properties );
+			}
+		}
+
+		mix( ObservableItem, ObservableMixin );
+
+		let item1, item2, spy;
+
+		beforeEach( () => {
+			item1 = new ObservableItem( { label: 'foo' } );
+			item2 = new ObservableItem( { label: 'bar' } );
+			spy = sinon.spy();
+
+			collection = new Collection( { trackItemChanges: true } );
+			collection.on( 'change:item', spy );
+		} );
+
+		it( 'should re-fire the changes of the items', () => {
+			collection.addMany( [ item1, item2 ] );
+
+			item2.label = 'baz';
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, sinon.match.has( 'source', collection ), item2, 'label', 'baz', 'bar' );
+		} );
+
+		it( 'should re-fire the changes of the initial items', () => {
+			const collection = new Collection( [ item1 ], { trackItemChanges: true } );
+
+			collection.on( 'change:item', spy );
+			item1.label = 'baz';
+
+			sinon.assert.calledOnce( spy );
+		} );
+
+		it( 'should not re-fire the changes when the option is not set', () => {
+			const collection = new Collection( [ item1 ] );
+
+			collection.on( 'change:item', spy );
+			collection.add( item2 );
+
+			item1.label = 'baz';
+			item2.label = 'baz';
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should ignore items which are not observable', () => {
+			expect( () => collection.add( {} ) ).to.not.throw();
+		} );
+
+		it( 'should stop tracking the removed items', () => {
+			collection.addMany( [ item1, item2 ] );
+			collection.remove( item1 );
+			collection.removeMany( 0, 1 );
+
+			item1.label = 'baz';
+			item2.label = 'baz';
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should stop tracking the items when the collection is cleared or reset', () => {
+			collection.add( item1 );
+			collection.clear();
+
+			collection.add( item2 );
+			collection.reset();
+
+			item1.label = 'baz';
+			item2.label = 'baz';
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should not break the bindings', () => {
+			const target = new Collection();
+
+			target.bindTo( collection ).using( item => ( { label: item.label } ) );
+			collection.add( item1 );
+
+			item1.label = 'baz';
+
+			expect( target ).to.have.length( 1 );
+		} );
+
+		it( 'should update the filtered collections', () => {
+			const filtered = collection.filtered( item => item.label != 'baz' );
+
+			collection.addMany( [ item1, item2 ] );
+
+			item1.label = 'baz';
+			expect( Array.from( filtered ) ).to.deep.equal( [ item2 ] );
+
+			item1.label = 'qux';
+			expect( Array.from( filtered ) ).to.deep.equal( [ item1, item2 ] );
+		} );
+
+		it( 'should update the sorted collections', () => {
+			const sorted = collection.sorted( ( a, b ) => a.label.localeCompare( b.label ) );
+
+			collection.addMany( [ item1, item2 ] );
+			expect( Array.from( sorted ) ).to.deep.equal( [ item2, item1 ] );
+
+			item2.label = 'qux';
+			expect( Array.from( sorted ) ).to.deep.equal( [ item1, item2 ] );
+		} );
+	} );
+
+	describe( 'map()', () => {
+		it( 'uses native map', () => {
+			const spy = testUtils.sinon.stub( Array.prototype, 'map' ).returns( [ 'foo' ] );
+			const ctx = {};
+
+			const ret = collection.map( callback, ctx );
+
+			sinon.assert.calledWithExactly( spy, callback, ctx );
+			expect( ret ).to.deep.equal( [ 'foo' ], 'ret value was forwarded' );
+
+			function callback() {}
+		} );
+	} );
+
+	describe( 'find()', () => {
+		it( 'uses native find', () => {
+			const needl = getItem( 'foo' );
+
+			const spy = testUtils.sinon.stub( Array.prototype, 'find' ).returns( needl );
+			const ctx = {};
+
+			const ret = collection.find( callback, ctx );
+
+			sinon.assert.calledWithExactly( spy, callback, ctx );
+			expect( ret ).to.equal( needl, 'ret value was forwarded' );
+
+			function callback() {}
+		} );
+	} );
+
+	describe( 'filter()', () => {
+		it( 'uses native filter', () => {
+			const needl = getItem( 'foo' );
+
+			// See: https://github.com/sinonjs/sinon/issues/1521
+			const spy = testUtils.sinon.stub( collection._items, 'filter' ).returns( [ needl ] );
+			const ctx = {};
+
+			const ret = collection.filter( callback, ctx );
+
+			sinon.assert.calledWithExactly( spy, callback, ctx );
+			expect( ret ).to.deep.equal( [ needl ], 'ret value was forwarded' );
+
+			function callback() {}
+		} );
+	} );
+
+	describe( 'filtered()', () => {
+		let foo, bar, baz;
+
+		beforeEach( () => {
+			foo = { id: 'foo', isVisible: true };
+			bar = { id: 'bar', isVisible: false };
+			baz = { id: 'baz', isVisible: true };
+		} );
+
+		function isVisible( item ) {
+			return item.isVisible;
+		}
+
+		it( 'returns a new collection with the matching items', () => {
+			collection.add( foo ).add( bar ).add( baz );
+
+			const filtered = collection.filtered( isVisible );
+
+			expect( filtered ).to.be.instanceOf( Collection );
+			expect( filtered ).to.not.equal( collection );
+			expect( Array.from( filtered ) ).to.deep.equal( [ foo, baz ] );
+		} );
+
+		it( 'uses the id property of the collection', () => {
+			const collection = new Collection( [ { name: 'foo' } ], { idProperty: 'name' } );
+			const filtered = collection.filtered( () => true );
+
+			expect( filtered.get( 'foo' ) ).to.equal( collection.get( 0 ) );
+		} );
+
+		it( 'calls the callback in the given context', () => {
+			const ctx = {};
+			const spy = sinon.spy();
+
+			collection.add( foo );
+			collection.filtered( spy, ctx );
+
+			sinon.assert.calledOn( spy, ctx );
+			sinon.assert.calledWith( spy, foo );
+		} );
+
+		it( 'adds matching items keeping the order of the source collection', () => {
+			const qux = { id: 'qux', isVisible: true };
+			const filtered = collection.filtered( isVisible );
+
+			collection.add( baz );
+			collection.add( bar, 0 );
+			collection.add( foo, 0 );
+			collection.add( qux, 2 );
+
+			expect( Array.from( filtered ) ).to.deep.equal( [ foo, qux, baz ] );
+		} );
+
+		it( 'does not add not matching items', () => {
+			const filtered = collection.filtered( isVisible );
+			const spy = sinon.spy();
+
+			filtered.on( 'add', spy );
+			collection.add( bar );
+
+			expect( filtered ).to.have.length( 0 );
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'removes items', () => {
+			collection.add( foo ).add( bar ).add( baz );
+
+			const filtered = collection.filtered( isVisible );
+
+			collection.remove( foo );
+			collection.remove( bar );
+
+			expect( Array.from( filtered ) ).to.deep.equal( [ baz ] );
+		} );
+
+		it( 'moves items', () => {
+			const qux = { id: 'qux', isVisible: true };
+
+			collection.addMany( [ foo, bar, baz, qux ] );
+
+			const filtered = collection.filtered( isVisible );
+
+			collection.move( qux, 0 );
+			expect( Array.from( filtered ) ).to.deep.equal( [ qux, foo, baz ] );
+
+			collection.move( qux, 2 );
+			expect( Array.from( filtered ) ).to.deep.equal( [ foo, qux, baz ] );
+
+			collection.move( bar, 0 );
+			expect( Array.from( filtered ) ).to.deep.equal( [ foo, qux, baz ] );
+
+			collection.sort( ( a, b ) => b.id.localeCompare( a.id ) );
+			expect( Array.from( filtered ) ).to.deep.equal( [ qux, foo, baz ] );
+		} );
+
+		it( 'stops being updated when cleared', () => {
+			collection.add( foo );
+
+			const filtered = collection.filtered( isVisible );
 
-			const removedItem = collection.remove( 1 );
+			filtered.clear();
+			collection.add( baz );
 
-			expect( collection ).to.have.length( 2 );
-			expect( collection.get( 'foo' ) ).to.be.null;
-			expect( collection.get( 1 ) ).to.have.property( 'id', 'bar' );
-			expect( removedItem ).to.have.property( 'id', 'foo' );
+			expect( filtered ).to.have.length( 0 );
 		} );
 
-		it( 'should remove the model by index - custom id property', () => {
-			const collection = new Collection( { idProperty: 'name' } );
+		it( 'cannot be bound to another collection', () => {
+			const filtered = collection.filtered( isVisible );
 
-			collection.add( getItem( 'foo', 'name' ) );
+			expectToThrowCKEditorError( () => {
+				filtered.bindTo( new Collection() );
+			}, /collection-bind-to-rebind/ );
+		} );
+	} );
 
-			const removedItem = collection.remove( 0 );
+	describe( 'sorted()', () => {
+		function compareLabels( a, b ) {
+			return a.label.localeCompare( b.label );
+		}
 
-			expect( collection ).to.have.length( 0 );
-			expect( collection.get( 'foo' ) ).to.be.null;
-			expect( removedItem ).to.have.property( 'name', 'foo' );
-		} );
+		function getLabels( collection ) {
+			return collection.map( item => item.label );
+		}
 
-		it( 'should remove the model by id', () => {
-			collection.add( getItem( 'bom' ) );
-			collection.add( getItem( 'foo' ) );
-			collection.add( getItem( 'bar' ) );
+		it( 'returns a new collection with the sorted items', () => {
+			collection.add( { label: 'c' } ).add( { label: 'a' } ).add( { label: 'b' } );
 
-			expect( collection ).to.have.length( 3 );
+			const sorted = collection.sorted( compareLabels );
 
-			const removedItem = collection.remove( 'foo' );
+			expect( sorted ).to.be.instanceOf( Collection );
+			expect( getLabels( sorted ) ).to.deep.equal( [ 'a', 'b', 'c' ] );
+			expect( getLabels( collection ) ).to.deep.equal( [ 'c', 'a', 'b' ] );
+		} );
 
-			expect( collection ).to.have.length( 2 );
-			expect( collection.get( 'foo' ) ).to.be.null;
-			expect( collection.get( 1 ) ).to.have.property( 'id', 'bar' );
-			expect( removedItem ).to.have.property( 'id', 'foo' );
+		it( 'adds items in the sorted order', () => {
+			const sorted = collection.sorted( compareLabels );
+
+			collection.add( { label: 'b' } );
+			collection.add( { label: 'd' } );
+			collection.add( { label: 'a' } );
+			collection.add( { label: 'c' }, 0 );
+
+			expect( getLabels( sorted ) ).to.deep.equal( [ 'a', 'b', 'c', 'd' ] );
 		} );
 
-		it( 'should remove the model by model', () => {
-			const item = getItem( 'foo' );
+		it( 'keeps the source order of equal items', () => {
+			const first = { label: 'a' };
+			const second = { label: 'a' };
+			const sorted = collection.sorted( compareLabels );
 
-			collection.add( getItem( 'bom' ) );
-			collection.add( item );
-			collection.add( getItem( 'bar' ) );
+			collection.add( { label: 'b' } );
+			collection.add( first );
+			collection.add( second );
 
-			expect( collection ).to.have.length( 3 );
+			expect( sorted.get( 0 ) ).to.equal( first );
+			expect( sorted.get( 1 ) ).to.equal( second );
+		} );
 
-			const removedItem = collection.remove( item );
+		it( 'keeps the source order of equal items added before them', () => {
+			const first = { label: 'a' };
+			const second = { label: 'a' };
+			const sorted = collection.sorted( compareLabels );
 
-			expect( collection ).to.have.length( 2 );
-			expect( collection.get( 'foo' ) ).to.be.null;
-			expect( collection.get( 1 ) ).to.have.property( 'id', 'bar' );
-			expect( removedItem ).to.equal( item );
+			collection.add( { label: 'b' } );
+			collection.add( second );
+			collection.add( first, 0 );
+
+			expect( sorted.get( 0 ) ).to.equal( first );
+			expect( sorted.get( 1 ) ).to.equal( second );
 		} );
 
-		it( 'should remove the model by model - custom id property', () => {
-			const collection = new Collection( { idProperty: 'name' } );
-			const item = getItem( 'foo', 'name' );
+		it( 'keeps the source order of equal items when they are moved', () => {
+			const first = { label: 'a' };
+			const second = { label: 'a' };
 
-			collection.add( item );
+			collection.addMany( [ first, { label: 'b' }, second ] );
 
-			const removedItem = collection.remove( item );
+			const sorted = collection.sorted( compareLabels );
 
-			expect( collection ).to.have.length( 0 );
-			expect( collection.get( 'foo' ) ).to.be.null;
-			expect( removedItem ).to.have.property( 'name', 'foo' );
+			collection.move( second, 0 );
+
+			expect( sorted.get( 0 ) ).to.equal( second );
+			expect( sorted.get( 1 ) ).to.equal( first );
+			expect( getLabels( sorted ) ).to.deep.equal( [ 'a', 'a', 'b' ] );
 		} );
 
-		it( 'should fire the "remove" event', () => {
-			const item1 = getItem( 'foo' );
-			const item2 = getItem( 'bar' );
-			const item3 = getItem( 'bom' );
+		it( 'removes items', () => {
+			collection.add( { label: 'b' } ).add( { label: 'a' } );
 
-			collection.add( item1 );
-			collection.add( item2 );
-			collection.add( item3 );
+			const sorted = collection.sorted( compareLabels );
 
-			const spy = sinon.spy();
+			collection.remove( 1 );
 
-			collection.on( 'remove', spy );
+			expect( getLabels( sorted ) ).to.deep.equal( [ 'b' ] );
+		} );
 
-			collection.remove( 1 );		// by index
-			collection.remove( item1 );	// by model
-			collection.remove( 'bom' );	// by id
+		it( 'stops being updated when cleared', () => {
+			const sorted = collection.sorted( compareLabels );
 
-			sinon.assert.calledThrice( spy );
-			sinon.assert.calledWithExactly( spy, sinon.match.has( 'source', collection ), item1, 0 );
-			sinon.assert.calledWithExactly( spy, sinon.match.has( 'source', collection ), item2, 1 );
-			sinon.assert.calledWithExactly( spy, sinon.match.has( 'source', collection ), item3, 0 );
+			sorted.clear();
+			collection.add( { label: 'a' } );
+
+			expect( sorted ).to.have.length( 0 );
 		} );
 
-		it( 'should throw an error on invalid index', () => {
-			collection.add( getItem( 'foo' ) );
+		it( 'is not affected by moving items', () => {
+			collection.addMany( [ { label: 'b' }, { label: 'a' } ] );
 
-			expectToThrowCKEditorError( () => {
-				collection.remove( 1 );
-			}, /^collection-remove-404/ );
+			const sorted = collection.sorted( compareLabels );
 
-			expect( collection ).to.have.length( 1 );
+			collection.move( collection.get( 1 ), 0 );
+
+			expect( getLabels( sorted ) ).to.deep.equal( [ 'a', 'b' ] );
 		} );
 
-		it( 'should throw an error on invalid id', () => {
-			collection.add( getItem( 'foo' ) );
+		it( 'can be chained with filtered()', () => {
+			const sorted = collection.filtered( item => item.label != 'b' ).sorted( compareLabels );
 
-			expectToThrowCKEditorError( () => {
-				collection.remove( 'bar' );
-			}, /^collection-remove-404/ );
+			collection.add( { label: 'c' } ).add( { label: 'b' } ).add( { label: 'a' } );
 
-			expect( collection ).to.have.length( 1 );
+			expect( getLabels( sorted ) ).to.deep.equal( [ 'a', 'c' ] );
 		} );
+	} );
 
-		it( 'should throw an error on invalid model', () => {
-			collection.add( getItem( 'foo' ) );
+	describe( 'mapped()', () => {
+		it( 'returns a new collection with the mapped items', () => {
+			collection.add( { label: 'a' } ).add( { label: 'b' } );
 
-			expectToThrowCKEditorError( () => {
-				collection.remove( getItem( 'bar' ) );
-			}, /^collection-remove-404/ );
+			const mapped = collection.mapped( item => ( { text: item.label.toUpperCase() } ) );
 
-			expect( collection ).to.have.length( 1 );
+			expect( mapped ).to.be.instanceOf( Collection );
+			expect( mapped.map( item => item.text ) ).to.deep.equal( [ 'A', 'B' ] );
 		} );
-	} );
 
-	describe( 'map()', () => {
-		it( 'uses native map', () => {
-			const spy = testUtils.sinon.stub( Array.prototype, 'map' ).returns( [ 'foo' ] );
+		it( 'calls the callback in the given context', () => {
 			const ctx = {};
+			const spy = sinon.spy( () => ( {} ) );
 
-			const ret = collection.map( callback, ctx );
-
-			sinon.assert.calledWithExactly( spy, callback, ctx );
-			expect( ret ).to.deep.equal( [ 'foo' ], 'ret value was forwarded' );
+			collection.add( {} );
+			collection.mapped( spy, ctx );
 
-			function callback() {}
+			sinon.assert.calledOn( spy, ctx );
 		} );
-	} );
 
-	describe( 'find()', () => {
-		it( 'uses native find', () => {
-			const needl = getItem( 'foo' );
+		it( 'adds and removes the mapped items', () => {
+			const mapped = collection.mapped( item => ( { text: item.label } ) );
 
-			const spy = testUtils.sinon.stub( Array.prototype, 'find' ).returns( needl );
-			const ctx = {};
+			collection.add( { label: 'b' } );
+			collection.add( { label: 'a' }, 0 );
 
-			const ret = collection.find( callback, ctx );
+			expect( mapped.map( item => item.text ) ).to.deep.equal( [ 'a', 'b' ] );
 
-			sinon.assert.calledWithExactly( spy, callback, ctx );
-			expect( ret ).to.equal( needl, 'ret value was forwarded' );
+			collection.remove( 0 );
 
-			function callback() {}
+			expect( mapped.map( item => item.text ) ).to.deep.equal( [ 'b' ] );
 		} );
-	} );
 
-	describe( 'filter()', () => {
-		it( 'uses native filter', () => {
-			const needl = getItem( 'foo' );
+		it( 'skips items for which the callback returns a falsy value', () => {
+			const mapped = collection.mapped( item => item.label == 'b' ? null : { text: item.label } );
 
-			// See: https://github.com/sinonjs/sinon/issues/1521
-			const spy = testUtils.sinon.stub( collection._items, 'filter' ).returns( [ needl ] );
-			const ctx = {};
+			collection.add( { label: 'a' } ).add( { label: 'b' } ).add( { label: 'c' } );
 
-			const ret = collection.filter( callback, ctx );
+			expect( mapped.map( item => item.text ) ).to.deep.equal( [ 'a', 'c' ] );
+		} );
 
-			sinon.assert.calledWithExactly( spy, callback, ctx );
-			expect( ret ).to.deep.equal( [ needl ], 'ret value was forwarded' );
+		it( 'stops being updated when cleared', () => {
+			const mapped = collection.mapped( item => ( { text: item.label } ) );
 
-			function callback() {}
+			mapped.clear();
+			collection.add( { label: 'a' } );
+
+			expect( mapped ).to.have.length( 0 );
 		} );
 	} );
 
@@ -639,6 +1728,16 @@ describe( 'Collection', () => {
 			expect( collection.length ).to.equal( 0 );
 		} );
 
+		it( 'fires the "change" event once', () => {
+			const spy = sinon.spy();
+
+			collection.addMany( [ {}, {} ] );
+			collection.on( 'change', spy );
+			collection.clear();
+
+			sinon.assert.calledOnce( spy );
+		} );
+
 		it( 'breaks the binding', () => {
 			const external = new Collection();
 			collection.bindTo( external ).using( i => i );
@@ -945,6 +2044,301 @@ describe( 'Collection', () => {
 			} );
 		} );
 
+		describe( 'batches', () => {
+			let source, spy;
+
+			beforeEach( () => {
+				source = new Collection();
+				spy = sinon.spy();
+
+				collection.on( 'change', spy );
+			} );
+
+			it( 'loads the initial items at once', () => {
+				source.addMany( [ { v: 1 }, { v: 2 } ] );
+
+				collection.bindTo( source ).using( item => ( { v: item.v * 10 } ) );
+
+				assertItems( collection, [ 10, 20 ] );
+				sinon.assert.calledOnce( spy );
+			} );
+
+			it( 'adds the items added to the external collection at once', () => {
+				collection.bindTo( source ).using( item => ( { v: item.v * 10 } ) );
+
+				source.addMany( [ { v: 1 }, { v: 4 } ] );
+				source.addMany( [ { v: 2 }, { v: 3 } ], 1 );
+
+				assertItems( collection, [ 10, 20, 30, 40 ] );
+				sinon.assert.calledTwice( spy );
+				sinon.assert.calledWith( spy.secondCall, sinon.match.any, sinon.match( { index: 1 } ) );
+			} );
+
+			it( 'adds the items at once when some of them are skipped', () => {
+				collection.bindTo( source ).using( item => item.skip ? null : { v: item.v } );
+
+				source.addMany( [ { v: 1 }, { v: 2, skip: true }, { v: 3 } ] );
+				source.add( { v: 4 } );
+
+				assertItems( collection, [ 1, 3, 4 ] );
+				sinon.assert.calledTwice( spy );
+			} );
+
+			it( 'removes the items removed from the external collection at once', () => {
+				collection.bindTo( source ).using( item => ( { v: item.v } ) );
+
+				source.addMany( [ { v: 1 }, { v: 2 }, { v: 3 }, { v: 4 } ] );
+				spy.resetHistory();
+
+				source.removeMany( 1, 2 );
+
+				assertItems( collection, [ 1, 4 ] );
+				sinon.assert.calledOnce( spy );
+				sinon.assert.calledWith( spy, sinon.match.any, sinon.match( { index: 1 } ) );
+			} );
+
+			it( 'removes the items and updates the skipped indexes', () => {
+				collection.bindTo( source ).using( item => item.skip ? null : { v: item.v } );
+
+				source.addMany( [ { v: 1 }, { v: 2, skip: true }, { v: 3 }, { v: 4, skip: true }, { v: 5 } ] );
+				source.removeMany( 1, 2 );
+
+				expect( collection._skippedIndexesFromExternal ).to.deep.equal( [ 1 ] );
+				assertItems( collection, [ 1, 5 ] );
+
+				source.add( { v: 6 }, 2 );
+
+				assertItems( collection, [ 1, 6, 5 ] );
+			} );
+
+			it( 'mirrors the reset of the external collection', () => {
+				collection.bindTo( source ).using( item => ( { v: item.v } ) );
+
+				source.addMany( [ { v: 1 }, { v: 2 } ] );
+				spy.resetHistory();
+
+				source.reset( [ { v: 3 }, { v: 4 }, { v: 5 } ] );
+
+				assertItems( collection, [ 3, 4, 5 ] );
+				sinon.assert.calledTwice( spy );
+			} );
+
+			it( 'works with two–way bindings', () => {
+				source.bindTo( collection ).using( item => item );
+				collection.bindTo( source ).using( item => item );
+
+				source.addMany( [ { v: 1 }, { v: 2 } ] );
+				collection.addMany( [ { v: 3 } ], 1 );
+
+				assertItems( source, [ 1, 3, 2 ] );
+				assertItems( collection, [ 1, 3, 2 ] );
+
+				source.removeMany( 0, 2 );
+
+				assertItems( source, [ 2 ] );
+				assertItems( collection, [ 2 ] );
+			} );
+		} );
+
+		describe( 'moving items', () => {
+			let source;
+
+			beforeEach( () => {
+				source = new Collection();
+			} );
+
+			it( 'moves the bound items instead of creating new ones', () => {
+				collection.bindTo( source ).as( FactoryClass );
+
+				source.addMany( [ { v: 1 }, { v: 2 }, { v: 3 } ] );
+
+				const items = Array.from( collection );
+				const addSpy = sinon.spy();
+				const moveSpy = sinon.spy();
+
+				collection.on( 'add', addSpy );
+				collection.on( 'move', moveSpy );
+
+				source.move( source.get( 2 ), 0 );
+
+				expect( Array.from( collection ) ).to.deep.equal( [ items[ 2 ], items[ 0 ], items[ 1 ] ] );
+				sinon.assert.notCalled( addSpy );
+				sinon.assert.calledOnce( moveSpy );
+				sinon.assert.calledWithExactly( moveSpy, sinon.match.any, items[ 2 ], 2, 0 );
+			} );
+
+			it( 'mirrors sorting', () => {
+				collection.bindTo( source ).using( item => ( { v: item.v } ) );
+
+				source.addMany( [ { v: 3 }, { v: 1 }, { v: 2 } ] );
+				source.sort( ( a, b ) => a.v - b.v );
+
+				assertItems( collection, [ 1, 2, 3 ] );
+			} );
+
+			it( 'takes the skipped items into account', () => {
+				collection.bindTo( source ).using( item => item.skip ? null : { v: item.v } );
+
+				source.addMany( [ { v: 1 }, { v: 2, skip: true }, { v: 3 }, { v: 4 } ] );
+
+				source.move( source.get( 1 ), 3 );
+				expect( collection._skippedIndexesFromExternal ).to.deep.equal( [ 3 ] );
+				assertItems( collection, [ 1, 3, 4 ] );
+
+				source.move( source.get( 2 ), 0 );
+				expect( collection._skippedIndexesFromExternal ).to.deep.equal( [ 3 ] );
+				assertItems( collection, [ 4, 1, 3 ] );
+
+				source.add( { v: 5 }, 3 );
+				assertItems( collection, [ 4, 1, 3, 5 ] );
+
+				source.add( { v: 6 } );
+				assertItems( collection, [ 4, 1, 3, 5, 6 ] );
+			} );
+
+			it( 'moves the items in two–way bindings', () => {
+				source.bindTo( collection ).using( item => item );
+				collection.bindTo( source ).using( item => item );
+
+				source.addMany( [ { v: 1 }, { v: 2 }, { v: 3 } ] );
+
+				const spy = sinon.spy();
+
+				source.on( 'move', spy );
+				collection.move( collection.get( 0 ), 2 );
+
+				assertItems( source, [ 2, 3, 1 ] );
+				assertItems( collection, [ 2, 3, 1 ] );
+				sinon.assert.calledOnce( spy );
+			} );
+		} );
+
+		describe( 'skipping items', () => {
+			it( 'updates the indexes of the skipped items when items are added before them', () => {
+				const source = new Collection( [ { v: 'a', skip: true } ] );
+
+				collection.bindTo( source ).using( i => i.skip ? null : i );
+
+				source.add( { v: 'b' }, 0 );
+				source.add( { v: 'c' } );
+
+				expect( collection.map( i => i.v ) ).to.deep.equal( [ 'b', 'c' ] );
+				expect( collection._skippedIndexesFromExternal ).to.deep.equal( [ 1 ] );
+			} );
+
+			it( 'ignores the items skipped by the collection bound to the external collection', () => {
+				const source = new Collection();
+				const filtered = new Collection();
+
+				// source--->filtered--->collection
+				filtered.bindTo( source ).using( i => i.skip ? null : i );
+				collection.bindTo( filtered ).using( i => i );
+
+				source.add( { v: 'a' } );
+				source.add( { v: 'b', skip: true } );
+				source.add( { v: 'c' } );
+				source.add( { v: 'd' }, 0 );
+
+				expect( filtered._skippedIndexesFromExternal ).to.deep.equal( [ 2 ] );
+				expect( collection.map( i => i.v ) ).to.deep.equal( [ 'd', 'a', 'c' ] );
+			} );
+		} );
+
+		describe( 'multiple collections', () => {
+			let collectionA, collectionB;
+
+			beforeEach( () => {
+				collectionA = new Collection( [ { v: 1 }, { v: 2 } ] );
+				collectionB = new Collection( [ { v: 3 } ] );
+			} );
+
+			it( 'stores references to the bound collections', () => {
+				collection.bindTo( collectionA, collectionB ).using( i => i );
+
+				expect( collection._bindToCollection ).to.equal( collectionA );
+				expect( collection._bindToCollections ).to.deep.equal( [ collectionA, collectionB ] );
+			} );
+
+			it( 'loads the concatenated items of the collections', () => {
+				collection.bindTo( collectionA, collectionB ).using( i => ( { v: i.v * 2 } ) );
+
+				assertItems( collection, [ 2, 4, 6 ] );
+			} );
+
+			it( 'adds the items at the right indexes', () => {
+				collection.bindTo( collectionA, collectionB ).using( i => ( { v: i.v * 2 } ) );
+
+				collectionB.add( { v: 4 } );
+				collectionA.add( { v: 0 }, 0 );
+				collectionB.addMany( [ { v: 5 }, { v: 6 } ], 1 );
+
+				assertItems( collection, [ 0, 2, 4, 6, 10, 12, 8 ] );
+			} );
+
+			it( 'removes the items', () => {
+				collection.bindTo( collectionA, collectionB ).using( i => ( { v: i.v * 2 } ) );
+
+				collectionA.remove( 0 );
+				assertItems( collection, [ 4, 6 ] );
+
+				collectionB.reset( [ { v: 5 } ] );
+				assertItems( collection, [ 4, 10 ] );
+			} );
+
+			it( 'moves the items', () => {
+				collectionB.add( { v: 4 } );
+				collection.bindTo( collectionA, collectionB ).using( i => ( { v: i.v * 2 } ) );
+
+				collectionB.move( collectionB.get( 1 ), 0 );
+				assertItems( collection, [ 2, 4, 8, 6 ] );
+
+				collectionA.move( collectionA.get( 0 ), 1 );
+				assertItems( collection, [ 4, 2, 8, 6 ] );
+			} );
+
+			it( 'skips the items', () => {
+				collection.bindTo( collectionA, collectionB ).using( i => i.v % 2 ? null : { v: i.v } );
+
+				assertItems( collection, [ 2 ] );
+
+				collectionB.addMany( [ { v: 4 }, { v: 6 } ] );
+				collectionA.add( { v: 0 }, 0 );
+				assertItems( collection, [ 0, 2, 4, 6 ] );
+
+				collectionA.remove( 1 );
+				collectionB.remove( 1 );
+				assertItems( collection, [ 0, 2, 6 ] );
+			} );
+
+			it( 'adds the items before the items skipped in the following collections', () => {
+				const y = { v: 'y' };
+				const w = { v: 'w' };
+				const z = { v: 'z' };
+
+				collectionA.clear();
+				collectionB = new Collection( [ { v: 'x', skip: true } ] );
+				collection.bindTo( collectionA, collectionB ).using( i => i.skip ? null : i );
+
+				collectionA.add( y );
+				collectionA.add( w );
+				collectionB.add( z );
+
+				expect( Array.from( collection ) ).to.deep.equal( [ y, w, z ] );
+				expect( collection._skippedIndexesFromExternal ).to.deep.equal( [ 2 ] );
+			} );
+
+			it( 'is broken by clear()', () => {
+				collection.bindTo( collectionA, collectionB ).using( i => i );
+				collection.clear();
+
+				collectionA.add( { v: 4 } );
+				collectionB.add( { v: 5 } );
+
+				expect( collection ).to.have.length( 0 );
+				expect( collection._bindToCollections ).to.be.null;
+			} );
+		} );
+
 		describe( 'two–way data binding', () => {
 			it( 'works with custom factories (1)', () => {
 				const collectionA = new Collection();
@@ -1238,14 +2632,14 @@ describe( 'Collection', () => {
 					collectionA.add( { v: 'I' }, 2 );
 
 					expect( collectionA._skippedIndexesFromExternal ).to.have.members( [ 4, 5 ] );
-					expect( collectionB._skippedIndexesFromExternal ).to.have.members( [ 1, 2 ] );
+					expect( collectionB._skippedIndexesFromExternal ).to.have.members( [ 1, 3 ] );
 					assertItems( collectionA, [ 'A', 'B', 'I', 'C', 'D', 'E', 'H' ] );
 					assertItems( collectionB, [ 'A', 'I', 'D', 'E', 'F', 'G', 'H' ] );
 
 					collectionB.add( { v: 'J' }, 5 );
 
-					expect( collectionA._skippedIndexesFromExternal ).to.have.members( [ 4, 5 ] );
-					expect( collectionB._skippedIndexesFromExternal ).to.have.members( [ 1, 2 ] );
+					expect( collectionA._skippedIndexesFromExternal ).to.have.members( [ 4, 6 ] );
+					expect( collectionB._skippedIndexesFromExternal ).to.have.members( [ 1, 3 ] );
 					assertItems( collectionA, [ 'A', 'B', 'I', 'C', 'D', 'E', 'J', 'H' ] );
 					assertItems( collectionB, [ 'A', 'I', 'D', 'E', 'F', 'J', 'G', 'H' ] );
 				} );
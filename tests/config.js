@@ -3,10 +3,11 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 
-/* global document */
+/* global document, AbortController */
 
 import Config from '../src/config';
 import areConnectedThroughProperties from '../src/areconnectedthroughproperties';
+import { expectToThrowCKEditorError } from './_utils/utils';
 
 describe( 'Config', () => {
 	let config;
@@ -480,6 +481,338 @@ describe( 'Config', () => {
 		} );
 	} );
 
+	describe( 'change events', () => {
+		let spy;
+
+		beforeEach( () => {
+			spy = sinon.spy();
+		} );
+
+		it( 'should be fired by set()', () => {
+			config.on( 'change:language', spy );
+			config.set( 'language', 'en' );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, sinon.match.any, 'language', 'en', 'pl' );
+		} );
+
+		it( 'should be fired by define() only when the value was not defined before', () => {
+			config.on( 'change', spy );
+			config.define( 'language', 'en' );
+
+			sinon.assert.notCalled( spy );
+
+			config.define( 'width', 500 );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, sinon.match.has( 'name', 'change:width' ), 'width', 500, undefined );
+		} );
+
+		it( 'should not be fired when the value has not changed', () => {
+			config.on( 'change', spy );
+
+			config.set( 'language', 'pl' );
+			config.set( 'options.foo', [ { bar: 'b' }, { bar: 'a' }, { bar: 'z' } ] );
+			config.set( { resize: { minHeight: 300 } } );
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should be fired for the changed entry and the entries containing it', () => {
+			config.on( 'change', spy );
+			config.set( 'resize.icon.path', 'abc' );
+
+			sinon.assert.calledThrice( spy );
+			expect( spy.args.map( args => args[ 1 ] ) ).to.deep.equal( [ 'resize.icon.path', 'resize.icon', 'resize' ] );
+
+			sinon.assert.calledWithExactly( spy.secondCall, sinon.match.any, 'resize.icon', { path: 'abc' }, { path: 'xyz' } );
+		} );
+
+		it( 'should be fired for all changed entries when an object is set', () => {
+			config.on( 'change', spy );
+			config.set( {
+				language: 'en',
+				resize: {
+					minHeight: 300,
+					maxHeight: 900
+				}
+			} );
+
+			expect( spy.args.map( args => args[ 1 ] ) ).to.deep.equal( [ 'language', 'resize.maxHeight', 'resize' ] );
+		} );
+
+		it( 'should be fired for the nested entries when an object is replaced with another value', () => {
+			config.on( 'change', spy );
+			config.set( 'resize.icon', 'none' );
+
+			expect( spy.args.map( args => args[ 1 ] ) ).to.deep.equal( [ 'resize.icon.path', 'resize.icon', 'resize' ] );
+			sinon.assert.calledWithExactly( spy.firstCall, sinon.match.any, 'resize.icon.path', undefined, 'xyz' );
+		} );
+
+		it( 'should pass the stored values', () => {
+			const adapter = () => {};
+			const plugins = [ { name: 'foo' } ];
+
+			config.on( 'change', spy );
+			config.set( 'upload.adapter', adapter );
+			config.set( 'plugins', plugins );
+
+			sinon.assert.calledWithExactly( spy.firstCall, sinon.match.any, 'upload.adapter', adapter, undefined );
+			sinon.assert.calledWithExactly( spy.lastCall, sinon.match.any, 'plugins', plugins, undefined );
+
+			config.set( 'upload.adapter', null );
+
+			sinon.assert.calledWithExactly( spy.getCall( 3 ), sinon.match.any, 'upload.adapter', null, adapter );
+		} );
+	} );
+
+	describe( 'observe()', () => {
+		let spy;
+
+		beforeEach( () => {
+			spy = sinon.spy();
+		} );
+
+		it( 'should call the callback with the current value', () => {
+			config.observe( 'resize.icon', spy );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, { path: 'xyz' }, undefined );
+		} );
+
+		it( 'should call the callback when the entry changes', () => {
+			config.observe( 'resize.icon', spy );
+
+			config.set( 'resize.icon.path', 'abc' );
+			config.set( 'resize.minHeight', 100 );
+
+			sinon.assert.calledTwice( spy );
+			sinon.assert.calledWithExactly( spy.secondCall, { path: 'abc' }, { path: 'xyz' } );
+		} );
+
+		it( 'should pass the functions', () => {
+			const adapter = () => {};
+			const otherAdapter = () => {};
+
+			config.set( 'adapter', adapter );
+			config.observe( 'adapter', spy );
+			config.set( 'adapter', otherAdapter );
+
+			sinon.assert.calledWithExactly( spy.firstCall, adapter, undefined );
+			sinon.assert.calledWithExactly( spy.secondCall, otherAdapter, adapter );
+		} );
+
+		it( 'should stop calling the callback when the signal is aborted', () => {
+			const controller = new AbortController();
+
+			config.observe( 'language', spy, { signal: controller.signal } );
+			controller.abort();
+
+			config.set( 'language', 'en' );
+
+			sinon.assert.calledOnce( spy );
+		} );
+
+		it( 'should not call the callback when the signal is already aborted', () => {
+			const controller = new AbortController();
+
+			controller.abort();
+			config.observe( 'language', spy, { signal: controller.signal } );
+
+			sinon.assert.notCalled( spy );
+		} );
+	} );
+
+	describe( 'defineSchema()', () => {
+		let schema;
+
+		beforeEach( () => {
+			schema = {
+				type: 'object',
+				additionalProperties: false,
+				required: [ 'minHeight', 'maxHeight' ],
+				properties: {
+					minHeight: { type: 'number', minimum: 0 },
+					maxHeight: { type: 'number', minimum: 0, maximum: 1000 },
+					unit: { enum: [ '%', 'px' ] },
+					icon: {
+						type: 'object',
+						properties: {
+							path: { type: [ 'string', 'null' ] }
+						}
+					},
+					handles: { type: 'array', items: { type: 'string' } }
+				}
+			};
+		} );
+
+		it( 'should throw when the schema of the namespace has already been defined', () => {
+			config.defineSchema( 'resize', schema );
+
+			expectToThrowCKEditorError( () => {
+				config.defineSchema( 'resize', schema );
+			}, /^config-schema-already-defined/, config, { namespace: 'resize' } );
+		} );
+
+		it( 'should validate the current configuration', () => {
+			config.set( 'resize.maxHeigth', 800 );
+
+			expectToThrowCKEditorError( () => {
+				config.defineSchema( 'resize', schema );
+			}, /^config-schema-unknown-property/, config, { path: 'resize.maxHeigth' } );
+		} );
+
+		it( 'should accept the valid values', () => {
+			config.defineSchema( 'resize', schema );
+
+			config.set( 'resize', {
+				minHeight: 0,
+				maxHeight: 1000,
+				unit: 'px',
+				icon: { path: null },
+				handles: [ 'left', 'right' ]
+			} );
+			config.define( 'resize.icon.size', 20 );
+
+			expect( config.get( 'resize.unit' ) ).to.equal( 'px' );
+		} );
+
+		it( 'should not check the required values', () => {
+			config.set( 'foo', {} );
+
+			expect( () => config.defineSchema( 'foo', schema ) ).to.not.throw();
+		} );
+
+		it( 'should throw when set() stores an invalid type', () => {
+			config.defineSchema( 'resize', schema );
+
+			expectToThrowCKEditorError( () => {
+				config.set( 'resize.minHeight', '300' );
+			}, /^config-schema-invalid-type/, config, { path: 'resize.minHeight', expected: [ 'number' ], actual: 'string' } );
+
+			expectToThrowCKEditorError( () => {
+				config.set( 'resize.icon.path', 1 );
+			}, /^config-schema-invalid-type/, config, { path: 'resize.icon.path', expected: [ 'string', 'null' ], actual: 'number' } );
+
+			expectToThrowCKEditorError( () => {
+				config.set( 'resize.handles', [ 'left', {} ] );
+			}, /^config-schema-invalid-type/, config, { path: 'resize.handles[1]', expected: [ 'string' ], actual: 'object' } );
+		} );
+
+		it( 'should throw when set() stores a value which is not allowed', () => {
+			config.defineSchema( 'resize', schema );
+
+			expectToThrowCKEditorError( () => {
+				config.set( 'resize.unit', 'em' );
+			}, /^config-schema-invalid-enum-value/, config, { path: 'resize.unit', value: 'em', allowed: [ '%', 'px' ] } );
+		} );
+
+		it( 'should throw when set() stores a value out of range', () => {
+			config.defineSchema( 'resize', schema );
+
+			expectToThrowCKEditorError( () => {
+				config.set( 'resize.minHeight', -1 );
+			}, /^config-schema-value-out-of-range/, config, { path: 'resize.minHeight', value: -1, minimum: 0, maximum: undefined } );
+
+			expectToThrowCKEditorError( () => {
+				config.set( 'resize', { maxHeight: 1001 } );
+			}, /^config-schema-value-out-of-range/, config, { path: 'resize.maxHeight', value: 1001, minimum: 0, maximum: 1000 } );
+		} );
+
+		it( 'should throw when define() stores an unknown value', () => {
+			config.defineSchema( 'resize', schema );
+
+			expectToThrowCKEditorError( () => {
+				config.define( { resize: { minHieght: 100 } } );
+			}, /^config-schema-unknown-property/, config, { path: 'resize.minHieght' } );
+		} );
+
+		it( 'should validate the nested namespaces', () => {
+			config.defineSchema( 'resize.icon', { type: 'object', additionalProperties: false, properties: { path: {} } } );
+
+			expectToThrowCKEditorError( () => {
+				config.set( 'resize', { icon: { size: 20 } } );
+			}, /^config-schema-unknown-property/, config, { path: 'resize.icon.size' } );
+		} );
+
+		it( 'should revert the invalid changes and fire no events', () => {
+			const spy = sinon.spy();
+
+			config.defineSchema( 'resize', schema );
+			config.on( 'change', spy );
+
+			expect( () => config.set( { language: 'en', resize: { minHeight: -1 } } ) ).to.throw();
+			expect( () => config.set( 'resize.foo.bar', 1 ) ).to.throw();
+			expect( () => config.set( 'foo', 1 ) ).to.not.throw();
+
+			sinon.assert.calledOnce( spy );
+			expect( config.get( 'language' ) ).to.equal( 'pl' );
+			expect( config.get( 'resize' ) ).to.deep.equal( { minHeight: 300, maxHeight: 800, icon: { path: 'xyz' } } );
+		} );
+
+		it( 'should keep the stored values when a change is rejected', () => {
+			class Adapter {}
+
+			const adapter = new Adapter();
+			const createAdapter = () => adapter;
+
+			config.set( 'resize.adapter', adapter );
+			config.set( 'factory', createAdapter );
+			schema.properties.adapter = { type: 'object' };
+			config.defineSchema( 'resize', Object.assign( schema, { additionalProperties: true } ) );
+			config.defineSchema( 'factory', { type: 'function' } );
+
+			expect( () => config.set( { factory: null, resize: { minHeight: -1 } } ) ).to.throw();
+			expect( () => config.set( 'factory', 1 ) ).to.throw();
+
+			expect( config._getFromSource( config._config, 'resize.adapter', true ) ).to.equal( adapter );
+			expect( config._getFromSource( config._config, 'factory', true ) ).to.equal( createAdapter );
+		} );
+	} );
+
+	describe( 'validate()', () => {
+		beforeEach( () => {
+			config.defineSchema( 'resize', {
+				required: [ 'minHeight' ],
+				properties: {
+					icon: { required: [ 'path', 'size' ] }
+				}
+			} );
+
+			config.defineSchema( 'toolbar', { type: 'string' } );
+		} );
+
+		it( 'should check the required values', () => {
+			expectToThrowCKEditorError( () => {
+				config.validate();
+			}, /^config-schema-missing-required-value/, config, { path: 'resize.icon.size' } );
+
+			config.set( 'resize.icon.size', 20 );
+
+			expect( () => config.validate() ).to.not.throw();
+
+			config.set( 'resize.minHeight', undefined );
+
+			expectToThrowCKEditorError( () => {
+				config.validate();
+			}, /^config-schema-missing-required-value/, config, { path: 'resize.minHeight' } );
+		} );
+
+		it( 'should validate the given namespace only', () => {
+			expect( () => config.validate( 'toolbar' ) ).to.not.throw();
+
+			expectToThrowCKEditorError( () => {
+				config.validate( 'resize' );
+			}, /^config-schema-missing-required-value/, config );
+		} );
+
+		it( 'should throw when there is no schema for the given namespace', () => {
+			expectToThrowCKEditorError( () => {
+				config.validate( 'language' );
+			}, /^config-schema-not-defined/, config, { namespace: 'language' } );
+		} );
+	} );
+
 	describe( 'names()', () => {
 		it( 'should return an iterator of top level names of the configuration', () => {
 			expect( Array.from( config.names() ) ).to.be.deep.equal( [ 'creator', 'language', 'resize', 'toolbar', 'options' ] );
@@ -3,7 +3,7 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 
-/* globals document, window, Event, MouseEvent */
+/* globals document, window, Event, MouseEvent, AbortController */
 
 import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils';
 import DomEmitterMixin from '../../src/dom/emittermixin';
@@ -84,6 +84,39 @@ describe( 'DomEmitterMixin', () => {
 			document.body.appendChild( iframe );
 		} );
 
+		describe( 'signal option', () => {
+			it( 'should remove the callback and detach the native DOM listener when the signal is aborted', () => {
+				const spy1 = testUtils.sinon.spy();
+				const spy2 = testUtils.sinon.spy();
+				const controller = new AbortController();
+				const removeSpy = testUtils.sinon.spy( node, 'removeEventListener' );
+
+				domEmitter.listenTo( node, 'test', spy1, { signal: controller.signal } );
+				domEmitter.listenTo( emitter, 'test', spy2, { signal: controller.signal } );
+
+				controller.abort();
+
+				node.dispatchEvent( new Event( 'test' ) );
+				emitter.fire( 'test' );
+
+				sinon.assert.notCalled( spy1 );
+				sinon.assert.notCalled( spy2 );
+				sinon.assert.calledOnce( removeSpy );
+			} );
+
+			it( 'should not attach the native DOM listener if the signal is already aborted', () => {
+				const controller = new AbortController();
+				const addSpy = testUtils.sinon.spy( node, 'addEventListener' );
+
+				controller.abort();
+
+				domEmitter.listenTo( node, 'test', () => {}, { signal: controller.signal } );
+
+				sinon.assert.notCalled( addSpy );
+				expect( domEmitter.getListenedEmitters() ).to.deep.equal( [] );
+			} );
+		} );
+
 		describe( 'event capturing', () => {
 			beforeEach( () => {
 				document.body.appendChild( node );
@@ -618,4 +651,34 @@ describe( 'DomEmitterMixin', () => {
 			} );
 		} );
 	} );
+
+	describe( 'getListenedEmitters', () => {
+		it( 'should return DOM Nodes and emitters the object listens to', () => {
+			domEmitter.listenTo( node, 'test', () => {} );
+			domEmitter.listenTo( emitter, 'test', () => {} );
+			domEmitter.listenTo( window, 'test', () => {} );
+
+			expect( domEmitter.getListenedEmitters() ).to.deep.equal( [ node, emitter, window ] );
+		} );
+
+		it( 'should not return DOM Nodes after stopListening()', () => {
+			domEmitter.listenTo( node, 'test', () => {} );
+			domEmitter.listenTo( emitter, 'test', () => {} );
+
+			domEmitter.stopListening( node );
+
+			expect( domEmitter.getListenedEmitters() ).to.deep.equal( [ emitter ] );
+		} );
+
+		it( 'should not return DOM Nodes after their callbacks were removed one by one', () => {
+			const callback = () => {};
+
+			domEmitter.listenTo( node, 'test', callback );
+			domEmitter.listenTo( emitter, 'test', callback );
+
+			domEmitter.stopListening( node, 'test', callback );
+
+			expect( domEmitter.getListenedEmitters() ).to.deep.equal( [ emitter ] );
+		} );
+	} );
 } );
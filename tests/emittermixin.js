@@ -3,9 +3,11 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 
+/* global setTimeout, AbortController, console */
+
 import { default as EmitterMixin, _getEmitterListenedTo, _getEmitterId, _setEmitterId } from '../src/emittermixin';
 import EventInfo from '../src/eventinfo';
-import { expectToThrowCKEditorError } from './_utils/utils';
+import { expectToThrowCKEditorError, assertCKEditorError } from './_utils/utils';
 import CKEditorError from '../src/ckeditorerror';
 
 describe( 'EmitterMixin', () => {
@@ -245,6 +247,212 @@ describe( 'EmitterMixin', () => {
 		} );
 	} );
 
+	describe( 'fireAsync', () => {
+		it( 'should return a promise resolved with EventInfo#return\'s value', () => {
+			emitter.on( 'foo', evt => {
+				evt.return = 1;
+			} );
+
+			const promise = emitter.fireAsync( 'foo' );
+
+			expect( promise ).to.be.instanceOf( Promise );
+
+			return promise.then( value => {
+				expect( value ).to.equal( 1 );
+			} );
+		} );
+
+		it( 'should resolve with undefined if there are no listeners', () => {
+			return emitter.fireAsync( 'foo' ).then( value => {
+				expect( value ).to.be.undefined;
+			} );
+		} );
+
+		it( 'should pass arguments to callbacks', () => {
+			const spy = sinon.spy();
+
+			emitter.on( 'test', spy );
+
+			return emitter.fireAsync( 'test', 1, 'b', true ).then( () => {
+				sinon.assert.calledWithExactly( spy, sinon.match.instanceOf( EventInfo ), 1, 'b', true );
+			} );
+		} );
+
+		it( 'should await callbacks returning promises in the priority order', () => {
+			const order = [];
+
+			emitter.on( 'test', () => {
+				order.push( 'normal' );
+			} );
+
+			emitter.on( 'test', () => {
+				return new Promise( resolve => setTimeout( resolve, 10 ) ).then( () => order.push( 'high' ) );
+			}, { priority: 'high' } );
+
+			emitter.on( 'test', () => {
+				return Promise.resolve().then( () => order.push( 'highest' ) );
+			}, { priority: 'highest' } );
+
+			return emitter.fireAsync( 'test' ).then( () => {
+				expect( order ).to.deep.equal( [ 'highest', 'high', 'normal' ] );
+			} );
+		} );
+
+		it( 'should resolve with the value set by an asynchronous callback', () => {
+			emitter.on( 'test', evt => {
+				return Promise.resolve().then( () => {
+					evt.return = 'foo';
+				} );
+			} );
+
+			return emitter.fireAsync( 'test' ).then( value => {
+				expect( value ).to.equal( 'foo' );
+			} );
+		} );
+
+		it( 'should not execute next callbacks if stop() was called while awaiting', () => {
+			const spy = sinon.spy();
+
+			emitter.on( 'test', evt => {
+				return Promise.resolve().then( () => {
+					evt.return = 1;
+					evt.stop();
+				} );
+			}, { priority: 'high' } );
+
+			emitter.on( 'test', spy );
+
+			return emitter.fireAsync( 'test' ).then( value => {
+				expect( value ).to.equal( 1 );
+				sinon.assert.notCalled( spy );
+			} );
+		} );
+
+		it( 'should remove the callback if off() was called', () => {
+			const spy = sinon.spy( evt => {
+				evt.off();
+
+				return Promise.resolve();
+			} );
+
+			emitter.on( 'test', spy );
+
+			return emitter.fireAsync( 'test' )
+				.then( () => emitter.fireAsync( 'test' ) )
+				.then( () => {
+					sinon.assert.calledOnce( spy );
+				} );
+		} );
+
+		it( 'should await a callback registered with once()', () => {
+			const order = [];
+
+			emitter.once( 'test', () => {
+				return Promise.resolve().then( () => order.push( 1 ) );
+			}, { priority: 'high' } );
+
+			emitter.on( 'test', () => {
+				order.push( 2 );
+			} );
+
+			return emitter.fireAsync( 'test' )
+				.then( () => emitter.fireAsync( 'test' ) )
+				.then( () => {
+					expect( order ).to.deep.equal( [ 1, 2, 2 ] );
+				} );
+		} );
+
+		it( 'should execute callbacks registered for namespaced events', () => {
+			const spyFoo = sinon.spy();
+			const spyBar = sinon.spy();
+			const spyAbc = sinon.spy();
+
+			emitter.on( 'foo', spyFoo );
+			emitter.on( 'foo:bar', spyBar );
+			emitter.on( 'foo:bar:abc', spyAbc );
+
+			return emitter.fireAsync( 'foo:bar' ).then( () => {
+				sinon.assert.callOrder( spyFoo, spyBar );
+				sinon.assert.notCalled( spyAbc );
+			} );
+		} );
+
+		it( 'should delegate the event after all local callbacks are settled', () => {
+			const emitterB = getEmitterInstance();
+			const order = [];
+
+			emitter.delegate( 'foo' ).to( emitterB, 'bar' );
+
+			emitter.on( 'foo', () => {
+				return Promise.resolve().then( () => order.push( 'emitterA' ) );
+			} );
+
+			emitterB.on( 'bar', ( evt, data ) => {
+				return Promise.resolve().then( () => {
+					order.push( 'emitterB' );
+
+					expect( evt.name ).to.equal( 'bar' );
+					expect( evt.source ).to.equal( emitter );
+					expect( evt.path ).to.deep.equal( [ emitter, emitterB ] );
+					expect( data ).to.equal( 'data' );
+				} );
+			} );
+
+			return emitter.fireAsync( 'foo', 'data' ).then( () => {
+				expect( order ).to.deep.equal( [ 'emitterA', 'emitterB' ] );
+			} );
+		} );
+
+		it( 'should not be affected by listeners executed on emitter to which the event was delegated', () => {
+			const emitterB = getEmitterInstance();
+
+			emitter.delegate( '*' ).to( emitterB );
+
+			emitterB.on( 'foo', evt => {
+				evt.return = 1;
+			} );
+
+			return emitter.fireAsync( 'foo' ).then( value => {
+				expect( value ).to.be.undefined;
+			} );
+		} );
+
+		it( 'should reject with the CKEditorError thrown by a callback', () => {
+			const spy = sinon.spy();
+
+			emitter.on( 'test', () => {
+				throw new CKEditorError( 'foo', null );
+			}, { priority: 'high' } );
+
+			emitter.on( 'test', spy );
+
+			return emitter.fireAsync( 'test' ).then(
+				() => {
+					throw new Error( 'Expected to be rejected.' );
+				},
+				err => {
+					assertCKEditorError( err, /foo/, null );
+					sinon.assert.notCalled( spy );
+				}
+			);
+		} );
+
+		it( 'should reject with the CKEditorError if a callback returned a rejected promise', () => {
+			emitter.on( 'test', () => {
+				return Promise.reject( new CKEditorError( 'bar', null ) );
+			} );
+
+			return emitter.fireAsync( 'test' ).then(
+				() => {
+					throw new Error( 'Expected to be rejected.' );
+				},
+				err => {
+					assertCKEditorError( err, /bar/, null );
+				}
+			);
+		} );
+	} );
+
 	describe( 'on', () => {
 		it( 'should stop()', () => {
 			const spy1 = sinon.spy();
@@ -301,6 +509,19 @@ describe( 'EmitterMixin', () => {
 			sinon.assert.calledOnce( spy1 );
 			sinon.assert.calledOnce( spy2 );
 		} );
+
+		it( 'should remove the callback when the signal is aborted', () => {
+			const spy = sinon.spy();
+			const controller = new AbortController();
+
+			emitter.on( 'test', spy, { signal: controller.signal } );
+
+			emitter.fire( 'test' );
+			controller.abort();
+			emitter.fire( 'test' );
+
+			sinon.assert.calledOnce( spy );
+		} );
 	} );
 
 	describe( 'once', () => {
@@ -372,6 +593,18 @@ describe( 'EmitterMixin', () => {
 
 			sinon.assert.calledOnce( spy );
 		} );
+
+		it( 'should not be called if the signal was aborted before the event was fired', () => {
+			const spy = sinon.spy();
+			const controller = new AbortController();
+
+			emitter.once( 'test', spy, { signal: controller.signal } );
+
+			controller.abort();
+			emitter.fire( 'test' );
+
+			sinon.assert.notCalled( spy );
+		} );
 	} );
 
 	describe( 'off', () => {
@@ -543,161 +776,589 @@ describe( 'EmitterMixin', () => {
 			sinon.assert.calledTwice( spyBar );
 			sinon.assert.calledOnce( spyBaz );
 		} );
-	} );
 
-	describe( 'stopListening', () => {
-		it( 'should stop listening to given event callback', () => {
-			const spy1 = sinon.spy();
-			const spy2 = sinon.spy();
+		describe( 'before and after options', () => {
+			it( 'should execute the callback right before the referenced one', () => {
+				const spy1 = sinon.spy().named( 1 );
+				const spy2 = sinon.spy().named( 2 );
+				const spy3 = sinon.spy().named( 3 );
+				const spy4 = sinon.spy().named( 4 );
 
-			listener.listenTo( emitter, 'event1', spy1 );
-			listener.listenTo( emitter, 'event2', spy2 );
+				listener.listenTo( emitter, 'foo', spy1, { priority: 'high' } );
+				listener.listenTo( emitter, 'foo', spy3, { id: 'three' } );
+				listener.listenTo( emitter, 'foo', spy4, { priority: 'low' } );
+				listener.listenTo( emitter, 'foo', spy2, { before: 'three', priority: 'lowest' } );
 
-			emitter.fire( 'event1' );
-			emitter.fire( 'event2' );
+				emitter.fire( 'foo' );
 
-			listener.stopListening( emitter, 'event1', spy1 );
+				sinon.assert.callOrder( spy1, spy2, spy3, spy4 );
+			} );
 
-			emitter.fire( 'event1' );
-			emitter.fire( 'event2' );
+			it( 'should execute the callback right after the referenced one', () => {
+				const spy1 = sinon.spy().named( 1 );
+				const spy2 = sinon.spy().named( 2 );
+				const spy3 = sinon.spy().named( 3 );
 
-			sinon.assert.calledOnce( spy1 );
-			sinon.assert.calledTwice( spy2 );
-		} );
+				listener.listenTo( emitter, 'foo', spy1, { id: 'one', priority: 'high' } );
+				listener.listenTo( emitter, 'foo', spy3, { priority: 'high' } );
+				listener.listenTo( emitter, 'foo', spy2, { after: 'one' } );
 
-		it( 'should stop listening to given event', () => {
-			const spy1a = sinon.spy();
-			const spy1b = sinon.spy();
-			const spy2 = sinon.spy();
+				emitter.fire( 'foo' );
 
-			listener.listenTo( emitter, 'event1', spy1a );
-			listener.listenTo( emitter, 'event1', spy1b );
-			listener.listenTo( emitter, 'event2', spy2 );
+				sinon.assert.callOrder( spy1, spy2, spy3 );
+			} );
 
-			emitter.fire( 'event1' );
-			emitter.fire( 'event2' );
+			it( 'should take the priority of the referenced callback', () => {
+				const callback = () => {};
 
-			listener.stopListening( emitter, 'event1' );
+				listener.listenTo( emitter, 'foo', () => {}, { id: 'ref', priority: 'high' } );
+				listener.listenTo( emitter, 'foo', callback, { after: 'ref', priority: 'low' } );
 
-			emitter.fire( 'event1' );
-			emitter.fire( 'event2' );
+				const definition = emitter.getListeners( 'foo' ).find( definition => definition.callback == callback );
 
-			sinon.assert.calledOnce( spy1a );
-			sinon.assert.calledOnce( spy1b );
-			sinon.assert.calledTwice( spy2 );
-		} );
+				expect( definition.priority ).to.equal( 1000 );
+			} );
 
-		it( 'should stop listening to all events from given emitter', () => {
-			const spy1 = sinon.spy();
-			const spy2 = sinon.spy();
-			const spy3 = sinon.spy();
-			const spy4 = sinon.spy();
+			it( 'should use the priority option if the referenced callback does not exist', () => {
+				const spy1 = sinon.spy().named( 1 );
+				const spy2 = sinon.spy().named( 2 );
 
-			listener.listenTo( emitter, 'event1', spy1 );
-			listener.listenTo( emitter, 'event2', spy2 );
-			listener.listenTo( emitter, 'foo', spy3 );
-			listener.listenTo( emitter, 'foo:bar:baz', spy4 );
+				listener.listenTo( emitter, 'foo', spy2 );
+				listener.listenTo( emitter, 'foo', spy1, { before: 'missing', priority: 'high' } );
 
-			emitter.fire( 'event1' );
-			emitter.fire( 'event2' );
-			emitter.fire( 'foo:bar:baz' );
+				emitter.fire( 'foo' );
 
-			listener.stopListening( emitter );
+				sinon.assert.callOrder( spy1, spy2 );
+			} );
 
-			emitter.fire( 'event1' );
-			emitter.fire( 'event2' );
-			emitter.fire( 'foo:bar:baz' );
+			it( 'should keep the order in the namespaced events', () => {
+				const spy1 = sinon.spy().named( 1 );
+				const spy2 = sinon.spy().named( 2 );
+				const spy3 = sinon.spy().named( 3 );
 
-			sinon.assert.calledOnce( spy1 );
-			sinon.assert.calledOnce( spy2 );
-			sinon.assert.calledOnce( spy3 );
-			sinon.assert.calledOnce( spy4 );
-		} );
+				listener.listenTo( emitter, 'foo', spy2, { id: 'two' } );
+				listener.listenTo( emitter, 'foo:bar', spy3 );
+				listener.listenTo( emitter, 'foo', spy1, { before: 'two' } );
 
-		it( 'should stop listening to everything', () => {
-			const spy1 = sinon.spy();
-			const spy2 = sinon.spy();
-			const spy3 = sinon.spy();
-			const spy4 = sinon.spy();
+				emitter.fire( 'foo:bar' );
 
-			const emitter1 = getEmitterInstance();
-			const emitter2 = getEmitterInstance();
+				sinon.assert.callOrder( spy1, spy2, spy3 );
+			} );
 
-			listener.listenTo( emitter1, 'event1', spy1 );
-			listener.listenTo( emitter2, 'event2', spy2 );
-			listener.listenTo( emitter1, 'foo', spy3 );
-			listener.listenTo( emitter1, 'foo:bar:baz', spy4 );
+			it( 'should order the callback against the one registered for a more generic event', () => {
+				const spy1 = sinon.spy().named( 1 );
+				const spy2 = sinon.spy().named( 2 );
 
-			emitter1.fire( 'event1' );
-			emitter2.fire( 'event2' );
-			emitter1.fire( 'foo' );
-			emitter1.fire( 'foo:bar' );
-			emitter1.fire( 'foo:bar:baz' );
+				listener.listenTo( emitter, 'foo', spy1, { id: 'one' } );
+				listener.listenTo( emitter, 'foo:bar', spy2, { after: 'one', priority: 'high' } );
 
-			listener.stopListening();
+				emitter.fire( 'foo:bar' );
 
-			emitter1.fire( 'event1' );
-			emitter2.fire( 'event2' );
-			emitter1.fire( 'foo' );
-			emitter1.fire( 'foo:bar' );
-			emitter1.fire( 'foo:bar:baz' );
+				sinon.assert.callOrder( spy1, spy2 );
+			} );
 
-			sinon.assert.calledOnce( spy1 );
-			sinon.assert.calledOnce( spy2 );
-			sinon.assert.calledThrice( spy3 );
-			sinon.assert.calledOnce( spy4 );
+			it( 'should expose the callback id in getListeners()', () => {
+				emitter.on( 'foo', () => {}, { id: 'foo:handler' } );
+
+				expect( emitter.getListeners( 'foo' )[ 0 ].id ).to.equal( 'foo:handler' );
+			} );
 		} );
 
-		it( 'should not stop other emitters when a non-listened emitter is provided', () => {
-			const spy = sinon.spy();
+		describe( 'signal option', () => {
+			let signal;
 
-			const emitter1 = getEmitterInstance();
-			const emitter2 = getEmitterInstance();
+			// A minimal stand-in compatible with AbortSignal.
+			beforeEach( () => {
+				signal = {
+					aborted: false,
+					listeners: [],
 
-			listener.listenTo( emitter1, 'test', spy );
+					addEventListener( name, callback ) {
+						this.listeners.push( callback );
+					},
 
-			listener.stopListening( emitter2 );
+					abort() {
+						this.aborted = true;
+						this.listeners.forEach( callback => callback() );
+					}
+				};
+			} );
 
-			emitter1.fire( 'test' );
+			it( 'should remove all callbacks registered with the signal when it is aborted', () => {
+				const emitterB = getEmitterInstance();
+				const spy1 = sinon.spy();
+				const spy2 = sinon.spy();
+				const spy3 = sinon.spy();
+				const spy4 = sinon.spy();
 
-			sinon.assert.called( spy );
-		} );
+				listener.listenTo( emitter, 'foo', spy1, { signal } );
+				listener.listenTo( emitter, 'bar', spy2, { signal, priority: 'high' } );
+				listener.listenTo( emitterB, 'foo', spy3, { signal } );
+				listener.listenTo( emitter, 'foo', spy4 );
 
-		it( 'should correctly stop listening to namespaced events', () => {
-			const spyFoo = sinon.spy();
-			const spyBar = sinon.spy();
-			const spyBaz = sinon.spy();
+				signal.abort();
 
-			listener.listenTo( emitter, 'foo', spyFoo );
-			listener.listenTo( emitter, 'foo:bar', spyBar );
-			listener.listenTo( emitter, 'foo:bar:baz', spyBaz );
+				emitter.fire( 'foo' );
+				emitter.fire( 'bar' );
+				emitterB.fire( 'foo' );
 
-			listener.stopListening( emitter, 'foo' );
+				sinon.assert.notCalled( spy1 );
+				sinon.assert.notCalled( spy2 );
+				sinon.assert.notCalled( spy3 );
+				sinon.assert.calledOnce( spy4 );
+			} );
 
-			emitter.fire( 'foo:bar:baz' );
+			it( 'should not register the callback if the signal is already aborted', () => {
+				const spy = sinon.spy();
 
-			sinon.assert.notCalled( spyFoo );
-			sinon.assert.calledOnce( spyBar );
-			sinon.assert.calledOnce( spyBaz );
-		} );
+				signal.abort();
 
-		it( 'should correctly stop listening to namespaced events when removing specialised event', () => {
-			const spyFoo = sinon.spy();
-			const spyBar = sinon.spy();
-			const spyBaz = sinon.spy();
+				listener.listenTo( emitter, 'foo', spy, { signal } );
 
-			listener.listenTo( emitter, 'foo', spyFoo );
-			listener.listenTo( emitter, 'foo:bar', spyBar );
-			listener.listenTo( emitter, 'foo:bar:baz', spyBaz );
+				emitter.fire( 'foo' );
 
-			listener.stopListening( emitter, 'foo:bar' );
+				sinon.assert.notCalled( spy );
+				expect( listener.getListenedEmitters() ).to.deep.equal( [] );
+				expect( signal.listeners ).to.be.empty;
+			} );
 
-			emitter.fire( 'foo:bar:baz' );
+			it( 'should remove callbacks registered for event patterns', () => {
+				const spy = sinon.spy();
 
-			sinon.assert.calledOnce( spyFoo );
-			sinon.assert.notCalled( spyBar );
-			sinon.assert.calledOnce( spyBaz );
-		} );
+				listener.listenTo( emitter, 'change:*', spy, { signal } );
+
+				signal.abort();
+
+				emitter.fire( 'change:foo' );
+
+				sinon.assert.notCalled( spy );
+			} );
+
+			it( 'should not throw if the callback was already removed', () => {
+				const spy = sinon.spy();
+
+				listener.listenTo( emitter, 'foo', spy, { signal } );
+				listener.stopListening();
+
+				expect( () => {
+					signal.abort();
+				} ).to.not.throw();
+			} );
+
+			it( 'should detach the abort handler from the signal when the callback is removed', () => {
+				const controller = new AbortController();
+				const addSpy = sinon.spy( controller.signal, 'addEventListener' );
+				const removeSpy = sinon.spy( controller.signal, 'removeEventListener' );
+				const spy = sinon.spy();
+
+				listener.listenTo( emitter, 'foo', spy, { signal: controller.signal } );
+				listener.listenTo( emitter, 'change:*', spy, { signal: controller.signal } );
+				listener.stopListening( emitter, 'foo', spy );
+				listener.stopListening( emitter, 'change:*' );
+
+				emitter.on( 'bar', spy, { signal: controller.signal } );
+				emitter.off( 'bar', spy );
+
+				for ( let i = 0; i < 3; i++ ) {
+					emitter.once( 'baz', spy, { signal: controller.signal } );
+				}
+
+				emitter.fire( 'baz' );
+
+				sinon.assert.callCount( addSpy, 6 );
+				sinon.assert.callCount( removeSpy, 6 );
+
+				for ( let i = 0; i < 6; i++ ) {
+					expect( removeSpy.getCall( i ).args[ 1 ] ).to.equal( addSpy.getCall( i ).args[ 1 ] );
+				}
+			} );
+		} );
+
+		describe( 'event patterns', () => {
+			it( 'should listen to events matching the wildcard in the last segment', () => {
+				const spy = sinon.spy();
+
+				listener.listenTo( emitter, 'change:*', spy );
+
+				emitter.fire( 'change:foo' );
+				emitter.fire( 'change:bar' );
+				emitter.fire( 'change' );
+				emitter.fire( 'set:foo' );
+
+				sinon.assert.calledTwice( spy );
+				expect( spy.firstCall.args[ 0 ].name ).to.equal( 'change:foo' );
+				expect( spy.secondCall.args[ 0 ].name ).to.equal( 'change:bar' );
+			} );
+
+			it( 'should listen to events matching the wildcard in the first segment', () => {
+				const spy = sinon.spy();
+
+				listener.listenTo( emitter, '*:foo', spy );
+
+				emitter.fire( 'change:foo' );
+				emitter.fire( 'set:foo' );
+				emitter.fire( 'change:bar' );
+				emitter.fire( 'foo' );
+
+				sinon.assert.calledTwice( spy );
+			} );
+
+			it( 'should listen to events matching the RegExp', () => {
+				const spy = sinon.spy();
+
+				listener.listenTo( emitter, /^(set|change):is/, spy );
+
+				emitter.fire( 'set:isOn' );
+				emitter.fire( 'change:isEnabled' );
+				emitter.fire( 'change:value' );
+
+				sinon.assert.calledTwice( spy );
+			} );
+
+			it( 'should listen to more specific events of the matched namespace', () => {
+				const spy = sinon.spy();
+
+				listener.listenTo( emitter, 'foo:*', spy );
+
+				emitter.fire( 'foo:bar:baz' );
+
+				sinon.assert.calledOnce( spy );
+				expect( spy.firstCall.args[ 0 ].match ).to.deep.equal( [ 'bar' ] );
+			} );
+
+			it( 'should expose segments matched by the wildcards in EventInfo#match', () => {
+				const matches = [];
+
+				listener.listenTo( emitter, '*:foo:*', evt => matches.push( evt.match ) );
+
+				emitter.fire( 'a:foo:b' );
+				emitter.fire( 'c:foo:d' );
+
+				expect( matches ).to.deep.equal( [ [ 'a', 'b' ], [ 'c', 'd' ] ] );
+			} );
+
+			it( 'should expose the RegExp capturing groups in EventInfo#match', () => {
+				const spy = sinon.spy();
+
+				listener.listenTo( emitter, /^(set|change):(\w+)$/, spy );
+
+				emitter.fire( 'set:isOn' );
+
+				expect( spy.firstCall.args[ 0 ].match ).to.deep.equal( [ 'set', 'isOn' ] );
+			} );
+
+			it( 'should set EventInfo#match to null for callbacks registered for a specific event', () => {
+				const matches = [];
+
+				listener.listenTo( emitter, 'change:*', evt => matches.push( evt.match ), { priority: 'high' } );
+				listener.listenTo( emitter, 'change:foo', evt => matches.push( evt.match ) );
+
+				emitter.fire( 'change:foo' );
+
+				expect( matches ).to.deep.equal( [ [ 'foo' ], null ] );
+			} );
+
+			it( 'should execute pattern and regular callbacks in the priority order', () => {
+				const spy1 = sinon.spy().named( 1 );
+				const spy2 = sinon.spy().named( 2 );
+				const spy3 = sinon.spy().named( 3 );
+				const spy4 = sinon.spy().named( 4 );
+
+				// Registered before and after the event namespace was created.
+				listener.listenTo( emitter, 'change:*', spy3, { priority: 'low' } );
+				listener.listenTo( emitter, 'change:foo', spy2 );
+				listener.listenTo( emitter, /^change/, spy1, { priority: 'high' } );
+				listener.listenTo( emitter, 'change', spy4, { priority: 'lowest' } );
+
+				emitter.fire( 'change:foo' );
+
+				sinon.assert.callOrder( spy1, spy2, spy3, spy4 );
+			} );
+
+			it( 'should execute pattern and regular callbacks with the same priority in the registration order', () => {
+				const spy1 = sinon.spy().named( 1 );
+				const spy2 = sinon.spy().named( 2 );
+				const spy3 = sinon.spy().named( 3 );
+				const spy4 = sinon.spy().named( 4 );
+
+				// The `change:foo` event is created after all callbacks were registered.
+				listener.listenTo( emitter, 'change:*', spy1 );
+				listener.listenTo( emitter, 'change', spy2 );
+				listener.listenTo( emitter, /^change/, spy3 );
+				listener.listenTo( emitter, 'change', spy4 );
+
+				emitter.fire( 'change:foo' );
+
+				sinon.assert.callOrder( spy1, spy2, spy3, spy4 );
+			} );
+
+			it( 'should call the callback once even if the pattern matches the event and its namespace', () => {
+				const spy = sinon.spy();
+
+				listener.listenTo( emitter, '*', spy );
+				listener.listenTo( emitter, 'foo', () => {} );
+				listener.listenTo( emitter, 'foo:bar', () => {} );
+
+				emitter.fire( 'foo:bar' );
+
+				sinon.assert.calledOnce( spy );
+			} );
+
+			it( 'should stop the event', () => {
+				const spy = sinon.spy();
+
+				listener.listenTo( emitter, 'change:*', evt => evt.stop(), { priority: 'high' } );
+				listener.listenTo( emitter, 'change:foo', spy );
+
+				emitter.fire( 'change:foo' );
+
+				sinon.assert.notCalled( spy );
+			} );
+
+			it( 'should work with once()', () => {
+				const spy = sinon.spy();
+
+				emitter.once( 'change:*', spy );
+
+				emitter.fire( 'change:foo' );
+				emitter.fire( 'change:bar' );
+
+				sinon.assert.calledOnce( spy );
+			} );
+
+			it( 'should work with fireAsync()', () => {
+				const spy = sinon.spy();
+
+				listener.listenTo( emitter, 'change:*', spy );
+
+				return emitter.fireAsync( 'change:foo' ).then( () => {
+					sinon.assert.calledOnce( spy );
+					expect( spy.firstCall.args[ 0 ].match ).to.deep.equal( [ 'foo' ] );
+				} );
+			} );
+
+			it( 'should stop listening to a given pattern callback', () => {
+				const spy1 = sinon.spy();
+				const spy2 = sinon.spy();
+
+				listener.listenTo( emitter, 'change:*', spy1 );
+				listener.listenTo( emitter, 'change:*', spy2 );
+
+				emitter.fire( 'change:foo' );
+
+				listener.stopListening( emitter, 'change:*', spy1 );
+
+				emitter.fire( 'change:foo' );
+				emitter.fire( 'change:bar' );
+
+				sinon.assert.calledOnce( spy1 );
+				sinon.assert.calledThrice( spy2 );
+			} );
+
+			it( 'should stop listening to a given RegExp pattern', () => {
+				const spy = sinon.spy();
+				const pattern = /^change/;
+
+				listener.listenTo( emitter, pattern, spy );
+
+				emitter.fire( 'change:foo' );
+
+				listener.stopListening( emitter, pattern );
+
+				emitter.fire( 'change:foo' );
+				emitter.fire( 'change:bar' );
+
+				sinon.assert.calledOnce( spy );
+			} );
+
+			it( 'should stop listening to all patterns of an emitter', () => {
+				const spy1 = sinon.spy();
+				const spy2 = sinon.spy();
+				const spy3 = sinon.spy();
+
+				listener.listenTo( emitter, 'change:*', spy1 );
+				listener.listenTo( emitter, /foo/, spy2 );
+				listener.listenTo( emitter, 'change:foo', spy3 );
+
+				listener.stopListening( emitter );
+
+				emitter.fire( 'change:foo' );
+
+				sinon.assert.notCalled( spy1 );
+				sinon.assert.notCalled( spy2 );
+				sinon.assert.notCalled( spy3 );
+				expect( emitter._eventPatterns ).to.be.undefined;
+			} );
+
+			it( 'should not remove the callback registered for a different pattern', () => {
+				const spy = sinon.spy();
+
+				listener.listenTo( emitter, 'change:*', spy );
+				listener.listenTo( emitter, '*:foo', spy );
+
+				listener.stopListening( emitter, '*:foo', spy );
+
+				emitter.fire( 'change:bar' );
+				emitter.fire( 'set:foo' );
+
+				sinon.assert.calledOnce( spy );
+			} );
+		} );
+	} );
+
+	describe( 'stopListening', () => {
+		it( 'should stop listening to given event callback', () => {
+			const spy1 = sinon.spy();
+			const spy2 = sinon.spy();
+
+			listener.listenTo( emitter, 'event1', spy1 );
+			listener.listenTo( emitter, 'event2', spy2 );
+
+			emitter.fire( 'event1' );
+			emitter.fire( 'event2' );
+
+			listener.stopListening( emitter, 'event1', spy1 );
+
+			emitter.fire( 'event1' );
+			emitter.fire( 'event2' );
+
+			sinon.assert.calledOnce( spy1 );
+			sinon.assert.calledTwice( spy2 );
+		} );
+
+		it( 'should stop listening to given event', () => {
+			const spy1a = sinon.spy();
+			const spy1b = sinon.spy();
+			const spy2 = sinon.spy();
+
+			listener.listenTo( emitter, 'event1', spy1a );
+			listener.listenTo( emitter, 'event1', spy1b );
+			listener.listenTo( emitter, 'event2', spy2 );
+
+			emitter.fire( 'event1' );
+			emitter.fire( 'event2' );
+
+			listener.stopListening( emitter, 'event1' );
+
+			emitter.fire( 'event1' );
+			emitter.fire( 'event2' );
+
+			sinon.assert.calledOnce( spy1a );
+			sinon.assert.calledOnce( spy1b );
+			sinon.assert.calledTwice( spy2 );
+		} );
+
+		it( 'should stop listening to all events from given emitter', () => {
+			const spy1 = sinon.spy();
+			const spy2 = sinon.spy();
+			const spy3 = sinon.spy();
+			const spy4 = sinon.spy();
+
+			listener.listenTo( emitter, 'event1', spy1 );
+			listener.listenTo( emitter, 'event2', spy2 );
+			listener.listenTo( emitter, 'foo', spy3 );
+			listener.listenTo( emitter, 'foo:bar:baz', spy4 );
+
+			emitter.fire( 'event1' );
+			emitter.fire( 'event2' );
+			emitter.fire( 'foo:bar:baz' );
+
+			listener.stopListening( emitter );
+
+			emitter.fire( 'event1' );
+			emitter.fire( 'event2' );
+			emitter.fire( 'foo:bar:baz' );
+
+			sinon.assert.calledOnce( spy1 );
+			sinon.assert.calledOnce( spy2 );
+			sinon.assert.calledOnce( spy3 );
+			sinon.assert.calledOnce( spy4 );
+		} );
+
+		it( 'should stop listening to everything', () => {
+			const spy1 = sinon.spy();
+			const spy2 = sinon.spy();
+			const spy3 = sinon.spy();
+			const spy4 = sinon.spy();
+
+			const emitter1 = getEmitterInstance();
+			const emitter2 = getEmitterInstance();
+
+			listener.listenTo( emitter1, 'event1', spy1 );
+			listener.listenTo( emitter2, 'event2', spy2 );
+			listener.listenTo( emitter1, 'foo', spy3 );
+			listener.listenTo( emitter1, 'foo:bar:baz', spy4 );
+
+			emitter1.fire( 'event1' );
+			emitter2.fire( 'event2' );
+			emitter1.fire( 'foo' );
+			emitter1.fire( 'foo:bar' );
+			emitter1.fire( 'foo:bar:baz' );
+
+			listener.stopListening();
+
+			emitter1.fire( 'event1' );
+			emitter2.fire( 'event2' );
+			emitter1.fire( 'foo' );
+			emitter1.fire( 'foo:bar' );
+			emitter1.fire( 'foo:bar:baz' );
+
+			sinon.assert.calledOnce( spy1 );
+			sinon.assert.calledOnce( spy2 );
+			sinon.assert.calledThrice( spy3 );
+			sinon.assert.calledOnce( spy4 );
+		} );
+
+		it( 'should not stop other emitters when a non-listened emitter is provided', () => {
+			const spy = sinon.spy();
+
+			const emitter1 = getEmitterInstance();
+			const emitter2 = getEmitterInstance();
+
+			listener.listenTo( emitter1, 'test', spy );
+
+			listener.stopListening( emitter2 );
+
+			emitter1.fire( 'test' );
+
+			sinon.assert.called( spy );
+		} );
+
+		it( 'should correctly stop listening to namespaced events', () => {
+			const spyFoo = sinon.spy();
+			const spyBar = sinon.spy();
+			const spyBaz = sinon.spy();
+
+			listener.listenTo( emitter, 'foo', spyFoo );
+			listener.listenTo( emitter, 'foo:bar', spyBar );
+			listener.listenTo( emitter, 'foo:bar:baz', spyBaz );
+
+			listener.stopListening( emitter, 'foo' );
+
+			emitter.fire( 'foo:bar:baz' );
+
+			sinon.assert.notCalled( spyFoo );
+			sinon.assert.calledOnce( spyBar );
+			sinon.assert.calledOnce( spyBaz );
+		} );
+
+		it( 'should correctly stop listening to namespaced events when removing specialised event', () => {
+			const spyFoo = sinon.spy();
+			const spyBar = sinon.spy();
+			const spyBaz = sinon.spy();
+
+			listener.listenTo( emitter, 'foo', spyFoo );
+			listener.listenTo( emitter, 'foo:bar', spyBar );
+			listener.listenTo( emitter, 'foo:bar:baz', spyBaz );
+
+			listener.stopListening( emitter, 'foo:bar' );
+
+			emitter.fire( 'foo:bar:baz' );
+
+			sinon.assert.calledOnce( spyFoo );
+			sinon.assert.notCalled( spyBar );
+			sinon.assert.calledOnce( spyBaz );
+		} );
 
 		it( 'should not fail with unknown events', () => {
 			listener.stopListening( emitter, 'foo', () => {} );
@@ -1021,61 +1682,244 @@ describe( 'EmitterMixin', () => {
 						expectedData: [ data ]
 					} );
 
-					done();
+					done();
+				} );
+
+				emitterB.fire( 'foo', data );
+			} );
+
+			it( 'supports delegation of all events', () => {
+				const emitterA = getEmitterInstance();
+				const emitterB = getEmitterInstance();
+				const spyAFoo = sinon.spy();
+				const spyABar = sinon.spy();
+				const spyABaz = sinon.spy();
+
+				emitterB.delegate( '*' ).to( emitterA );
+
+				emitterA.on( 'foo', spyAFoo );
+				emitterA.on( 'bar', spyABar );
+				emitterA.on( 'baz', spyABaz );
+
+				emitterB.fire( 'foo' );
+				emitterB.fire( 'baz' );
+				emitterB.fire( 'bar' );
+
+				sinon.assert.callOrder( spyAFoo, spyABaz, spyABar );
+			} );
+
+			it( 'supports delegation of all events under different names', () => {
+				const emitterA = getEmitterInstance();
+				const emitterB = getEmitterInstance();
+				const spyAFoo = sinon.spy();
+				const spyABar = sinon.spy();
+				const spyABaz = sinon.spy();
+				const spyAFooDel = sinon.spy();
+				const spyABarDel = sinon.spy();
+				const spyABazDel = sinon.spy();
+
+				emitterB.delegate( '*' ).to( emitterA, name => name + '-delegated' );
+
+				emitterA.on( 'foo', spyAFoo );
+				emitterA.on( 'bar', spyABar );
+				emitterA.on( 'baz', spyABaz );
+
+				emitterA.on( 'foo-delegated', spyAFooDel );
+				emitterA.on( 'bar-delegated', spyABarDel );
+				emitterA.on( 'baz-delegated', spyABazDel );
+
+				emitterB.fire( 'foo' );
+				emitterB.fire( 'baz' );
+				emitterB.fire( 'bar' );
+
+				sinon.assert.notCalled( spyAFoo );
+				sinon.assert.notCalled( spyABar );
+				sinon.assert.notCalled( spyABaz );
+
+				sinon.assert.callOrder( spyAFooDel, spyABazDel, spyABarDel );
+			} );
+
+			describe( 'filter option', () => {
+				it( 'delegates only the events accepted by the filter', () => {
+					const emitterA = getEmitterInstance();
+					const emitterB = getEmitterInstance();
+					const spy = sinon.spy();
+
+					emitterB.delegate( 'foo' ).to( emitterA, null, {
+						filter: ( evt, data ) => data.isAccepted
+					} );
+
+					emitterA.on( 'foo', spy );
+
+					emitterB.fire( 'foo', { isAccepted: false } );
+					emitterB.fire( 'foo', { isAccepted: true } );
+
+					sinon.assert.calledOnce( spy );
+					expect( spy.firstCall.args[ 1 ] ).to.deep.equal( { isAccepted: true } );
+				} );
+
+				it( 'passes the original event info to the filter', () => {
+					const emitterA = getEmitterInstance();
+					const emitterB = getEmitterInstance();
+					const filter = sinon.stub().returns( true );
+
+					emitterB.delegate( 'foo' ).to( emitterA, 'bar', { filter } );
+
+					emitterB.fire( 'foo', 1, 2 );
+
+					sinon.assert.calledOnce( filter );
+					sinon.assert.calledWithExactly( filter, sinon.match.instanceOf( EventInfo ), 1, 2 );
+					expect( filter.firstCall.args[ 0 ].name ).to.equal( 'foo' );
+				} );
+
+				it( 'does not affect other destinations', () => {
+					const emitterA = getEmitterInstance();
+					const emitterB = getEmitterInstance();
+					const emitterC = getEmitterInstance();
+					const spyA = sinon.spy();
+					const spyC = sinon.spy();
+
+					emitterB.delegate( 'foo' ).to( emitterA, null, { filter: () => false } );
+					emitterB.delegate( 'foo' ).to( emitterC );
+
+					emitterA.on( 'foo', spyA );
+					emitterC.on( 'foo', spyC );
+
+					emitterB.fire( 'foo' );
+
+					sinon.assert.notCalled( spyA );
+					sinon.assert.calledOnce( spyC );
+				} );
+			} );
+
+			describe( 'map option', () => {
+				it( 'fires the delegated event with the transformed arguments', () => {
+					const emitterA = getEmitterInstance();
+					const emitterB = getEmitterInstance();
+					const data = { domEvent: {} };
+
+					emitterB.delegate( 'foo' ).to( emitterA, 'bar', {
+						map: ( evt, data, extra ) => [ data.domEvent, extra + 1 ]
+					} );
+
+					const spy = sinon.spy();
+
+					emitterA.on( 'bar', spy );
+					emitterB.fire( 'foo', data, 1 );
+
+					assertDelegated( spy.firstCall.args, {
+						expectedName: 'bar',
+						expectedSource: emitterB,
+						expectedPath: [ emitterB, emitterA ],
+						expectedData: [ data.domEvent, 2 ]
+					} );
+				} );
+
+				it( 'does not change the arguments passed to other destinations', () => {
+					const emitterA = getEmitterInstance();
+					const emitterB = getEmitterInstance();
+					const emitterC = getEmitterInstance();
+					const spyC = sinon.spy();
+
+					emitterB.delegate( 'foo' ).to( emitterA, null, { map: () => [ 'mapped' ] } );
+					emitterB.delegate( 'foo' ).to( emitterC );
+
+					emitterC.on( 'foo', spyC );
+					emitterB.fire( 'foo', 'original' );
+
+					expect( spyC.firstCall.args[ 1 ] ).to.equal( 'original' );
+				} );
+			} );
+
+			describe( 'priority option', () => {
+				it( 'delegates the event before the local callbacks with a lower priority', () => {
+					const emitterA = getEmitterInstance();
+					const emitterB = getEmitterInstance();
+					const spyHigh = sinon.spy().named( 'high' );
+					const spyNormal = sinon.spy().named( 'normal' );
+					const spyLow = sinon.spy().named( 'low' );
+					const spyDelegated = sinon.spy().named( 'delegated' );
+
+					emitterB.delegate( 'foo' ).to( emitterA, null, { priority: 'normal' } );
+
+					emitterB.on( 'foo', spyLow, { priority: 'low' } );
+					emitterB.on( 'foo', spyNormal );
+					emitterB.on( 'foo', spyHigh, { priority: 'high' } );
+					emitterA.on( 'foo', spyDelegated );
+
+					emitterB.fire( 'foo' );
+
+					sinon.assert.callOrder( spyHigh, spyNormal, spyDelegated, spyLow );
+				} );
+
+				it( 'delegates the event before all local callbacks with the highest priority', () => {
+					const emitterA = getEmitterInstance();
+					const emitterB = getEmitterInstance();
+					const spyLocal = sinon.spy().named( 'local' );
+					const spyDelegated = sinon.spy().named( 'delegated' );
+
+					emitterB.delegate( 'foo' ).to( emitterA, null, { priority: 'highest' } );
+
+					emitterB.on( 'foo', spyLocal, { priority: 'high' } );
+					emitterA.on( 'foo', spyDelegated );
+
+					emitterB.fire( 'foo' );
+
+					sinon.assert.callOrder( spyDelegated, spyLocal );
 				} );
 
-				emitterB.fire( 'foo', data );
-			} );
+				it( 'delegates the event even if it was stopped by a local callback', () => {
+					const emitterA = getEmitterInstance();
+					const emitterB = getEmitterInstance();
+					const spy = sinon.spy();
 
-			it( 'supports delegation of all events', () => {
-				const emitterA = getEmitterInstance();
-				const emitterB = getEmitterInstance();
-				const spyAFoo = sinon.spy();
-				const spyABar = sinon.spy();
-				const spyABaz = sinon.spy();
+					emitterB.delegate( 'foo' ).to( emitterA, null, { priority: 'low' } );
 
-				emitterB.delegate( '*' ).to( emitterA );
+					emitterB.on( 'foo', evt => evt.stop() );
+					emitterA.on( 'foo', spy );
 
-				emitterA.on( 'foo', spyAFoo );
-				emitterA.on( 'bar', spyABar );
-				emitterA.on( 'baz', spyABaz );
+					emitterB.fire( 'foo' );
 
-				emitterB.fire( 'foo' );
-				emitterB.fire( 'baz' );
-				emitterB.fire( 'bar' );
+					sinon.assert.calledOnce( spy );
+				} );
 
-				sinon.assert.callOrder( spyAFoo, spyABaz, spyABar );
-			} );
+				it( 'orders delegations by their priorities', () => {
+					const emitterA = getEmitterInstance();
+					const emitterB = getEmitterInstance();
+					const emitterC = getEmitterInstance();
+					const spyA = sinon.spy().named( 'A' );
+					const spyC = sinon.spy().named( 'C' );
 
-			it( 'supports delegation of all events under different names', () => {
-				const emitterA = getEmitterInstance();
-				const emitterB = getEmitterInstance();
-				const spyAFoo = sinon.spy();
-				const spyABar = sinon.spy();
-				const spyABaz = sinon.spy();
-				const spyAFooDel = sinon.spy();
-				const spyABarDel = sinon.spy();
-				const spyABazDel = sinon.spy();
+					emitterB.delegate( 'foo' ).to( emitterA );
+					emitterB.delegate( '*' ).to( emitterC, null, { priority: 'high' } );
 
-				emitterB.delegate( '*' ).to( emitterA, name => name + '-delegated' );
+					emitterA.on( 'foo', spyA );
+					emitterC.on( 'foo', spyC );
 
-				emitterA.on( 'foo', spyAFoo );
-				emitterA.on( 'bar', spyABar );
-				emitterA.on( 'baz', spyABaz );
+					emitterB.fire( 'foo' );
 
-				emitterA.on( 'foo-delegated', spyAFooDel );
-				emitterA.on( 'bar-delegated', spyABarDel );
-				emitterA.on( 'baz-delegated', spyABazDel );
+					sinon.assert.callOrder( spyC, spyA );
+				} );
 
-				emitterB.fire( 'foo' );
-				emitterB.fire( 'baz' );
-				emitterB.fire( 'bar' );
+				it( 'is respected by fireAsync()', () => {
+					const emitterA = getEmitterInstance();
+					const emitterB = getEmitterInstance();
+					const order = [];
 
-				sinon.assert.notCalled( spyAFoo );
-				sinon.assert.notCalled( spyABar );
-				sinon.assert.notCalled( spyABaz );
+					emitterB.delegate( 'foo' ).to( emitterA, 'bar', {
+						priority: 'normal',
+						filter: ( evt, data ) => data == 'data',
+						map: ( evt, data ) => [ data.toUpperCase() ]
+					} );
 
-				sinon.assert.callOrder( spyAFooDel, spyABazDel, spyABarDel );
+					emitterB.on( 'foo', () => Promise.resolve().then( () => order.push( 'high' ) ), { priority: 'high' } );
+					emitterB.on( 'foo', () => order.push( 'low' ), { priority: 'low' } );
+					emitterA.on( 'bar', ( evt, data ) => Promise.resolve().then( () => order.push( data ) ) );
+
+					return emitterB.fireAsync( 'foo', 'data' ).then( () => {
+						expect( order ).to.deep.equal( [ 'high', 'DATA', 'low' ] );
+					} );
+				} );
 			} );
 		} );
 	} );
@@ -1293,6 +2137,429 @@ describe( 'EmitterMixin', () => {
 				emitterA.stopDelegating( 'bar', emitterC );
 			} ).to.not.throw();
 		} );
+
+		it( 'affects the event being fired when called by a local callback', () => {
+			const emitterA = getEmitterInstance();
+			const emitterB = getEmitterInstance();
+			const emitterC = getEmitterInstance();
+			const spyA = sinon.spy();
+			const spyC = sinon.spy();
+
+			emitterB.delegate( 'foo' ).to( emitterA );
+			emitterB.on( 'foo', () => {
+				emitterB.stopDelegating( 'foo', emitterA );
+				emitterB.delegate( 'foo' ).to( emitterC );
+			} );
+
+			emitterA.on( 'foo', spyA );
+			emitterC.on( 'foo', spyC );
+
+			emitterB.fire( 'foo' );
+
+			sinon.assert.notCalled( spyA );
+			sinon.assert.calledOnce( spyC );
+		} );
+
+		it( 'affects the event being fired using fireAsync() when called by a local callback', () => {
+			const emitterA = getEmitterInstance();
+			const emitterB = getEmitterInstance();
+			const spy = sinon.spy();
+
+			emitterB.delegate( 'foo' ).to( emitterA );
+			emitterB.on( 'foo', () => Promise.resolve().then( () => emitterB.stopDelegating() ) );
+			emitterA.on( 'foo', spy );
+
+			return emitterB.fireAsync( 'foo' ).then( () => {
+				sinon.assert.notCalled( spy );
+			} );
+		} );
+
+		it( 'does not fire again the delegations fired before a local callback delegated the event again', () => {
+			const emitterA = getEmitterInstance();
+			const emitterB = getEmitterInstance();
+			const spy = sinon.spy();
+
+			emitterB.delegate( 'foo' ).to( emitterA, null, { priority: 'high' } );
+			emitterB.on( 'foo', () => emitterB.delegate( 'foo' ).to( emitterA, null, { priority: 'low' } ) );
+			emitterA.on( 'foo', spy );
+
+			emitterB.fire( 'foo' );
+
+			sinon.assert.calledOnce( spy );
+		} );
+	} );
+
+	describe( 'isolateErrors', () => {
+		it( 'should execute the remaining callbacks if a callback threw an error', () => {
+			const spy1 = sinon.spy();
+			const spy2 = sinon.spy();
+
+			emitter.isolateErrors( 'foo' );
+
+			emitter.on( 'listenerError', () => {} );
+			emitter.on( 'foo', spy1, { priority: 'high' } );
+			emitter.on( 'foo', () => {
+				throw new Error( 'foo' );
+			} );
+			emitter.on( 'foo', spy2, { priority: 'low' } );
+
+			expect( () => {
+				emitter.fire( 'foo' );
+			} ).to.not.throw();
+
+			sinon.assert.calledOnce( spy1 );
+			sinon.assert.calledOnce( spy2 );
+		} );
+
+		it( 'should return the value set by the other callbacks', () => {
+			emitter.isolateErrors( 'foo' );
+
+			emitter.on( 'listenerError', () => {} );
+			emitter.on( 'foo', () => {
+				throw new Error( 'foo' );
+			}, { priority: 'high' } );
+			emitter.on( 'foo', evt => {
+				evt.return = 1;
+			} );
+
+			expect( emitter.fire( 'foo' ) ).to.equal( 1 );
+		} );
+
+		it( 'should report the error through the listenerError event', () => {
+			const error = new Error( 'foo' );
+			const spy = sinon.spy();
+			const callback = () => {
+				throw error;
+			};
+
+			emitter.isolateErrors( 'foo' );
+
+			emitter.on( 'listenerError', spy );
+			listener.listenTo( emitter, 'foo', callback );
+
+			emitter.fire( 'foo' );
+
+			sinon.assert.calledOnce( spy );
+			expect( spy.firstCall.args[ 1 ] ).to.deep.equal( {
+				event: 'foo',
+				error,
+				callback,
+				listener
+			} );
+		} );
+
+		it( 'should log the error to the console if nothing listens to the listenerError event', () => {
+			const error = new Error( 'foo' );
+			const stub = sinon.stub( console, 'error' );
+
+			emitter.isolateErrors( 'foo' );
+
+			const callback = () => {
+				throw error;
+			};
+
+			emitter.on( 'foo', callback );
+			emitter.fire( 'foo' );
+
+			stub.restore();
+
+			sinon.assert.calledOnce( stub );
+			sinon.assert.calledWithExactly( stub, sinon.match( /^emittermixin-listener-error:/ ), {
+				event: 'foo',
+				error,
+				callback,
+				listener: emitter
+			} );
+		} );
+
+		it( 'should isolate the errors of more specific events', () => {
+			const spy = sinon.spy();
+
+			emitter.isolateErrors( 'change' );
+
+			emitter.on( 'listenerError', spy );
+			emitter.on( 'change:foo', () => {
+				throw new Error( 'foo' );
+			} );
+
+			emitter.fire( 'change:foo' );
+
+			sinon.assert.calledOnce( spy );
+			expect( spy.firstCall.args[ 1 ].event ).to.equal( 'change:foo' );
+		} );
+
+		it( 'should isolate the errors of all events', () => {
+			const spy = sinon.spy();
+
+			emitter.isolateErrors( '*' );
+
+			emitter.on( 'listenerError', spy );
+			emitter.on( 'foo', () => {
+				throw new Error( 'foo' );
+			} );
+			emitter.on( 'bar', () => {
+				throw new Error( 'bar' );
+			} );
+
+			emitter.fire( 'foo' );
+			emitter.fire( 'bar' );
+
+			sinon.assert.calledTwice( spy );
+		} );
+
+		it( 'should not isolate the errors of other events', () => {
+			emitter.isolateErrors( 'foo' );
+
+			emitter.on( 'bar', () => {
+				throw new CKEditorError( 'bar', null );
+			} );
+
+			expectToThrowCKEditorError( () => {
+				emitter.fire( 'bar' );
+			}, /bar/, null );
+		} );
+
+		it( 'should not isolate the errors thrown by the listenerError callbacks', () => {
+			emitter.isolateErrors( '*' );
+
+			emitter.on( 'listenerError', () => {
+				throw new CKEditorError( 'bar', null );
+			} );
+			emitter.on( 'foo', () => {
+				throw new Error( 'foo' );
+			} );
+
+			expectToThrowCKEditorError( () => {
+				emitter.fire( 'foo' );
+			}, /bar/, null );
+		} );
+
+		it( 'should isolate the errors of callbacks executed by fireAsync()', () => {
+			const spyError = sinon.spy();
+			const spy = sinon.spy();
+
+			emitter.isolateErrors( 'foo' );
+
+			emitter.on( 'listenerError', spyError );
+			emitter.on( 'foo', () => Promise.reject( new Error( 'foo' ) ), { priority: 'high' } );
+			emitter.on( 'foo', () => {
+				throw new Error( 'bar' );
+			} );
+			emitter.on( 'foo', spy, { priority: 'low' } );
+
+			return emitter.fireAsync( 'foo' ).then( () => {
+				sinon.assert.calledTwice( spyError );
+				sinon.assert.calledOnce( spy );
+			} );
+		} );
+	} );
+
+	describe( 'stopIsolatingErrors', () => {
+		it( 'should not throw if the errors were not isolated', () => {
+			expect( () => {
+				emitter.stopIsolatingErrors( 'foo' );
+			} ).to.not.throw();
+		} );
+
+		it( 'should stop isolating the errors of the given events', () => {
+			emitter.isolateErrors( 'foo', 'bar' );
+			emitter.stopIsolatingErrors( 'foo' );
+
+			emitter.on( 'listenerError', () => {} );
+			emitter.on( 'foo', () => {
+				throw new CKEditorError( 'foo', null );
+			} );
+			emitter.on( 'bar', () => {
+				throw new Error( 'bar' );
+			} );
+
+			expectToThrowCKEditorError( () => {
+				emitter.fire( 'foo' );
+			}, /foo/, null );
+
+			expect( () => {
+				emitter.fire( 'bar' );
+			} ).to.not.throw();
+		} );
+
+		it( 'should stop isolating the errors of all events if no event was given', () => {
+			emitter.isolateErrors( 'foo', 'bar' );
+			emitter.stopIsolatingErrors();
+
+			emitter.on( 'bar', () => {
+				throw new CKEditorError( 'bar', null );
+			} );
+
+			expectToThrowCKEditorError( () => {
+				emitter.fire( 'bar' );
+			}, /bar/, null );
+		} );
+	} );
+
+	describe( 'getListeners', () => {
+		it( 'should return an empty array if there are no listeners', () => {
+			expect( emitter.getListeners( 'foo' ) ).to.deep.equal( [] );
+		} );
+
+		it( 'should return callbacks in the order of execution together with their priorities and listeners', () => {
+			const callback1 = () => {};
+			const callback2 = () => {};
+			const callback3 = () => {};
+
+			emitter.on( 'foo', callback1 );
+			listener.listenTo( emitter, 'foo', callback2, { priority: 'high' } );
+			listener.listenTo( emitter, 'bar', callback3 );
+
+			expect( emitter.getListeners( 'foo' ) ).to.deep.equal( [
+				{ callback: callback2, priority: 1000, listener, id: undefined },
+				{ callback: callback1, priority: 0, listener: emitter, id: undefined }
+			] );
+		} );
+
+		it( 'should include callbacks registered for the namespace', () => {
+			const callback1 = () => {};
+			const callback2 = () => {};
+
+			emitter.on( 'foo', callback1 );
+			emitter.on( 'foo:bar', callback2 );
+
+			expect( emitter.getListeners( 'foo:bar' ).map( definition => definition.callback ) ).to.deep.equal( [ callback1, callback2 ] );
+			expect( emitter.getListeners( 'foo:baz' ).map( definition => definition.callback ) ).to.deep.equal( [ callback1 ] );
+		} );
+
+		it( 'should include callbacks registered for matching patterns', () => {
+			const callback = () => {};
+
+			listener.listenTo( emitter, 'change:*', callback );
+
+			expect( emitter.getListeners( 'change:foo' ) ).to.deep.equal( [ { callback, priority: 0, listener, id: undefined } ] );
+			expect( emitter.getListeners( 'set:foo' ) ).to.deep.equal( [] );
+		} );
+
+		it( 'should not include removed callbacks', () => {
+			const callback = () => {};
+
+			listener.listenTo( emitter, 'foo', callback );
+			listener.stopListening( emitter, 'foo', callback );
+
+			expect( emitter.getListeners( 'foo' ) ).to.deep.equal( [] );
+		} );
+	} );
+
+	describe( 'getListenedEmitters', () => {
+		it( 'should return an empty array if the object does not listen to anything', () => {
+			expect( listener.getListenedEmitters() ).to.deep.equal( [] );
+		} );
+
+		it( 'should return all emitters the object listens to', () => {
+			const emitterB = getEmitterInstance();
+
+			listener.listenTo( emitter, 'foo', () => {} );
+			listener.listenTo( emitter, 'bar', () => {} );
+			listener.listenTo( emitterB, 'foo', () => {} );
+			listener.on( 'foo', () => {} );
+
+			expect( listener.getListenedEmitters() ).to.deep.equal( [ emitter, emitterB, listener ] );
+		} );
+
+		it( 'should not return emitters after stopListening()', () => {
+			const emitterB = getEmitterInstance();
+
+			listener.listenTo( emitter, 'foo', () => {} );
+			listener.listenTo( emitterB, 'foo', () => {} );
+
+			listener.stopListening( emitter );
+
+			expect( listener.getListenedEmitters() ).to.deep.equal( [ emitterB ] );
+
+			listener.stopListening();
+
+			expect( listener.getListenedEmitters() ).to.deep.equal( [] );
+		} );
+
+		it( 'should not return emitters after their callbacks were removed one by one', () => {
+			const emitterB = getEmitterInstance();
+			const callbackA = () => {};
+			const callbackB = () => {};
+
+			listener.listenTo( emitter, 'foo', callbackA );
+			listener.listenTo( emitter, 'bar', callbackB );
+			listener.listenTo( emitter, 'change:*', callbackA );
+			listener.listenTo( emitterB, 'foo', callbackA );
+
+			listener.stopListening( emitter, 'foo', callbackA );
+			listener.stopListening( emitter, 'change:*', callbackA );
+
+			expect( listener.getListenedEmitters() ).to.deep.equal( [ emitter, emitterB ] );
+
+			listener.stopListening( emitter, 'bar', callbackB );
+
+			expect( listener.getListenedEmitters() ).to.deep.equal( [ emitterB ] );
+		} );
+
+		it( 'should not return emitters after their callbacks were removed using off() on the event info', () => {
+			listener.listenTo( emitter, 'foo', evt => evt.off() );
+			listener.listenTo( emitter, 'change:*', evt => evt.off() );
+
+			emitter.fire( 'foo' );
+
+			expect( listener.getListenedEmitters() ).to.deep.equal( [ emitter ] );
+
+			emitter.fire( 'change:bar' );
+
+			expect( listener.getListenedEmitters() ).to.deep.equal( [] );
+		} );
+
+		it( 'should keep the callback removed using off() for a more specific event only', () => {
+			const controller = new AbortController();
+			let calls = 0;
+
+			emitter.on( 'foo:bar', () => {} );
+			listener.listenTo( emitter, 'foo', evt => {
+				calls++;
+
+				if ( evt.name == 'foo:bar' ) {
+					evt.off();
+				}
+			}, { signal: controller.signal } );
+
+			emitter.fire( 'foo:bar' );
+
+			// The callback is still executed for the generic event.
+			expect( listener.getListenedEmitters() ).to.deep.equal( [ emitter ] );
+
+			controller.abort();
+			emitter.fire( 'foo' );
+
+			expect( calls ).to.equal( 1 );
+			expect( listener.getListenedEmitters() ).to.deep.equal( [] );
+		} );
+
+		it( 'should allow removing the callback removed using off() for a more specific event only', () => {
+			let calls = 0;
+
+			emitter.on( 'foo:bar', () => {} );
+			listener.listenTo( emitter, 'foo', evt => {
+				calls++;
+
+				if ( evt.name == 'foo:bar' ) {
+					evt.off();
+				}
+			} );
+
+			emitter.fire( 'foo:bar' );
+			listener.stopListening();
+			emitter.fire( 'foo' );
+
+			expect( calls ).to.equal( 1 );
+		} );
+
+		it( 'should not return emitters after once() callbacks were called', () => {
+			listener.once( 'foo', () => {} );
+			listener.fire( 'foo' );
+
+			expect( listener.getListenedEmitters() ).to.deep.equal( [] );
+		} );
 	} );
 
 	function assertDelegated( evtArgs, { expectedName, expectedSource, expectedPath, expectedData } ) {
@@ -12,6 +12,7 @@ describe( 'EventInfo', () => {
 		expect( event.source ).to.equal( this );
 		expect( event.name ).to.equal( 'test' );
 		expect( event.path ).to.deep.equal( [] );
+		expect( event.match ).to.be.null;
 		expect( event.stop.called ).to.not.be.true;
 		expect( event.off.called ).to.not.be.true;
 	} );
@@ -0,0 +1,114 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import eventsOf from '../src/eventsof';
+import EmitterMixin from '../src/emittermixin';
+import EventInfo from '../src/eventinfo';
+
+describe( 'eventsOf()', () => {
+	let emitter;
+
+	beforeEach( () => {
+		emitter = Object.create( EmitterMixin );
+	} );
+
+	it( 'should return an async iterator', () => {
+		const iterator = eventsOf( emitter, 'foo' );
+
+		expect( iterator[ Symbol.asyncIterator ]() ).to.equal( iterator );
+	} );
+
+	it( 'should yield the event callback arguments of the events fired later on', () => {
+		const iterator = eventsOf( emitter, 'foo' );
+		const promise = iterator.next();
+
+		emitter.fire( 'foo', 1, 'b' );
+
+		return promise.then( ( { value: [ evt, ...data ], done } ) => {
+			expect( done ).to.be.false;
+			expect( evt ).to.be.instanceOf( EventInfo );
+			expect( data ).to.deep.equal( [ 1, 'b' ] );
+		} );
+	} );
+
+	it( 'should queue the events fired before they were requested', () => {
+		const iterator = eventsOf( emitter, 'foo' );
+
+		emitter.fire( 'foo', 1 );
+		emitter.fire( 'foo', 2 );
+
+		return Promise.all( [ iterator.next(), iterator.next() ] ).then( results => {
+			expect( results.map( ( { value } ) => value[ 1 ] ) ).to.deep.equal( [ 1, 2 ] );
+		} );
+	} );
+
+	it( 'should yield only the events accepted by the filter', () => {
+		const iterator = eventsOf( emitter, 'foo', { filter: ( evt, value ) => value % 2 == 0 } );
+
+		emitter.fire( 'foo', 1 );
+		emitter.fire( 'foo', 2 );
+		emitter.fire( 'foo', 3 );
+		emitter.fire( 'foo', 4 );
+
+		return Promise.all( [ iterator.next(), iterator.next() ] ).then( results => {
+			expect( results.map( ( { value } ) => value[ 1 ] ) ).to.deep.equal( [ 2, 4 ] );
+		} );
+	} );
+
+	it( 'should work in the for await...of loop and remove the listener when the loop is broken', () => {
+		const values = [];
+
+		const promise = ( async () => {
+			for await ( const [ , value ] of eventsOf( emitter, 'foo' ) ) {
+				values.push( value );
+
+				if ( value == 3 ) {
+					break;
+				}
+			}
+		} )();
+
+		emitter.fire( 'foo', 1 );
+		emitter.fire( 'foo', 2 );
+		emitter.fire( 'foo', 3 );
+
+		return promise.then( () => {
+			expect( values ).to.deep.equal( [ 1, 2, 3 ] );
+			expect( emitter.getListeners( 'foo' ) ).to.deep.equal( [] );
+		} );
+	} );
+
+	describe( 'return()', () => {
+		it( 'should remove the listener and finish the iteration', () => {
+			const iterator = eventsOf( emitter, 'foo' );
+
+			emitter.fire( 'foo' );
+
+			return iterator.return()
+				.then( result => {
+					expect( result ).to.deep.equal( { value: undefined, done: true } );
+					expect( emitter.getListeners( 'foo' ) ).to.deep.equal( [] );
+
+					emitter.fire( 'foo' );
+
+					return iterator.next();
+				} )
+				.then( result => {
+					expect( result ).to.deep.equal( { value: undefined, done: true } );
+				} );
+		} );
+
+		it( 'should finish the pending requests', () => {
+			const iterator = eventsOf( emitter, 'foo' );
+			const promise = iterator.next();
+
+			iterator.return();
+
+			return promise.then( result => {
+				expect( result ).to.deep.equal( { value: undefined, done: true } );
+			} );
+		} );
+	} );
+} );
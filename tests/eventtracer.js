@@ -0,0 +1,261 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import eventTracer from '../src/eventtracer';
+import EmitterMixin from '../src/emittermixin';
+import mix from '../src/mix';
+
+describe( 'eventTracer', () => {
+	let emitter;
+
+	class Emitter {}
+	mix( Emitter, EmitterMixin );
+
+	beforeEach( () => {
+		emitter = new Emitter();
+	} );
+
+	afterEach( () => {
+		eventTracer.stop();
+		eventTracer.clear();
+	} );
+
+	it( 'should be disabled by default', () => {
+		expect( eventTracer.isEnabled ).to.be.false;
+
+		emitter.on( 'foo', () => {} );
+		emitter.fire( 'foo' );
+
+		expect( eventTracer.records ).to.deep.equal( [] );
+	} );
+
+	describe( 'start()', () => {
+		it( 'should start recording fired events', () => {
+			eventTracer.start();
+
+			emitter.fire( 'foo' );
+
+			expect( eventTracer.isEnabled ).to.be.true;
+			expect( eventTracer.records ).to.have.length( 1 );
+			expect( eventTracer.records[ 0 ].name ).to.equal( 'foo' );
+			expect( eventTracer.records[ 0 ].source ).to.equal( emitter );
+			expect( eventTracer.records[ 0 ].path ).to.deep.equal( [ emitter ] );
+		} );
+	} );
+
+	describe( 'stop()', () => {
+		it( 'should stop recording fired events but keep the records', () => {
+			eventTracer.start();
+			emitter.fire( 'foo' );
+			eventTracer.stop();
+			emitter.fire( 'bar' );
+
+			expect( eventTracer.isEnabled ).to.be.false;
+			expect( eventTracer.records ).to.have.length( 1 );
+		} );
+	} );
+
+	describe( 'clear()', () => {
+		it( 'should remove all records', () => {
+			eventTracer.start();
+			emitter.fire( 'foo' );
+			eventTracer.clear();
+
+			expect( eventTracer.records ).to.deep.equal( [] );
+		} );
+	} );
+
+	describe( 'records', () => {
+		beforeEach( () => {
+			eventTracer.start();
+		} );
+
+		it( 'should contain the executed callbacks with their priorities', () => {
+			function highCallback() {}
+			function normalCallback() {}
+
+			emitter.on( 'foo', normalCallback );
+			emitter.on( 'foo', highCallback, { priority: 'high' } );
+
+			emitter.fire( 'foo' );
+
+			const callbacks = eventTracer.records[ 0 ].callbacks;
+
+			expect( callbacks ).to.have.length( 2 );
+			expect( callbacks[ 0 ].callback ).to.equal( highCallback );
+			expect( callbacks[ 0 ].priority ).to.equal( 1000 );
+			expect( callbacks[ 0 ].duration ).to.be.a( 'number' );
+			expect( callbacks[ 1 ].callback ).to.equal( normalCallback );
+			expect( callbacks[ 1 ].priority ).to.equal( 0 );
+		} );
+
+		it( 'should contain the return value and the duration of the event', () => {
+			emitter.on( 'foo', evt => {
+				evt.return = 'bar';
+			} );
+
+			emitter.fire( 'foo' );
+
+			expect( eventTracer.records[ 0 ].return ).to.equal( 'bar' );
+			expect( eventTracer.records[ 0 ].duration ).to.be.at.least( 0 );
+			expect( eventTracer.records[ 0 ].stopped ).to.be.false;
+		} );
+
+		it( 'should mark the callback which stopped the event', () => {
+			emitter.on( 'foo', () => {}, { priority: 'high' } );
+			emitter.on( 'foo', evt => evt.stop() );
+			emitter.on( 'foo', () => {}, { priority: 'low' } );
+
+			emitter.fire( 'foo' );
+
+			const record = eventTracer.records[ 0 ];
+
+			expect( record.stopped ).to.be.true;
+			expect( record.callbacks.map( callbackRecord => callbackRecord.stopped ) ).to.deep.equal( [ false, true ] );
+		} );
+
+		it( 'should finish the records of the event and the callback which threw an error', () => {
+			emitter.on( 'foo', () => {}, { priority: 'high' } );
+			emitter.on( 'foo', () => {
+				throw new Error( 'foo' );
+			} );
+
+			expect( () => emitter.fire( 'foo' ) ).to.throw( /foo/ );
+
+			const record = eventTracer.records[ 0 ];
+
+			expect( record.failed ).to.be.true;
+			expect( record.duration ).to.be.a( 'number' );
+			expect( record.callbacks.map( callbackRecord => callbackRecord.failed ) ).to.deep.equal( [ false, true ] );
+			expect( record.callbacks[ 1 ].duration ).to.be.a( 'number' );
+		} );
+
+		it( 'should finish the records of the asynchronous event and the callback which threw an error', () => {
+			emitter.on( 'foo', () => Promise.reject( new Error( 'foo' ) ) );
+
+			return emitter.fireAsync( 'foo' ).then( () => {
+				throw new Error( 'It should be rejected.' );
+			}, err => {
+				const record = eventTracer.records[ 0 ];
+
+				expect( err.message ).to.match( /foo/ );
+				expect( record.failed ).to.be.true;
+				expect( record.duration ).to.be.a( 'number' );
+				expect( record.callbacks[ 0 ].failed ).to.be.true;
+				expect( record.callbacks[ 0 ].duration ).to.be.a( 'number' );
+			} );
+		} );
+
+		it( 'should not mark the events with isolated errors as failed', () => {
+			emitter.isolateErrors( 'foo' );
+			emitter.on( 'listenerError', () => {} );
+			emitter.on( 'foo', () => {
+				throw new Error( 'foo' );
+			} );
+
+			emitter.fire( 'foo' );
+
+			expect( eventTracer.records[ 0 ].failed ).to.be.false;
+			expect( eventTracer.records[ 0 ].callbacks[ 0 ].failed ).to.be.false;
+		} );
+
+		it( 'should record delegated events separately', () => {
+			const emitterB = new Emitter();
+
+			emitter.delegate( 'foo' ).to( emitterB, 'bar' );
+			emitter.fire( 'foo' );
+
+			expect( eventTracer.records ).to.have.length( 2 );
+			expect( eventTracer.records[ 1 ].name ).to.equal( 'bar' );
+			expect( eventTracer.records[ 1 ].source ).to.equal( emitter );
+			expect( eventTracer.records[ 1 ].path ).to.deep.equal( [ emitter, emitterB ] );
+		} );
+
+		it( 'should record events fired asynchronously', () => {
+			emitter.on( 'foo', evt => {
+				return Promise.resolve().then( () => {
+					evt.return = 1;
+				} );
+			} );
+
+			return emitter.fireAsync( 'foo' ).then( () => {
+				expect( eventTracer.records ).to.have.length( 1 );
+				expect( eventTracer.records[ 0 ].return ).to.equal( 1 );
+				expect( eventTracer.records[ 0 ].callbacks ).to.have.length( 1 );
+				expect( eventTracer.records[ 0 ].callbacks[ 0 ].duration ).to.be.a( 'number' );
+			} );
+		} );
+	} );
+
+	describe( 'toJSON()', () => {
+		it( 'should return the serializable records', () => {
+			eventTracer.start();
+
+			emitter.on( 'foo', function fooCallback( evt ) {
+				evt.return = new Emitter();
+			}, { priority: 'low' } );
+
+			emitter.fire( 'foo' );
+
+			const json = JSON.parse( JSON.stringify( eventTracer ) );
+
+			expect( json ).to.have.length( 1 );
+			expect( json[ 0 ] ).to.include( {
+				name: 'foo',
+				source: 'Emitter',
+				stopped: false,
+				failed: false,
+				return: 'Emitter'
+			} );
+			expect( json[ 0 ].path ).to.deep.equal( [ 'Emitter' ] );
+			expect( json[ 0 ].callbacks ).to.have.length( 1 );
+			expect( json[ 0 ].callbacks[ 0 ] ).to.include( {
+				callback: 'fooCallback',
+				priority: -1000,
+				stopped: false,
+				failed: false
+			} );
+		} );
+	} );
+
+	describe( 'toTraceEvents()', () => {
+		it( 'should return the records in the trace event format', () => {
+			eventTracer.start();
+
+			emitter.on( 'foo', function fooCallback() {} );
+			emitter.fire( 'foo' );
+
+			const { traceEvents } = eventTracer.toTraceEvents();
+			const record = eventTracer.records[ 0 ];
+
+			expect( traceEvents ).to.have.length( 2 );
+			expect( traceEvents[ 0 ] ).to.include( {
+				name: 'foo',
+				cat: 'event',
+				ph: 'X',
+				ts: record.startTime * 1000,
+				dur: record.duration * 1000
+			} );
+			expect( traceEvents[ 0 ].args ).to.deep.equal( {
+				source: 'Emitter',
+				path: [ 'Emitter' ],
+				stopped: false,
+				failed: false,
+				return: undefined
+			} );
+			expect( traceEvents[ 1 ] ).to.include( {
+				name: 'fooCallback',
+				cat: 'callback',
+				ph: 'X'
+			} );
+			expect( traceEvents[ 1 ].args ).to.deep.equal( {
+				event: 'foo',
+				priority: 0,
+				stopped: false,
+				failed: false
+			} );
+		} );
+	} );
+} );
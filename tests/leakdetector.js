@@ -0,0 +1,202 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* global document */
+
+import leakDetector from '../src/leakdetector';
+import EmitterMixin from '../src/emittermixin';
+import DomEmitterMixin from '../src/dom/emittermixin';
+import FocusTracker from '../src/focustracker';
+import KeystrokeHandler from '../src/keystrokehandler';
+
+describe( 'leakDetector', () => {
+	let emitter, listener;
+
+	beforeEach( () => {
+		emitter = Object.create( EmitterMixin );
+		listener = Object.create( EmitterMixin );
+	} );
+
+	afterEach( () => {
+		leakDetector.stop();
+		leakDetector.clear();
+	} );
+
+	it( 'should be disabled by default', () => {
+		expect( leakDetector.isEnabled ).to.be.false;
+	} );
+
+	it( 'should not report callbacks registered while disabled', () => {
+		listener.listenTo( emitter, 'foo', () => {} );
+		leakDetector.markDestroyed( listener );
+
+		expect( leakDetector.getLeaks() ).to.deep.equal( [] );
+	} );
+
+	describe( 'when enabled', () => {
+		beforeEach( () => {
+			leakDetector.start();
+		} );
+
+		it( 'should report callbacks of destroyed owners which were not removed', () => {
+			const callback = () => {};
+
+			listener.listenTo( emitter, 'foo', callback );
+			leakDetector.markDestroyed( listener );
+
+			const leaks = leakDetector.getLeaks();
+
+			expect( leaks ).to.have.length( 1 );
+			expect( leaks[ 0 ] ).to.include( { owner: listener, emitter, event: 'foo', callback } );
+			expect( leaks[ 0 ].stack ).to.be.a( 'string' );
+		} );
+
+		it( 'should not report callbacks of owners which were not marked as destroyed', () => {
+			listener.listenTo( emitter, 'foo', () => {} );
+
+			expect( leakDetector.getLeaks() ).to.deep.equal( [] );
+		} );
+
+		it( 'should not report callbacks removed using stopListening()', () => {
+			const callback = () => {};
+
+			listener.listenTo( emitter, 'foo', callback );
+			listener.listenTo( emitter, 'bar', () => {} );
+			listener.stopListening( emitter, 'foo', callback );
+			leakDetector.markDestroyed( listener );
+
+			expect( leakDetector.getLeaks().map( leak => leak.event ) ).to.deep.equal( [ 'bar' ] );
+
+			listener.stopListening();
+
+			expect( leakDetector.getLeaks() ).to.deep.equal( [] );
+		} );
+
+		it( 'should report only the callbacks registered by the destroyed owner', () => {
+			const callback = () => {};
+
+			listener.listenTo( emitter, 'foo', callback );
+			emitter.on( 'foo', callback );
+			listener.stopListening();
+			leakDetector.markDestroyed( listener );
+
+			expect( leakDetector.getLeaks() ).to.deep.equal( [] );
+		} );
+
+		it( 'should report callbacks registered for event patterns', () => {
+			listener.listenTo( emitter, 'change:*', () => {} );
+			listener.listenTo( emitter, /^set/, () => {} );
+			leakDetector.markDestroyed( listener );
+
+			expect( leakDetector.getLeaks().map( leak => leak.event ) ).to.deep.equal( [ 'change:*', /^set/ ] );
+
+			listener.stopListening();
+
+			expect( leakDetector.getLeaks() ).to.deep.equal( [] );
+		} );
+
+		it( 'should report DOM Nodes listened to by DOM emitters', () => {
+			const domListener = Object.create( DomEmitterMixin );
+			const node = document.createElement( 'div' );
+
+			domListener.listenTo( node, 'click', () => {} );
+			leakDetector.markDestroyed( domListener );
+
+			const leaks = leakDetector.getLeaks();
+
+			expect( leaks ).to.have.length( 1 );
+			expect( leaks[ 0 ].emitter ).to.equal( node );
+
+			domListener.stopListening();
+
+			expect( leakDetector.getLeaks() ).to.deep.equal( [] );
+		} );
+
+		it( 'should not keep references to destroyed owners which do not leak', () => {
+			const otherListener = Object.create( EmitterMixin );
+
+			listener.listenTo( emitter, 'foo', () => {} );
+			otherListener.listenTo( emitter, 'foo', () => {} );
+			otherListener.stopListening();
+
+			leakDetector.markDestroyed( listener );
+			leakDetector.markDestroyed( otherListener );
+
+			expect( Array.from( leakDetector._leakingOwners ) ).to.deep.equal( [ listener ] );
+
+			listener.stopListening();
+
+			expect( leakDetector.getLeaks() ).to.deep.equal( [] );
+			expect( leakDetector._leakingOwners.size ).to.equal( 0 );
+			expect( leakDetector._destroyed.has( listener ) ).to.be.true;
+		} );
+
+		it( 'should forget the registrations of removed callbacks', () => {
+			const callback = () => {};
+
+			listener.listenTo( emitter, 'foo', callback );
+			listener.listenTo( emitter, 'bar', callback );
+			listener.listenTo( emitter, 'change:*', callback );
+			listener.listenTo( emitter, 'baz', evt => evt.off() );
+
+			expect( leakDetector._registrations.get( listener ) ).to.have.length( 4 );
+
+			listener.stopListening( emitter, 'foo', callback );
+			emitter.fire( 'baz' );
+
+			expect( leakDetector._registrations.get( listener ).map( registration => registration.event ) )
+				.to.deep.equal( [ 'bar', 'change:*' ] );
+
+			leakDetector.stop();
+			listener.stopListening();
+
+			expect( leakDetector._registrations.get( listener ) ).to.deep.equal( [] );
+		} );
+
+		it( 'should keep reporting leaks after it was stopped', () => {
+			listener.listenTo( emitter, 'foo', () => {} );
+			leakDetector.stop();
+			leakDetector.markDestroyed( listener );
+
+			expect( leakDetector.getLeaks() ).to.have.length( 1 );
+		} );
+
+		it( 'should mark FocusTracker as destroyed on destroy()', () => {
+			const focusTracker = new FocusTracker();
+
+			focusTracker.add( document.createElement( 'div' ) );
+			focusTracker.destroy();
+
+			expect( leakDetector._destroyed.has( focusTracker ) ).to.be.true;
+			expect( leakDetector.getLeaks() ).to.deep.equal( [] );
+		} );
+
+		it( 'should mark the listener of KeystrokeHandler as destroyed on destroy()', () => {
+			const keystrokes = new KeystrokeHandler();
+
+			keystrokes.listenTo( emitter );
+			keystrokes.destroy();
+
+			expect( leakDetector._destroyed.has( keystrokes._listener ) ).to.be.true;
+			expect( leakDetector.getLeaks() ).to.deep.equal( [] );
+		} );
+	} );
+
+	describe( 'clear()', () => {
+		it( 'should forget the registrations and destroyed owners', () => {
+			leakDetector.start();
+
+			listener.listenTo( emitter, 'foo', () => {} );
+			leakDetector.markDestroyed( listener );
+			leakDetector.clear();
+
+			expect( leakDetector.getLeaks() ).to.deep.equal( [] );
+
+			leakDetector.markDestroyed( listener );
+
+			expect( leakDetector.getLeaks() ).to.deep.equal( [] );
+		} );
+	} );
+} );
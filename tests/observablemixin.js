@@ -3,6 +3,8 @@
  * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
  */
 
+/* globals setTimeout */
+
 import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils';
 import { assertBinding, expectToThrowCKEditorError } from '../tests/_utils/utils';
 import ObservableMixin from '../src/observablemixin';
@@ -21,8 +23,8 @@ describe( 'ObservableMixin', () => {
 		expect( ObservableMixin ).to.have.property( 'on', EmitterMixin.on );
 	} );
 
-	it( 'implements set, bind, and unbind methods', () => {
-		expect( ObservableMixin ).to.contain.keys( 'set', 'bind', 'unbind' );
+	it( 'implements set, bind, bindBidirectional, unbind, compute and batch methods', () => {
+		expect( ObservableMixin ).to.contain.keys( 'set', 'bind', 'bindBidirectional', 'unbind', 'compute', 'batch' );
 	} );
 } );
 
@@ -255,6 +257,162 @@ describe( 'Observable', () => {
 			sinon.assert.calledTwice( spy );
 			expect( car ).to.have.property( 'seats', 5 );
 		} );
+
+		describe( 'options', () => {
+			it( 'should not keep the options of the rejected value', () => {
+				car.set( 'seats', 5 );
+
+				expectToThrowCKEditorError( () => {
+					car.set( 'seats', 6, { validate: value => value > 10 } );
+				}, /^observable-set-invalid-value/ );
+
+				car.seats = 7;
+
+				expect( car.seats ).to.equal( 7 );
+
+				car.set( 'doors', 4, { validate: value => value > 2 } );
+
+				expectToThrowCKEditorError( () => {
+					car.set( 'doors', 5, { validate: value => value > 10 } );
+				}, /^observable-set-invalid-value/ );
+
+				expectToThrowCKEditorError( () => {
+					car.doors = 1;
+				}, /^observable-set-invalid-value/ );
+
+				car.doors = 6;
+
+				expect( car.doors ).to.equal( 6 );
+			} );
+
+			it( 'should coerce the initial value', () => {
+				car.set( 'seats', '5', { coerce: Number } );
+
+				expect( car.seats ).to.equal( 5 );
+			} );
+
+			it( 'should coerce the values', () => {
+				car.set( 'seats', 5, { coerce: Number } );
+				car.seats = '2';
+
+				expect( car.seats ).to.equal( 2 );
+			} );
+
+			it( 'should validate the values', () => {
+				car.set( 'seats', 5, { validate: value => value > 0 } );
+
+				expectToThrowCKEditorError( () => {
+					car.seats = -1;
+				}, /observable-set-invalid-value/, car, { propertyName: 'seats', value: -1 } );
+
+				expect( car.seats ).to.equal( 5 );
+			} );
+
+			it( 'should validate the coerced value', () => {
+				const validate = sinon.spy( value => value > 0 );
+
+				car.set( 'seats', '5', { coerce: Number, validate } );
+
+				sinon.assert.calledWithExactly( validate, 5 );
+			} );
+
+			it( 'should execute the functions in the context of the observable', () => {
+				const coerce = sinon.spy( value => value );
+				const validate = sinon.spy( () => true );
+
+				car.set( 'seats', 5, { coerce, validate } );
+
+				sinon.assert.calledOn( coerce, car );
+				sinon.assert.calledOn( validate, car );
+			} );
+
+			it( 'should process the value returned by the set event listeners', () => {
+				car.set( 'seats', 5, { coerce: Number } );
+				car.on( 'set:seats', evt => {
+					evt.return = '3';
+				} );
+
+				car.seats = 1;
+
+				expect( car.seats ).to.equal( 3 );
+			} );
+
+			it( 'should not fire change event when the value is rejected', () => {
+				const spy = sinon.spy();
+
+				car.set( 'seats', 5, { validate: value => value > 0 } );
+				car.on( 'change:seats', spy );
+
+				expect( () => {
+					car.seats = 0;
+				} ).to.throw();
+
+				sinon.assert.notCalled( spy );
+			} );
+
+			it( 'should not fire change event when the coerced value is the same', () => {
+				const spy = sinon.spy();
+
+				car.set( 'seats', 5, { coerce: Number } );
+				car.on( 'change:seats', spy );
+
+				car.seats = '5';
+
+				sinon.assert.notCalled( spy );
+			} );
+
+			it( 'should not create the property when the initial value is rejected', () => {
+				expectToThrowCKEditorError( () => {
+					car.set( 'seats', 0, { validate: value => value > 0 } );
+				}, /observable-set-invalid-value/, car );
+
+				expect( car ).to.not.have.property( 'seats' );
+
+				car.set( 'seats', 0 );
+
+				expect( car.seats ).to.equal( 0 );
+			} );
+
+			it( 'should keep the options when the property is set again', () => {
+				car.set( 'seats', 5, { coerce: Number } );
+				car.set( 'seats', '2' );
+
+				expect( car.seats ).to.equal( 2 );
+			} );
+
+			it( 'should replace the options', () => {
+				car.set( 'seats', 5, { coerce: Number } );
+				car.set( 'seats', 2, { coerce: String } );
+
+				car.seats = 3;
+
+				expect( car.seats ).to.equal( '3' );
+			} );
+
+			it( 'should accept a schema when setting multiple properties', () => {
+				car.set( { seats: '5', wheels: 4 }, {
+					seats: { coerce: Number },
+					wheels: { validate: value => value == 4 }
+				} );
+
+				expect( car.seats ).to.equal( 5 );
+
+				expectToThrowCKEditorError( () => {
+					car.wheels = 3;
+				}, /observable-set-invalid-value/, car, { propertyName: 'wheels', value: 3 } );
+			} );
+
+			it( 'should validate the values of bound properties', () => {
+				const vehicle = new Car();
+
+				vehicle.set( 'year', 2000, { validate: value => value >= 2000 } );
+				vehicle.bind( 'year' ).to( car );
+
+				expectToThrowCKEditorError( () => {
+					car.year = 1969;
+				}, /observable-set-invalid-value/, vehicle );
+			} );
+		} );
 	} );
 
 	describe( 'bind()', () => {
@@ -949,111 +1107,1197 @@ describe( 'Observable', () => {
 		} );
 	} );
 
-	describe( 'decorate()', () => {
-		it( 'makes the method fire an event', () => {
+	describe( 'compute()', () => {
+		let vehicle;
+
+		beforeEach( () => {
+			vehicle = new Car();
+		} );
+
+		it( 'should set the computed value', () => {
+			vehicle.compute( 'description', () => car.color + ' ' + car.year );
+
+			expect( vehicle.description ).to.equal( 'red 2015' );
+		} );
+
+		it( 'should execute the callback in the context of the observable', () => {
+			vehicle.set( 'wheels', 4 );
+			vehicle.compute( 'axles', function() {
+				return this.wheels / 2;
+			} );
+
+			expect( vehicle.axles ).to.equal( 2 );
+		} );
+
+		it( 'should fire change event on creation', () => {
 			const spy = sinon.spy();
 
-			class Foo extends Observable {
-				method() {}
-			}
+			vehicle.on( 'change:description', spy );
+			vehicle.compute( 'description', () => car.color );
 
-			const foo = new Foo();
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, sinon.match.instanceOf( EventInfo ), 'description', 'red', undefined );
+		} );
 
-			foo.decorate( 'method' );
+		it( 'should update the value when a dependency changes', () => {
+			vehicle.compute( 'description', () => car.color + ' ' + car.year );
 
-			foo.on( 'method', spy );
+			car.color = 'blue';
+			expect( vehicle.description ).to.equal( 'blue 2015' );
 
-			foo.method( 1, 2 );
+			car.year = 1969;
+			expect( vehicle.description ).to.equal( 'blue 1969' );
+		} );
 
-			expect( spy.calledOnce ).to.be.true;
-			expect( spy.args[ 0 ][ 1 ] ).to.deep.equal( [ 1, 2 ] );
+		it( 'should fire change event when the computed value changes', () => {
+			const spy = sinon.spy();
+
+			vehicle.compute( 'description', () => car.color + ' ' + car.year );
+			vehicle.on( 'change:description', spy );
+
+			car.color = 'blue';
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, sinon.match.instanceOf( EventInfo ), 'description', 'blue 2015', 'red 2015' );
 		} );
 
-		it( 'executes the original method in a listener with the default priority', () => {
-			const calls = [];
+		it( 'should not fire change event when the computed value does not change', () => {
+			const spy = sinon.spy();
 
-			class Foo extends Observable {
-				method() {
-					calls.push( 'original' );
-				}
-			}
+			vehicle.compute( 'isOld', () => car.year < 2000 );
+			vehicle.on( 'change:isOld', spy );
 
-			const foo = new Foo();
+			car.year = 2018;
 
-			foo.decorate( 'method' );
+			sinon.assert.notCalled( spy );
+		} );
 
-			foo.on( 'method', () => calls.push( 'high' ), { priority: 'high' } );
-			foo.on( 'method', () => calls.push( 'low' ), { priority: 'low' } );
+		it( 'should notify generic change listeners (bindings)', () => {
+			const other = new Car();
 
-			foo.method();
+			vehicle.compute( 'description', () => car.color );
+			other.bind( 'description' ).to( vehicle );
 
-			expect( calls ).to.deep.equal( [ 'high', 'original', 'low' ] );
+			car.color = 'blue';
+
+			expect( other.description ).to.equal( 'blue' );
 		} );
 
-		it( 'supports overriding return values', () => {
-			class Foo extends Observable {
-				method() {
-					return 1;
-				}
-			}
+		it( 'should re-evaluate lazily when nothing observes the property', () => {
+			const callback = sinon.spy( () => car.color + ' ' + car.year );
 
-			const foo = new Foo();
+			vehicle.compute( 'description', callback );
+			sinon.assert.calledOnce( callback );
 
-			foo.decorate( 'method' );
+			car.color = 'blue';
+			car.year = 1969;
+			sinon.assert.calledOnce( callback );
 
-			foo.on( 'method', evt => {
-				expect( evt.return ).to.equal( 1 );
+			expect( vehicle.description ).to.equal( 'blue 1969' );
+			expect( vehicle.description ).to.equal( 'blue 1969' );
+			sinon.assert.calledTwice( callback );
+		} );
 
-				evt.return = 2;
-			} );
+		it( 'should re-evaluate eagerly when the change event is delegated', () => {
+			const callback = sinon.spy( () => car.color );
 
-			expect( foo.method() ).to.equal( 2 );
+			vehicle.compute( 'description', callback );
+			vehicle.delegate( 'change:description' ).to( new Car() );
+
+			car.color = 'blue';
+			sinon.assert.calledTwice( callback );
 		} );
 
-		it( 'supports overriding arguments', () => {
-			class Foo extends Observable {
-				method( a ) {
-					expect( a ).to.equal( 2 );
-				}
-			}
+		it( 'should re-evaluate lazily when the delegation is stopped', () => {
+			const callback = sinon.spy( () => car.color );
+			const other = new Car();
 
-			const foo = new Foo();
+			vehicle.compute( 'description', callback );
+			vehicle.delegate( 'change:description', 'change:color' ).to( other );
+			vehicle.stopDelegating();
 
-			foo.decorate( 'method' );
+			car.color = 'blue';
+			sinon.assert.calledOnce( callback );
 
-			foo.on( 'method', ( evt, args ) => {
-				args[ 0 ] = 2;
-			}, { priority: 'high' } );
+			vehicle.delegate( '*' ).to( other );
+			vehicle.stopDelegating( '*', other );
 
-			foo.method( 1 );
+			car.color = 'green';
+			sinon.assert.calledOnce( callback );
 		} );
 
-		it( 'supports stopping the event (which prevents execution of the orignal method', () => {
-			class Foo extends Observable {
-				method() {
-					throw new Error( 'this should not be executed' );
-				}
-			}
+		it( 'should track dependencies read conditionally', () => {
+			const callback = sinon.spy( () => car.color == 'red' ? car.year : car.seats );
 
-			const foo = new Foo();
+			car.set( 'seats', 5 );
+			vehicle.compute( 'value', callback );
+			vehicle.on( 'change:value', () => {} );
 
-			foo.decorate( 'method' );
+			car.seats = 2;
+			sinon.assert.calledOnce( callback );
+			expect( vehicle.value ).to.equal( 2015 );
 
-			foo.on( 'method', evt => {
-				evt.stop();
-			}, { priority: 'high' } );
+			car.color = 'blue';
+			expect( vehicle.value ).to.equal( 2 );
 
-			foo.method();
+			car.year = 1969;
+			sinon.assert.calledTwice( callback );
+
+			car.seats = 4;
+			sinon.assert.calledThrice( callback );
+			expect( vehicle.value ).to.equal( 4 );
 		} );
 
-		it( 'throws when trying to decorate non existing method', () => {
-			class Foo extends Observable {}
+		it( 'should depend on other computed properties', () => {
+			const spy = sinon.spy();
 
-			const foo = new Foo();
+			vehicle.compute( 'isRed', () => car.color == 'red' );
+			vehicle.compute( 'label', () => vehicle.isRed ? 'Red car' : 'Car' );
+			vehicle.on( 'change:label', spy );
+
+			car.color = 'blue';
+
+			expect( vehicle.label ).to.equal( 'Car' );
+			sinon.assert.calledOnce( spy );
+		} );
+
+		it( 'should depend on bound properties', () => {
+			vehicle.bind( 'color' ).to( car );
+			vehicle.compute( 'label', () => vehicle.color + ' car' );
+
+			car.color = 'blue';
+
+			expect( vehicle.label ).to.equal( 'blue car' );
+		} );
+
+		it( 'should not record properties read by change listeners as dependencies', () => {
+			const other = new Car( { color: 'green' } );
+			const callback = sinon.spy( () => car.color );
+
+			vehicle.on( 'change:description', () => other.color );
+			vehicle.compute( 'description', callback );
+
+			other.color = 'yellow';
+
+			sinon.assert.calledOnce( callback );
+		} );
+
+		it( 'should throw when the property is set', () => {
+			vehicle.compute( 'description', () => car.color );
 
 			expectToThrowCKEditorError( () => {
-				foo.decorate( 'method' );
-			}, /^observablemixin-cannot-decorate-undefined:/ );
+				vehicle.description = 'foo';
+			}, /observable-computed-property-readonly/, vehicle, { propertyName: 'description' } );
+
+			expectToThrowCKEditorError( () => {
+				vehicle.set( 'description', 'foo' );
+			}, /observable-computed-property-readonly/, vehicle, { propertyName: 'description' } );
+		} );
+
+		it( 'should throw when overriding an existing property', () => {
+			vehicle.foo = 1;
+
+			expectToThrowCKEditorError( () => {
+				vehicle.compute( 'foo', () => car.color );
+			}, /observable-set-cannot-override/, vehicle );
+		} );
+
+		it( 'should turn an observable property into a computed one', () => {
+			vehicle.set( 'color', 'green' );
+			vehicle.compute( 'color', () => car.color );
+
+			expect( vehicle.color ).to.equal( 'red' );
+		} );
+
+		it( 'should throw when the property is bound or already computed', () => {
+			vehicle.bind( 'color' ).to( car );
+			vehicle.compute( 'description', () => car.color );
+
+			expectToThrowCKEditorError( () => {
+				vehicle.compute( 'color', () => car.color );
+			}, /observable-bind-rebind/, vehicle );
+
+			expectToThrowCKEditorError( () => {
+				vehicle.compute( 'description', () => car.color );
+			}, /observable-bind-rebind/, vehicle );
+
+			expectToThrowCKEditorError( () => {
+				vehicle.bind( 'description' ).to( car, 'color' );
+			}, /observable-bind-rebind/, vehicle );
+		} );
+
+		it( 'should throw when the callback reads the property', () => {
+			expectToThrowCKEditorError( () => {
+				vehicle.compute( 'a', () => vehicle.a + 1 );
+			}, /observable-compute-circular-dependency/, vehicle, { propertyName: 'a' } );
+		} );
+
+		it( 'should throw on circular dependencies', () => {
+			vehicle.set( 'isCircular', false );
+			vehicle.compute( 'a', () => vehicle.isCircular ? vehicle.b : 1 );
+			vehicle.compute( 'b', () => vehicle.a + 1 );
+
+			expectToThrowCKEditorError( () => {
+				vehicle.isCircular = true;
+				vehicle.b; // eslint-disable-line no-unused-expressions
+			}, /observable-compute-circular-dependency/, vehicle );
+		} );
+
+		describe( 'unbind()', () => {
+			it( 'should release a computed property', () => {
+				vehicle.compute( 'description', () => car.color );
+				vehicle.unbind( 'description' );
+
+				car.color = 'blue';
+				expect( vehicle.description ).to.equal( 'red' );
+
+				vehicle.description = 'green';
+				expect( vehicle.description ).to.equal( 'green' );
+			} );
+
+			it( 'should release all computed properties', () => {
+				vehicle.compute( 'description', () => car.color );
+				vehicle.compute( 'age', () => 2020 - car.year );
+				vehicle.unbind();
+
+				car.set( { color: 'blue', year: 1969 } );
+
+				expect( vehicle.description ).to.equal( 'red' );
+				expect( vehicle.age ).to.equal( 5 );
+			} );
+
+			it( 'should keep the up-to-date value of a stale property', () => {
+				vehicle.compute( 'description', () => car.color );
+
+				car.color = 'blue';
+				vehicle.unbind( 'description' );
+
+				expect( vehicle.description ).to.equal( 'blue' );
+			} );
+
+			it( 'should stop listening to the dependencies', () => {
+				vehicle.compute( 'description', () => car.color );
+				vehicle.unbind( 'description' );
+
+				expect( car.getListeners( 'change:color' ) ).to.deep.equal( [] );
+			} );
+		} );
+	} );
+
+	describe( 'batch()', () => {
+		it( 'should return the value returned by the callback', () => {
+			expect( car.batch( () => 'foo' ) ).to.equal( 'foo' );
+		} );
+
+		it( 'should execute the callback in the context of the observable', () => {
+			const spy = sinon.spy();
+
+			car.batch( spy );
+
+			sinon.assert.calledOn( spy, car );
+		} );
+
+		it( 'should defer change events until the batch ends', () => {
+			const spy = sinon.spy();
+
+			car.on( 'change', spy );
+
+			car.batch( () => {
+				car.color = 'blue';
+				car.year = 1969;
+
+				expect( car.color ).to.equal( 'blue' );
+				expect( car.year ).to.equal( 1969 );
+				sinon.assert.notCalled( spy );
+			} );
+
+			sinon.assert.calledTwice( spy );
+			sinon.assert.calledWithExactly( spy.firstCall, sinon.match.instanceOf( EventInfo ), 'color', 'blue', 'red' );
+			sinon.assert.calledWithExactly( spy.secondCall, sinon.match.instanceOf( EventInfo ), 'year', 1969, 2015 );
+		} );
+
+		it( 'should not defer set events', () => {
+			const spy = sinon.spy();
+
+			car.on( 'set:color', spy );
+
+			car.batch( () => {
+				car.color = 'blue';
+
+				sinon.assert.calledOnce( spy );
+			} );
+		} );
+
+		it( 'should coalesce changes of the same property', () => {
+			const spy = sinon.spy();
+
+			car.on( 'change:color', spy );
+
+			car.batch( () => {
+				car.color = 'blue';
+				car.color = 'green';
+			} );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, sinon.match.instanceOf( EventInfo ), 'color', 'green', 'red' );
+		} );
+
+		it( 'should fire events in the order in which the properties were first changed', () => {
+			const spy = sinon.spy();
+
+			car.on( 'change', ( evt, name ) => spy( name ) );
+
+			car.batch( () => {
+				car.year = 1969;
+				car.color = 'blue';
+				car.year = 1970;
+			} );
+
+			expect( spy.args ).to.deep.equal( [ [ 'year' ], [ 'color' ] ] );
+		} );
+
+		it( 'should not fire change event for a property which got its original value back', () => {
+			const spy = sinon.spy();
+
+			car.on( 'change:color', spy );
+
+			car.batch( () => {
+				car.color = 'blue';
+				car.color = 'red';
+			} );
+
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should fire change event for properties created in the batch', () => {
+			const spy = sinon.spy();
+
+			car.on( 'change:wheels', spy );
+
+			car.batch( () => {
+				car.set( 'wheels', undefined );
+			} );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, sinon.match.instanceOf( EventInfo ), 'wheels', undefined, undefined );
+		} );
+
+		it( 'should fire events when the outermost batch ends', () => {
+			const spy = sinon.spy();
+
+			car.on( 'change', spy );
+
+			car.batch( () => {
+				car.batch( () => {
+					car.color = 'blue';
+				} );
+
+				sinon.assert.notCalled( spy );
+
+				car.year = 1969;
+			} );
+
+			sinon.assert.calledTwice( spy );
+		} );
+
+		it( 'should fire events when the callback throws', () => {
+			const spy = sinon.spy();
+			const error = new Error( 'foo' );
+
+			car.on( 'change:color', spy );
+
+			expect( () => {
+				car.batch( () => {
+					car.color = 'blue';
+
+					throw error;
+				} );
+			} ).to.throw( error );
+
+			sinon.assert.calledOnce( spy );
+
+			car.color = 'green';
+
+			sinon.assert.calledTwice( spy );
+		} );
+
+		it( 'should fire changes made by the listeners immediately', () => {
+			const spy = sinon.spy();
+
+			car.on( 'change:color', () => {
+				car.year = 1969;
+			} );
+			car.on( 'change:year', spy );
+
+			car.batch( () => {
+				car.color = 'blue';
+			} );
+
+			sinon.assert.calledOnce( spy );
+		} );
+
+		it( 'should update bound properties when the batch ends', () => {
+			const vehicle = new Car();
+
+			vehicle.bind( 'color' ).to( car );
+
+			car.batch( () => {
+				car.color = 'blue';
+
+				expect( vehicle.color ).to.equal( 'red' );
+			} );
+
+			expect( vehicle.color ).to.equal( 'blue' );
+		} );
+
+		it( 'should defer change events of computed properties', () => {
+			const vehicle = new Car( { color: 'red' } );
+			const spy = sinon.spy();
+
+			car.compute( 'description', () => vehicle.color );
+			car.on( 'change:description', spy );
+
+			car.batch( () => {
+				vehicle.color = 'blue';
+				vehicle.color = 'green';
+
+				sinon.assert.notCalled( spy );
+			} );
+
+			sinon.assert.calledOnce( spy );
+			sinon.assert.calledWithExactly( spy, sinon.match.instanceOf( EventInfo ), 'description', 'green', 'red' );
+		} );
+
+		it( 'should not affect other observables', () => {
+			const vehicle = new Car( { color: 'red' } );
+			const spy = sinon.spy();
+
+			vehicle.on( 'change:color', spy );
+
+			car.batch( () => {
+				vehicle.color = 'blue';
+
+				sinon.assert.calledOnce( spy );
+			} );
+		} );
+	} );
+
+	describe( 'bindBidirectional()', () => {
+		let vehicle;
+
+		beforeEach( () => {
+			vehicle = new Car();
+		} );
+
+		it( 'should return a chain with the with() method', () => {
+			expect( vehicle.bindBidirectional( 'color' ).with ).to.be.a( 'function' );
+		} );
+
+		it( 'should throw when the property is not a string', () => {
+			expectToThrowCKEditorError( () => {
+				vehicle.bindBidirectional( 1 );
+			}, /observable-bind-wrong-properties/, vehicle );
+		} );
+
+		it( 'should throw when the property is already bound', () => {
+			vehicle.bind( 'color' ).to( car );
+
+			expectToThrowCKEditorError( () => {
+				vehicle.bindBidirectional( 'color' );
+			}, /observable-bind-rebind/, vehicle );
+		} );
+
+		it( 'should prevent binding the property with bind() afterwards', () => {
+			vehicle.bindBidirectional( 'color' ).with( car );
+
+			expectToThrowCKEditorError( () => {
+				vehicle.bind( 'color' ).to( car );
+			}, /observable-bind-rebind/, vehicle );
+		} );
+
+		describe( 'with()', () => {
+			it( 'should throw when the arguments are invalid', () => {
+				expectToThrowCKEditorError( () => {
+					vehicle.bindBidirectional( 'color' ).with();
+				}, /observable-bind-with-parse-error/, vehicle );
+
+				expectToThrowCKEditorError( () => {
+					vehicle.bindBidirectional( 'color' ).with( car, 1 );
+				}, /observable-bind-with-parse-error/, vehicle );
+			} );
+
+			it( 'should set the initial value', () => {
+				vehicle.bindBidirectional( 'color' ).with( car );
+
+				expect( vehicle.color ).to.equal( 'red' );
+			} );
+
+			it( 'should update the initial value of an existing property', () => {
+				vehicle.set( 'paint', 'green' );
+				vehicle.bindBidirectional( 'paint' ).with( car, 'color' );
+
+				expect( vehicle.paint ).to.equal( 'red' );
+			} );
+
+			it( 'should synchronize the properties in both directions', () => {
+				vehicle.bindBidirectional( 'paint' ).with( car, 'color' );
+
+				car.color = 'blue';
+				expect( vehicle.paint ).to.equal( 'blue' );
+
+				vehicle.paint = 'green';
+				expect( car.color ).to.equal( 'green' );
+			} );
+
+			it( 'should use the converters', () => {
+				vehicle.bindBidirectional( 'age' ).with( car, 'year', {
+					forward: age => 2020 - age,
+					backward: year => 2020 - year
+				} );
+
+				expect( vehicle.age ).to.equal( 5 );
+
+				vehicle.age = 51;
+				expect( car.year ).to.equal( 1969 );
+
+				car.year = 2019;
+				expect( vehicle.age ).to.equal( 1 );
+			} );
+
+			it( 'should execute the converters in the context of the observable', () => {
+				const forward = sinon.spy();
+				const backward = sinon.spy();
+
+				vehicle.bindBidirectional( 'color' ).with( car, { forward, backward } );
+				vehicle.color = 'blue';
+
+				sinon.assert.calledOn( forward, vehicle );
+				sinon.assert.calledOn( backward, vehicle );
+			} );
+
+			it( 'should not synchronize the updated property back', () => {
+				const forward = sinon.spy( value => parseFloat( value ) );
+				const backward = sinon.spy( value => String( value ) );
+
+				car.set( 'width', 1 );
+				vehicle.bindBidirectional( 'width' ).with( car, 'width', { forward, backward } );
+
+				vehicle.width = '1.50';
+
+				expect( car.width ).to.equal( 1.5 );
+				expect( vehicle.width ).to.equal( '1.50' );
+				sinon.assert.calledOnce( forward );
+				// Only for the initial value.
+				sinon.assert.calledOnce( backward );
+			} );
+
+			it( 'should fire change events on both sides', () => {
+				const spy = sinon.spy();
+				const toSpy = sinon.spy();
+
+				vehicle.bindBidirectional( 'color' ).with( car );
+				vehicle.on( 'change:color', spy );
+				car.on( 'change:color', toSpy );
+
+				vehicle.color = 'blue';
+
+				sinon.assert.calledOnce( spy );
+				sinon.assert.calledOnce( toSpy );
+			} );
+
+			it( 'should work with one-way bindings of the other property', () => {
+				const other = new Car();
+
+				vehicle.bindBidirectional( 'color' ).with( car );
+				other.bind( 'color' ).to( car );
+
+				vehicle.color = 'blue';
+
+				expect( other.color ).to.equal( 'blue' );
+			} );
+		} );
+
+		describe( 'unbind()', () => {
+			it( 'should release the binding in both directions', () => {
+				vehicle.bindBidirectional( 'color' ).with( car );
+				vehicle.unbind( 'color' );
+
+				car.color = 'blue';
+				expect( vehicle.color ).to.equal( 'red' );
+
+				vehicle.color = 'green';
+				expect( car.color ).to.equal( 'blue' );
+			} );
+
+			it( 'should release all bindings', () => {
+				vehicle.bindBidirectional( 'color' ).with( car );
+				vehicle.bindBidirectional( 'year' ).with( car );
+				vehicle.unbind();
+
+				vehicle.set( { color: 'green', year: 1969 } );
+
+				expect( car.color ).to.equal( 'red' );
+				expect( car.year ).to.equal( 2015 );
+			} );
+
+			it( 'should allow binding the property again', () => {
+				vehicle.bindBidirectional( 'color' ).with( car );
+				vehicle.unbind( 'color' );
+
+				expect( () => vehicle.bind( 'color' ).to( car ) ).to.not.throw();
+			} );
+		} );
+	} );
+
+	describe( 'getObservableState()', () => {
+		it( 'should return an empty object for a fresh observable', () => {
+			expect( new Observable().getObservableState() ).to.deep.equal( {} );
+		} );
+
+		it( 'should return the values of all observable properties', () => {
+			car.nonObservable = true;
+
+			expect( car.getObservableState() ).to.deep.equal( { color: 'red', year: 2015 } );
+		} );
+
+		it( 'should return a new object', () => {
+			const state = car.getObservableState();
+
+			state.color = 'blue';
+
+			expect( car.color ).to.equal( 'red' );
+			expect( car.getObservableState() ).to.not.equal( state );
+		} );
+
+		it( 'should include bound and computed properties by default', () => {
+			const vehicle = new Car( { seats: 5 } );
+
+			vehicle.bind( 'color' ).to( car );
+			vehicle.compute( 'age', () => 2020 - car.year );
+
+			expect( vehicle.getObservableState() ).to.deep.equal( { seats: 5, color: 'red', age: 5 } );
+		} );
+
+		it( 'should return the up-to-date values of computed properties which are not observed', () => {
+			const vehicle = new Car( { seats: 5 } );
+
+			vehicle.compute( 'age', () => 2020 - car.year );
+
+			car.year = 2010;
+
+			expect( vehicle.getObservableState() ).to.deep.equal( { seats: 5, age: 10 } );
+		} );
+
+		it( 'should skip bound and computed properties', () => {
+			const vehicle = new Car( { seats: 5 } );
+
+			vehicle.bind( 'color' ).to( car );
+			vehicle.bindBidirectional( 'year' ).with( car );
+			vehicle.compute( 'age', () => 2020 - car.year );
+
+			expect( vehicle.getObservableState( { skipBound: true } ) ).to.deep.equal( { seats: 5 } );
+		} );
+	} );
+
+	describe( 'setObservableState()', () => {
+		it( 'should set the values of existing properties', () => {
+			car.setObservableState( { color: 'blue', year: 1969 } );
+
+			expect( car.color ).to.equal( 'blue' );
+			expect( car.year ).to.equal( 1969 );
+		} );
+
+		it( 'should create missing properties', () => {
+			const vehicle = new Observable();
+
+			vehicle.setObservableState( { color: 'blue' } );
+
+			expect( vehicle.getObservableState() ).to.deep.equal( { color: 'blue' } );
+		} );
+
+		it( 'should restore the state returned by getObservableState()', () => {
+			const vehicle = new Car();
+
+			vehicle.setObservableState( car.getObservableState() );
+
+			expect( vehicle.getObservableState() ).to.deep.equal( { color: 'red', year: 2015 } );
+		} );
+
+		it( 'should fire change events once all properties were set', () => {
+			const spy = sinon.spy( () => {
+				expect( car.color ).to.equal( 'blue' );
+				expect( car.year ).to.equal( 1969 );
+			} );
+
+			car.on( 'change', spy );
+			car.setObservableState( { color: 'blue', year: 1969 } );
+
+			sinon.assert.calledTwice( spy );
+		} );
+
+		it( 'should skip computed properties', () => {
+			const vehicle = new Car();
+
+			vehicle.compute( 'age', () => 2020 - car.year );
+			vehicle.setObservableState( { age: 1, color: 'blue' } );
+
+			expect( vehicle.age ).to.equal( 5 );
+			expect( vehicle.color ).to.equal( 'blue' );
+		} );
+
+		it( 'should set bound properties by default', () => {
+			const vehicle = new Car();
+
+			vehicle.bind( 'color' ).to( car );
+			vehicle.setObservableState( { color: 'blue' } );
+
+			expect( vehicle.color ).to.equal( 'blue' );
+		} );
+
+		it( 'should skip bound properties', () => {
+			const vehicle = new Car();
+
+			vehicle.bind( 'color' ).to( car );
+			vehicle.bindBidirectional( 'year' ).with( car );
+			vehicle.setObservableState( { color: 'blue', year: 1969, seats: 5 }, { skipBound: true } );
+
+			expect( vehicle.color ).to.equal( 'red' );
+			expect( vehicle.year ).to.equal( 2015 );
+			expect( car.year ).to.equal( 2015 );
+			expect( vehicle.seats ).to.equal( 5 );
+		} );
+	} );
+
+	describe( 'decorate()', () => {
+		it( 'makes the method fire an event', () => {
+			const spy = sinon.spy();
+
+			class Foo extends Observable {
+				method() {}
+			}
+
+			const foo = new Foo();
+
+			foo.decorate( 'method' );
+
+			foo.on( 'method', spy );
+
+			foo.method( 1, 2 );
+
+			expect( spy.calledOnce ).to.be.true;
+			expect( spy.args[ 0 ][ 1 ] ).to.deep.equal( [ 1, 2 ] );
+		} );
+
+		it( 'executes the original method in a listener with the default priority', () => {
+			const calls = [];
+
+			class Foo extends Observable {
+				method() {
+					calls.push( 'original' );
+				}
+			}
+
+			const foo = new Foo();
+
+			foo.decorate( 'method' );
+
+			foo.on( 'method', () => calls.push( 'high' ), { priority: 'high' } );
+			foo.on( 'method', () => calls.push( 'low' ), { priority: 'low' } );
+
+			foo.method();
+
+			expect( calls ).to.deep.equal( [ 'high', 'original', 'low' ] );
+		} );
+
+		it( 'supports overriding return values', () => {
+			class Foo extends Observable {
+				method() {
+					return 1;
+				}
+			}
+
+			const foo = new Foo();
+
+			foo.decorate( 'method' );
+
+			foo.on( 'method', evt => {
+				expect( evt.return ).to.equal( 1 );
+
+				evt.return = 2;
+			} );
+
+			expect( foo.method() ).to.equal( 2 );
+		} );
+
+		it( 'supports overriding arguments', () => {
+			class Foo extends Observable {
+				method( a ) {
+					expect( a ).to.equal( 2 );
+				}
+			}
+
+			const foo = new Foo();
+
+			foo.decorate( 'method' );
+
+			foo.on( 'method', ( evt, args ) => {
+				args[ 0 ] = 2;
+			}, { priority: 'high' } );
+
+			foo.method( 1 );
+		} );
+
+		it( 'supports stopping the event (which prevents execution of the orignal method', () => {
+			class Foo extends Observable {
+				method() {
+					throw new Error( 'this should not be executed' );
+				}
+			}
+
+			const foo = new Foo();
+
+			foo.decorate( 'method' );
+
+			foo.on( 'method', evt => {
+				evt.stop();
+			}, { priority: 'high' } );
+
+			foo.method();
+		} );
+
+		it( 'throws when trying to decorate non existing method', () => {
+			class Foo extends Observable {}
+
+			const foo = new Foo();
+
+			expectToThrowCKEditorError( () => {
+				foo.decorate( 'method' );
+			}, /^observablemixin-cannot-decorate-undefined:/ );
+		} );
+
+		it( 'returns the existing decoration when decorating a decorated method', () => {
+			const spy = sinon.spy();
+
+			class Foo extends Observable {
+				method() {
+					spy();
+				}
+			}
+
+			const foo = new Foo();
+			const decoration = foo.decorate( 'method' );
+
+			expect( foo.decorate( 'method' ) ).to.equal( decoration );
+
+			foo.method();
+
+			sinon.assert.calledOnce( spy );
+		} );
+
+		describe( 'hooks', () => {
+			let foo, calls;
+
+			beforeEach( () => {
+				calls = [];
+
+				class Foo extends Observable {
+					method( a, b ) {
+						calls.push( [ 'original', a, b ] );
+
+						return a + b;
+					}
+
+					asyncMethod( a ) {
+						return new Promise( resolve => {
+							setTimeout( () => {
+								calls.push( 'original' );
+								resolve( a );
+							} );
+						} );
+					}
+				}
+
+				foo = new Foo();
+			} );
+
+			it( 'should be chainable', () => {
+				const decoration = foo.decorate( 'method' );
+
+				expect( decoration.before( () => {} ) ).to.equal( decoration );
+				expect( decoration.after( () => {} ) ).to.equal( decoration );
+				expect( decoration.around( ( proceed, args ) => proceed( ...args ) ) ).to.equal( decoration );
+			} );
+
+			describe( 'before()', () => {
+				it( 'should execute the hook before the method', () => {
+					foo.decorate( 'method' ).before( args => calls.push( [ 'before', ...args ] ) );
+
+					foo.method( 1, 2 );
+
+					expect( calls ).to.deep.equal( [ [ 'before', 1, 2 ], [ 'original', 1, 2 ] ] );
+				} );
+
+				it( 'should allow modifying the arguments', () => {
+					foo.decorate( 'method' ).before( args => {
+						args[ 0 ] = 3;
+					} );
+
+					expect( foo.method( 1, 2 ) ).to.equal( 5 );
+				} );
+
+				it( 'should execute the hook in the context of the observable', () => {
+					const hook = sinon.spy();
+
+					foo.decorate( 'method' ).before( hook );
+					foo.method();
+
+					sinon.assert.calledOn( hook, foo );
+				} );
+
+				it( 'should execute the hooks in the order of registration', () => {
+					foo.decorate( 'method' )
+						.before( () => calls.push( 'first' ) )
+						.before( () => calls.push( 'second' ) );
+
+					foo.method();
+
+					expect( calls.slice( 0, 2 ) ).to.deep.equal( [ 'first', 'second' ] );
+				} );
+			} );
+
+			describe( 'after()', () => {
+				it( 'should execute the hook after the method with the result and arguments', () => {
+					const hook = sinon.spy( () => {
+						calls.push( 'after' );
+					} );
+
+					foo.decorate( 'method' ).after( hook );
+
+					expect( foo.method( 1, 2 ) ).to.equal( 3 );
+					expect( calls ).to.deep.equal( [ [ 'original', 1, 2 ], 'after' ] );
+					sinon.assert.calledWithExactly( hook, 3, [ 1, 2 ] );
+					sinon.assert.calledOn( hook, foo );
+				} );
+
+				it( 'should replace the result with the value returned by the hook', () => {
+					foo.decorate( 'method' )
+						.after( result => result * 2 )
+						.after( result => result + 1 );
+
+					expect( foo.method( 1, 2 ) ).to.equal( 7 );
+				} );
+
+				it( 'should get the result overridden by the event listeners', () => {
+					foo.decorate( 'method' ).after( result => result * 2 );
+
+					foo.on( 'method', evt => {
+						evt.return = 10;
+					} );
+
+					expect( foo.method( 1, 2 ) ).to.equal( 20 );
+				} );
+
+				it( 'should not be executed when the event is stopped', () => {
+					const hook = sinon.spy();
+
+					foo.decorate( 'method' ).after( hook );
+					foo.on( 'method', evt => evt.stop(), { priority: 'high' } );
+
+					foo.method();
+
+					sinon.assert.notCalled( hook );
+				} );
+
+				it( 'should wait for the promise returned by the method', () => {
+					foo.decorate( 'asyncMethod' ).after( result => {
+						calls.push( 'after' );
+
+						return result + 1;
+					} );
+
+					const promise = foo.asyncMethod( 1 );
+
+					expect( calls ).to.deep.equal( [] );
+
+					return promise.then( result => {
+						expect( result ).to.equal( 2 );
+						expect( calls ).to.deep.equal( [ 'original', 'after' ] );
+					} );
+				} );
+
+				it( 'should wait for the promise returned by the hook', () => {
+					foo.decorate( 'asyncMethod' )
+						.after( () => new Promise( resolve => setTimeout( () => {
+							calls.push( 'first' );
+							resolve();
+						} ) ) )
+						.after( result => {
+							calls.push( 'second' );
+
+							return result * 2;
+						} );
+
+					return foo.asyncMethod( 2 ).then( result => {
+						expect( result ).to.equal( 4 );
+						expect( calls ).to.deep.equal( [ 'original', 'first', 'second' ] );
+					} );
+				} );
+
+				it( 'should not be executed when the promise is rejected', () => {
+					const hook = sinon.spy();
+					const error = new Error( 'foo' );
+
+					foo.asyncMethod = () => Promise.reject( error );
+					foo.decorate( 'asyncMethod' ).after( hook );
+
+					return foo.asyncMethod().then(
+						() => {
+							throw new Error( 'The promise should be rejected.' );
+						},
+						err => {
+							expect( err ).to.equal( error );
+							sinon.assert.notCalled( hook );
+						}
+					);
+				} );
+			} );
+
+			describe( 'around()', () => {
+				it( 'should wrap the method', () => {
+					foo.decorate( 'method' ).around( ( proceed, args ) => {
+						calls.push( 'before' );
+
+						const result = proceed( ...args );
+
+						calls.push( 'after' );
+
+						return result * 2;
+					} );
+
+					expect( foo.method( 1, 2 ) ).to.equal( 6 );
+					expect( calls ).to.deep.equal( [ 'before', [ 'original', 1, 2 ], 'after' ] );
+				} );
+
+				it( 'should allow changing the arguments', () => {
+					foo.decorate( 'method' ).around( proceed => proceed( 5, 5 ) );
+
+					expect( foo.method( 1, 2 ) ).to.equal( 10 );
+				} );
+
+				it( 'should allow skipping the method', () => {
+					foo.decorate( 'method' ).around( () => 'skipped' );
+
+					expect( foo.method( 1, 2 ) ).to.equal( 'skipped' );
+					expect( calls ).to.deep.equal( [] );
+				} );
+
+				it( 'should wrap the hooks added earlier', () => {
+					foo.decorate( 'method' )
+						.around( ( proceed, args ) => {
+							calls.push( 'inner' );
+
+							return proceed( ...args );
+						} )
+						.around( ( proceed, args ) => {
+							calls.push( 'outer' );
+
+							return proceed( ...args );
+						} );
+
+					foo.method( 1, 2 );
+
+					expect( calls ).to.deep.equal( [ 'outer', 'inner', [ 'original', 1, 2 ] ] );
+				} );
+
+				it( 'should execute the hook in the context of the observable', () => {
+					const hook = sinon.spy();
+
+					foo.decorate( 'method' ).around( hook );
+					foo.method();
+
+					sinon.assert.calledOn( hook, foo );
+				} );
+
+				it( 'should be executed between the before and after hooks', () => {
+					foo.decorate( 'method' )
+						.after( () => {
+							calls.push( 'after' );
+						} )
+						.around( ( proceed, args ) => {
+							calls.push( 'around' );
+
+							return proceed( ...args );
+						} )
+						.before( () => calls.push( 'before' ) );
+
+					foo.method( 1, 2 );
+
+					expect( calls ).to.deep.equal( [ 'before', 'around', [ 'original', 1, 2 ], 'after' ] );
+				} );
+			} );
+		} );
+	} );
+
+	describe( 'undecorate()', () => {
+		let foo, spy;
+
+		beforeEach( () => {
+			spy = sinon.spy();
+
+			class Foo extends Observable {
+				method() {
+					return 1;
+				}
+			}
+
+			foo = new Foo();
+			foo.on( 'method', spy );
+		} );
+
+		it( 'should not fail when the method is not decorated', () => {
+			expect( () => foo.undecorate( 'method' ) ).to.not.throw();
+			expect( () => new Observable().undecorate( 'method' ) ).to.not.throw();
+		} );
+
+		it( 'should restore the method', () => {
+			foo.decorate( 'method' ).after( () => 2 );
+			foo.undecorate( 'method' );
+
+			expect( foo.method() ).to.equal( 1 );
+			expect( foo ).to.not.have.ownProperty( 'method' );
+			sinon.assert.notCalled( spy );
+		} );
+
+		it( 'should restore an own method', () => {
+			const method = () => 3;
+
+			foo.method = method;
+			foo.decorate( 'method' );
+			foo.undecorate( 'method' );
+
+			expect( foo.method ).to.equal( method );
+		} );
+
+		it( 'should remove the hooks', () => {
+			const before = sinon.spy();
+
+			foo.decorate( 'method' ).before( before );
+			foo.undecorate( 'method' );
+
+			foo.fire( 'method', [] );
+
+			sinon.assert.notCalled( before );
+			sinon.assert.calledOnce( spy );
+		} );
+
+		it( 'should allow decorating the method again', () => {
+			foo.decorate( 'method' ).after( () => 2 );
+			foo.undecorate( 'method' );
+
+			foo.decorate( 'method' );
+
+			expect( foo.method() ).to.equal( 1 );
+			sinon.assert.calledOnce( spy );
 		} );
 	} );
 } );
@@ -4,11 +4,12 @@
  */
 
 import priorities from '../src/priorities';
+import { expectToThrowCKEditorError } from './_utils/utils';
 
 describe( 'get', () => {
 	it( 'should return correct value for string priority', () => {
 		for ( const name in priorities ) {
-			if ( priorities.hasOwnProperty( name ) && name != 'get' ) {
+			if ( priorities.hasOwnProperty( name ) && name != 'get' && name != 'register' ) {
 				expect( priorities.get( name ) ).to.equal( priorities[ name ] );
 			}
 		}
@@ -22,3 +23,36 @@ describe( 'get', () => {
 		expect( priorities.get( 2 ) ).to.equal( 2 );
 	} );
 } );
+
+describe( 'register', () => {
+	afterEach( () => {
+		delete priorities.foo;
+	} );
+
+	it( 'should register a named priority', () => {
+		priorities.register( 'foo', priorities.high + 10 );
+
+		expect( priorities.foo ).to.equal( 1010 );
+		expect( priorities.get( 'foo' ) ).to.equal( 1010 );
+	} );
+
+	it( 'should throw if the priority already exists', () => {
+		priorities.register( 'foo', 10 );
+
+		expectToThrowCKEditorError( () => {
+			priorities.register( 'foo', 20 );
+		}, /^priorities-register-duplicate/, null, { name: 'foo' } );
+
+		expectToThrowCKEditorError( () => {
+			priorities.register( 'high', 20 );
+		}, /^priorities-register-duplicate/, null, { name: 'high' } );
+
+		expect( priorities.foo ).to.equal( 10 );
+	} );
+
+	it( 'should throw if the value is not a number', () => {
+		expectToThrowCKEditorError( () => {
+			priorities.register( 'foo', 'high' );
+		}, /^priorities-register-invalid-value/, null, { name: 'foo' } );
+	} );
+} );
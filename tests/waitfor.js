@@ -0,0 +1,101 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import waitFor from '../src/waitfor';
+import EmitterMixin from '../src/emittermixin';
+import EventInfo from '../src/eventinfo';
+import { assertCKEditorError } from './_utils/utils';
+
+describe( 'waitFor()', () => {
+	let emitter;
+
+	beforeEach( () => {
+		emitter = Object.create( EmitterMixin );
+	} );
+
+	it( 'should return a promise resolved with the event callback arguments', () => {
+		const promise = waitFor( emitter, 'foo' );
+
+		emitter.fire( 'foo', 1, 'b' );
+
+		return promise.then( ( [ evt, ...data ] ) => {
+			expect( evt ).to.be.instanceOf( EventInfo );
+			expect( evt.name ).to.equal( 'foo' );
+			expect( data ).to.deep.equal( [ 1, 'b' ] );
+		} );
+	} );
+
+	it( 'should remove the listener once the event was fired', () => {
+		const promise = waitFor( emitter, 'foo' );
+
+		emitter.fire( 'foo' );
+
+		expect( emitter.getListeners( 'foo' ) ).to.deep.equal( [] );
+
+		return promise;
+	} );
+
+	it( 'should resolve only when the filter accepts the event', () => {
+		const promise = waitFor( emitter, 'change:value', {
+			filter: ( evt, name, value ) => value > 1
+		} );
+
+		emitter.fire( 'change:value', 'value', 1 );
+
+		expect( emitter.getListeners( 'change:value' ) ).to.have.length( 1 );
+
+		emitter.fire( 'change:value', 'value', 2 );
+
+		return promise.then( ( [ , , value ] ) => {
+			expect( value ).to.equal( 2 );
+			expect( emitter.getListeners( 'change:value' ) ).to.deep.equal( [] );
+		} );
+	} );
+
+	it( 'should register the callback with the given priority', () => {
+		waitFor( emitter, 'foo', { priority: 'high' } );
+
+		expect( emitter.getListeners( 'foo' )[ 0 ].priority ).to.equal( 1000 );
+	} );
+
+	describe( 'timeout option', () => {
+		let clock;
+
+		beforeEach( () => {
+			clock = sinon.useFakeTimers();
+		} );
+
+		afterEach( () => {
+			clock.restore();
+		} );
+
+		it( 'should reject the promise and remove the listener if the event was not fired in time', () => {
+			const promise = waitFor( emitter, 'foo', { timeout: 100 } );
+
+			clock.tick( 100 );
+
+			expect( emitter.getListeners( 'foo' ) ).to.deep.equal( [] );
+
+			return promise.then(
+				() => {
+					throw new Error( 'Expected to be rejected.' );
+				},
+				err => {
+					assertCKEditorError( err, /^waitfor-timeout/, emitter, { eventName: 'foo', timeout: 100 } );
+				}
+			);
+		} );
+
+		it( 'should not reject the promise if the event was fired in time', () => {
+			const promise = waitFor( emitter, 'foo', { timeout: 100 } );
+
+			clock.tick( 50 );
+			emitter.fire( 'foo' );
+			clock.tick( 100 );
+
+			return promise;
+		} );
+	} );
+} );